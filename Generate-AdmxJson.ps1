@@ -225,6 +225,7 @@ function Process-RegistryInfo {
                 # Create element info object first - INITIALIZE options to null
                 $elemInfo = [PSCustomObject]@{
                     id = $element.id # Safe to access .id now
+                    elementType = $element.LocalName # enum, boolean, decimal, text, ... (booleans carry True/False options like enums)
                     valueName = $element.valueName
                     type = 'Unknown'
                     options = $null # Start with null options
@@ -823,6 +824,7 @@ foreach ($lang in $Languages) {
 
     # Final JSON structure for this language
     $jsonData = [PSCustomObject]@{
+        schemaVersion = 1 # Format version, see schema/admx-data.schema.json
         language = $lang
         allCategories = @($virtualRoot) + $resolvedCategories # Combine root and others
         allPolicies = $resolvedPolicies
@@ -4,39 +4,132 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Element References ---
     const navTreeElement = document.getElementById('nav-tree');
     const settingsListElement = document.getElementById('settings-list');
+    const settingsColumnElement = document.getElementById('settings-column');
     const detailsContentElement = document.getElementById('details-content');
     const detailsPlaceholder = document.getElementById('details-placeholder');
+    const detailsColumnElement = document.getElementById('details-column');
     const globalSearchInput = document.getElementById('global-search');
+    const globalSearchError = document.getElementById('global-search-error');
+    const globalSearchAllSetsInput = document.getElementById('global-search-all-sets');
     const settingsSearchInput = document.getElementById('settings-search');
     const languageSelect = document.getElementById('language-select');
+    const secondLanguageSelect = document.getElementById('second-language-select');
+    const uiLanguageSelect = document.getElementById('ui-language-select');
     const policySetSelect = document.getElementById('policy-set-select');
+    const openAdmxFolderButton = document.getElementById('open-admx-folder');
+    const openAdmxFilesButton = document.getElementById('open-admx-files');
+    const admxFolderInput = document.getElementById('admx-folder-input');
+    const admxFileInput = document.getElementById('admx-file-input');
+    const dropOverlay = document.getElementById('drop-overlay');
+    const mainViewElement = document.getElementById('main-view');
+    const compareViewElement = document.getElementById('compare-view');
+    const openCompareButton = document.getElementById('open-compare');
+    const compareBaseSelect = document.getElementById('compare-base-select');
+    const compareTargetSelect = document.getElementById('compare-target-select');
+    const compareRunButton = document.getElementById('compare-run');
+    const compareCloseButton = document.getElementById('compare-close');
+    const compareFileInput = document.getElementById('compare-file-input');
+    const compareListElement = document.getElementById('compare-list');
+    const compareDetailsElement = document.getElementById('compare-details');
+    const openPolButton = document.getElementById('open-pol');
+    const polFileInput = document.getElementById('pol-file-input');
+    const polOverlayBar = document.getElementById('pol-overlay-bar');
+    const polOverlaySummary = document.getElementById('pol-overlay-summary');
+    const polOverlayScopeSelect = document.getElementById('pol-overlay-scope');
+    const polOverlayUnmatchedButton = document.getElementById('pol-overlay-unmatched');
+    const polOverlayClearButton = document.getElementById('pol-overlay-clear');
+    const openBaselineButton = document.getElementById('open-baseline');
+    const baselineFileInput = document.getElementById('baseline-file-input');
+    const baselineBar = document.getElementById('baseline-bar');
+    const baselineSummary = document.getElementById('baseline-summary');
+    const baselineScopeSelect = document.getElementById('baseline-scope');
+    const baselineOnlyInput = document.getElementById('baseline-only');
+    const baselineReportButton = document.getElementById('baseline-report');
+    const baselineClearButton = document.getElementById('baseline-clear');
+    const dataDiagnosticsBar = document.getElementById('data-diagnostics-bar');
+    const dataDiagnosticsSummary = document.getElementById('data-diagnostics-summary');
+    const dataDiagnosticsShowButton = document.getElementById('data-diagnostics-show');
+    const supportFilterElement = document.getElementById('support-filter');
+    const supportFilterStateElement = document.getElementById('support-filter-state');
+    const supportFilterControls = document.getElementById('support-filter-controls');
+    const facetFilterElement = document.getElementById('facet-filter');
+    const facetFilterStateElement = document.getElementById('facet-filter-state');
+    const facetFilterControls = document.getElementById('facet-filter-controls');
+    const openLookupButton = document.getElementById('open-lookup');
+    const openCollisionsButton = document.getElementById('open-collisions');
+    const lookupPanel = document.getElementById('lookup-panel');
+    const lookupInput = document.getElementById('lookup-input');
+    const lookupRunButton = document.getElementById('lookup-run');
+    const lookupOpenButton = document.getElementById('lookup-open');
+    const lookupCloseButton = document.getElementById('lookup-close');
+    const lookupFileInput = document.getElementById('lookup-file-input');
+    const lookupResultsElement = document.getElementById('lookup-results');
+    const openBasketButton = document.getElementById('open-basket');
+    const basketPanel = document.getElementById('basket-panel');
+    const basketListElement = document.getElementById('basket-list');
+    const basketMessageElement = document.getElementById('basket-message');
+    const basketFileInput = document.getElementById('basket-file-input');
+    const basketCloseButton = document.getElementById('basket-close');
+    const basketExportPolButton = document.getElementById('basket-export-pol');
+    const basketExportLgpoButton = document.getElementById('basket-export-lgpo');
+    const basketExportJsonButton = document.getElementById('basket-export-json');
+    const basketImportButton = document.getElementById('basket-import');
+    const basketClearButton = document.getElementById('basket-clear');
+    const openOfflineButton = document.getElementById('open-offline');
+    const offlinePanel = document.getElementById('offline-panel');
+    const offlineListElement = document.getElementById('offline-list');
+    const offlineMessageElement = document.getElementById('offline-message');
+    const offlineCloseButton = document.getElementById('offline-close');
+    const offlineSaveButton = document.getElementById('offline-save');
+    const offlineCheckButton = document.getElementById('offline-check');
+    const offlineUpdateButton = document.getElementById('offline-update');
 
     // --- Constants ---
     const VIRTUAL_COMPUTER_ROOT_ID = 'VIRTUAL_COMPUTER_ROOT';
     const VIRTUAL_USER_ROOT_ID = 'VIRTUAL_USER_ROOT';
+    const BASKET_STORAGE_KEY = 'admxViewer.basket';
+    const UI_LANGUAGE_STORAGE_KEY = 'admxViewer.uiLanguage';
+    const BASELINE_FORMAT = 'admx-web-viewer-baseline';
+    const MAX_LOOKUP_MATCHES_SHOWN = 10;
+    const SETTINGS_ROW_HEIGHT_ESTIMATE = 41;
+    const SETTINGS_ROW_SNIPPET_HEIGHT_ESTIMATE = 76;
+    const SETTINGS_LIST_OVERSCAN_PX = 400;
+    const TREE_TYPE_AHEAD_RESET_MS = 500;
+    const MAX_DATA_ISSUES_SHOWN = 200;
+    const MAX_COLLISION_ROWS_SHOWN = 500;
+    // Markup is built with html`` (lib/rich-text.js), which escapes the values put into it
+    const html = RichText.html;
+    // Alt + 1/2/3 move the focus between the three panes (by key position, so other layouts work too)
+    const PANE_SHORTCUTS = { Digit1: 'tree', Digit2: 'list', Digit3: 'details' };
+    // Short codes keep the basket in the URL hash compact
+    const BASKET_SCOPE_CODES = { Machine: 'M', User: 'U' };
+    const BASKET_STATE_CODES = { Enabled: 'E', Disabled: 'D', NotConfigured: 'N' };
 
-    const POLICY_SETS = [
-        {
-            id: 'windows_24h2',
-            displayName: 'Windows 24H2',
-            isDefault: true,
-            filePattern: (langCode) => `24h2_${langCode}.json`
-        },
-        {
-            id: 'edge',
-            displayName: 'Microsoft Edge',
-            isDefault: false,
-            filePattern: (langCode) => `edge_policies_${langCode}.json`
-        },
-    ];
+    const MANIFEST_URL = 'manifest.json';
+    const FALLBACK_LANGUAGE = 'en-US';
+    const UI_CATALOG_URL = 'locales/{locale}.json';
+    const SERVICE_WORKER_URL = 'sw.js';
+    const OFFLINE_DATA_CACHE = 'admx-viewer-data'; // Same name as DATA_CACHE in sw.js
 
     // --- State Variables ---
+    // Sets from manifest.json: { id, displayName, version, releaseDate, isDefault, thirdParty, files: { lang -> url } };
+    // sets parsed in the browser carry localData: { lang -> data } instead of files
+    let POLICY_SETS = [];
+    let languageNames = {}; // lang -> display name, from the manifest
+    let defaultLanguage = FALLBACK_LANGUAGE;
+    let manifestLoaded = false;
+    let uiLanguages = [FALLBACK_LANGUAGE]; // locales with a UI message catalog, from the manifest
+    let uiLanguage = null; // UI language picked by the user, null = follow currentLang
+    let uiCatalogs = new Map(); // locale -> message catalog
     let allData = {};
     let currentLang = null;
     let currentPolicySet = null;
     let categoriesMap = new Map();
     let policiesMap = new Map();
+    let policyModel = { categoriesById: categoriesMap, policiesById: policiesMap }; // the two maps, as lib/policy-data.js takes them
     let globalSearchTerm = '';
+    let globalSearchQuery = null;
+    let categoryPathCache = new Map();
     let globalSearchPolicyEntries = []; 
     let isGlobalSearchActive = false;
     let lastSelectedCategoryId = null;
@@ -44,6 +137,47 @@ document.addEventListener('DOMContentLoaded', () => {
     let lastSelectedContext = null;
     let categoryClassCache = new Map();
     let isInitializing = true;
+    let isRestoringViewState = false; // the hash is being applied, so it is not rewritten meanwhile
+    let lastUrlHash = null; // hash last written or applied, to tell our own history entries from navigation
+    let localPolicySetCounter = 0;
+    let compareState = null; // { baseId, targetId, result, selectedPolicyId } while the compare view is open
+    let compareFileSources = new Map(); // 'file:<n>' -> { displayName, data } for uploaded JSON files
+    let pendingCompareSelect = null;
+    let configuratorState = null; // { policyId, state, values, scope, format } for the policy in the details panel
+    let polOverlay = null; // { fileName, scope, entries, matches, unmatched } for an imported Registry.pol
+    let configuredCountCache = new Map();
+    let baseline = null; // { name, policySet, entries, skipped, polEntries, polScope, items, notInSet } for a loaded security baseline
+    let baselineOnly = false; // tree and settings list only show the baseline's policies
+    let baselineCountCache = new Map(); // 'categoryId:context' -> { total, pass, fail, missing }
+    let supportInfoCache = new WeakMap(); // policy -> parsed supportedOn (lib/supported-on.js)
+    let supportFacets = null; // { versions: Map(product -> sorted versions), releases: [{ key, product, label, order, count }], unrecognized } of the current set
+    let supportFilter = { versions: new Map(), releases: new Set() }; // product -> version policies must be available in; release keys of which one must be required
+    let facetValuesCache = new WeakMap(); // policy -> { facet: [values] } (lib/policy-facets.js)
+    let facetOptions = null; // { facet: [values] } found in the current set
+    let facetSelection = new Map(); // facet -> Set of checked values
+    let treeTypeAhead = { text: '', time: 0 }; // Characters typed in the nav tree and when the last one came
+    let filteredCountCache = new Map(); // 'categoryId:context' -> policies passing the baseline, supported-on and facet filters
+    let basket = []; // [{ policySet, policyId, scope, state, values }], persisted in localStorage
+    let intuneAppNames = new Map(); // admxFile -> app name used for ADMX ingestion
+    let searchWorker = null; // Worker holding the search index, null when searching on the main thread
+    let searchIndexKey = null; // 'policySet|lang' of the current set's search index
+    let searchIndexLanguage = null; // language all registered search indexes belong to
+    let searchDocumentSources = new Map(); // 'policySet|lang' -> () => documents of every indexed set
+    let localSearchIndexes = new Map(); // 'policySet|lang' -> main-thread index, built on first search
+    let otherSetsSearchData = new Map(); // 'policySet|lang' -> { set, policiesById } (null if it failed to load) for the all-sets search
+    let isAllSetsSearch = false; // whether globalSearchPolicyEntries span all policy sets
+    let secondLang = null; // language shown next to currentLang in the details, null for none
+    let secondLangData = null; // { lang, policiesById, categoriesById, searchKey } of the current set in secondLang
+    let searchRequestCounter = 0;
+    let pendingSearches = new Map(); // request id -> { query, resolve }
+    let settingsListRows = null; // { items, overlayContext, heights, rowElements, topSpacer, bottomSpacer } of the windowed settings list
+    let treeSearchCategoryIds = null; // categories the nav tree shows during a global search, null = all
+    let offlineStatus = null; // data file url -> 'cached' | 'current' | 'outdated' | 'unknown' for files kept offline, null until read
+    let dataValidationCache = new WeakMap(); // loaded data -> DataValidator result
+    let dataValidation = null; // DataValidator result of the current set and language
+    let policyReferencesCache = new WeakMap(); // policiesMap -> { nameIndex, referencedBy } (lib/policy-references.js)
+    let registryCollisionsCache = new WeakMap(); // policiesMap -> policy id -> collisions (lib/registry-collisions.js)
+    let collisionReportTwins = false; // Whether the collision report lists mandatory/recommended twins
 
     // --- Debounce Function ---
     function debounce(func, wait) {
@@ -67,45 +201,219 @@ document.addEventListener('DOMContentLoaded', () => {
             policySet: params.get('policySet'),
             policy: params.get('policy'),
             context: params.get('context'),
+            view: params.get('view'),
+            base: params.get('base'),
+            target: params.get('target'),
+            basket: params.get('basket'),
+            lang2: params.get('lang2'),
+            facets: params.get('facets'),
+            category: params.get('category'),
+            q: params.get('q'),
+            allSets: params.get('allSets'),
+            filter: params.get('filter'),
         };
     }
 
-    function updateUrlHash() {
-        if (isInitializing) return;
+    // addHistoryEntry: the change is a step the back button should undo (another category, policy
+    // or search); smaller changes such as typing in the filter replace the current entry.
+    // target: { lang, policySet } about to be loaded by initialize(); category, policy and basket
+    // belong to the current set and are left out when the set changes.
+    function updateUrlHash(addHistoryEntry = false, target = {}) {
+        if (isInitializing || isRestoringViewState) return;
+        const lang = target.lang || currentLang;
+        const policySet = target.policySet || currentPolicySet;
+        const isOtherSet = policySet !== currentPolicySet;
         const params = new URLSearchParams();
-        if (currentLang) params.set('lang', currentLang);
-        if (currentPolicySet) params.set('policySet', currentPolicySet);
+        if (lang) params.set('lang', lang);
+        if (secondLangData) params.set('lang2', secondLangData.lang);
+        if (policySet) params.set('policySet', policySet);
 
-        if (lastSelectedPolicyId) { 
-            params.set('policy', lastSelectedPolicyId);
-            if (lastSelectedContext) {
-                params.set('context', lastSelectedContext);
+        if (compareState && !isOtherSet) {
+            // Uploaded files cannot be shared, so only set ids go into the hash
+            params.set('view', 'compare');
+            if (compareState.baseId && !compareState.baseId.startsWith('file:')) params.set('base', compareState.baseId);
+            if (compareState.targetId && !compareState.targetId.startsWith('file:')) params.set('target', compareState.targetId);
+            if (compareState.selectedPolicyId) params.set('policy', compareState.selectedPolicyId);
+        } else {
+            if (!isOtherSet) {
+                if (lastSelectedCategoryId) params.set('category', lastSelectedCategoryId);
+                if (lastSelectedPolicyId) params.set('policy', lastSelectedPolicyId);
+                if ((lastSelectedCategoryId || lastSelectedPolicyId) && lastSelectedContext) params.set('context', lastSelectedContext);
+            }
+            if (isGlobalSearchActive) {
+                params.set('q', globalSearchTerm);
+                if (isAllSetsSearch) params.set('allSets', '1');
             }
+            const filter = settingsSearchInput.value.trim();
+            if (filter) params.set('filter', filter);
         }
+        const basketEntries = getBasketEntries();
+        if (!compareState && !isOtherSet && basketEntries.length > 0) params.set('basket', encodeBasketForHash(basketEntries));
+        // Facet values the other set does not have are dropped when it loads
+        if ((!compareState || isOtherSet) && isFacetFilterActive()) params.set('facets', PolicyFacets.serializeSelection(facetSelection));
 
         const newHash = params.toString();
         const currentPath = window.location.pathname + window.location.search;
         const currentHash = window.location.hash;
         const potentialNewHash = '#' + newHash;
         if (potentialNewHash !== currentHash) {
-            history.replaceState(null, '', currentPath + (newHash ? potentialNewHash : ''));
+            if (addHistoryEntry) history.pushState(null, '', currentPath + (newHash ? potentialNewHash : ''));
+            else history.replaceState(null, '', currentPath + (newHash ? potentialNewHash : ''));
+            lastUrlHash = window.location.hash;
         }
     }
 
     // --- Data Loading and Processing ---
-    async function loadData(policySetId, lang) {
+    // Reads manifest.json once; data file paths in it are relative to the manifest
+    async function loadManifest() {
+        if (manifestLoaded) return;
+        const response = await fetch(MANIFEST_URL);
+        if (!response.ok) throw new Error(t('error.manifest', { file: MANIFEST_URL, status: response.status }));
+        const manifest = await response.json();
+        const manifestBase = new URL(MANIFEST_URL, document.baseURI);
+        languageNames = manifest.languages || {};
+        defaultLanguage = manifest.defaultLanguage || FALLBACK_LANGUAGE;
+        if (Array.isArray(manifest.uiLanguages) && manifest.uiLanguages.length > 0) uiLanguages = manifest.uiLanguages;
+        const manifestSets = [];
+        (manifest.policySets || []).forEach(set => {
+            if (!set?.id || !set.files || Object.keys(set.files).length === 0) {
+                console.warn(`${MANIFEST_URL}: skipping policy set without id or files:`, set);
+                return;
+            }
+            const files = {};
+            Object.entries(set.files).forEach(([lang, file]) => { files[lang] = new URL(file, manifestBase).href; });
+            manifestSets.push({
+                id: set.id,
+                displayName: set.displayName || set.id,
+                version: set.version || null,
+                releaseDate: set.releaseDate || null,
+                isDefault: set.isDefault === true,
+                thirdParty: set.thirdParty === true, // Not shipped with Windows; Intune needs the ADMX ingested
+                files,
+            });
+        });
+        // Sets loaded from local files before the manifest arrived stay after the configured ones
+        POLICY_SETS = [...manifestSets, ...POLICY_SETS.filter(set => set.localData)];
+        manifestLoaded = true;
+    }
+
+    function getSetLanguages(set) {
+        return Object.keys(set?.localData || set?.files || {});
+    }
+
+    // The requested language if the set has it, else the default language, else the set's first one
+    function resolveLanguage(set, lang) {
+        const languages = getSetLanguages(set);
+        if (languages.includes(lang)) return lang;
+        if (languages.includes(defaultLanguage)) return defaultLanguage;
+        return languages[0] || lang;
+    }
+
+    function getLanguageName(lang) {
+        return languageNames[lang] || lang;
+    }
+
+    // --- UI Localization ---
+    // UI strings come from the message catalogs in locales/ (see lib/i18n.js). The UI language
+    // follows the data language unless one was picked in the UI language selector.
+    function getUiLocale() {
+        const locale = uiLanguage || currentLang || defaultLanguage;
+        return uiLanguages.includes(locale) ? locale : FALLBACK_LANGUAGE;
+    }
+
+    function t(key, params) {
+        return I18n.translate(uiCatalogs, I18n.getLocaleChain(getUiLocale(), FALLBACK_LANGUAGE), key, params);
+    }
+
+    // t() for messages that get markup (html``) as a parameter; the other parameters are escaped
+    function tHtml(key, params = {}) {
+        const escapedParams = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, value instanceof RichText.SafeHtml ? value : RichText.escapeHtml(value)]));
+        return RichText.raw(t(key, escapedParams));
+    }
+
+    function getStateLabel(state) {
+        return t(`state.${state}`);
+    }
+
+    // 'Computer' / 'User', as GPMC names the two halves
+    function getScopeLabel(scope) {
+        return t(`scope.${scope}`);
+    }
+
+    // 'Machine' / 'User', the policy class as the data has it
+    function getContextLabel(context) {
+        return context ? t(`context.${context}`) : '';
+    }
+
+    async function loadUiCatalog(locale) {
+        if (uiCatalogs.has(locale)) return;
+        try {
+            const response = await fetch(UI_CATALOG_URL.replace('{locale}', locale));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            uiCatalogs.set(locale, await response.json());
+        } catch (error) {
+            console.warn(`Could not load the UI strings for '${locale}': ${error.message}`);
+        }
+    }
+
+    // Static text in index.html carries data-i18n (text) or data-i18n-<attribute> keys
+    function applyUiTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = t(element.dataset.i18n); });
+        ['title', 'placeholder', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+        document.documentElement.lang = getUiLocale();
+    }
+
+    async function loadUiLanguage() {
+        await Promise.all(Array.from(new Set([FALLBACK_LANGUAGE, getUiLocale()])).map(loadUiCatalog));
+        applyUiTranslations();
+    }
+
+    function loadStoredUiLanguage() {
+        try {
+            uiLanguage = localStorage.getItem(UI_LANGUAGE_STORAGE_KEY) || null;
+        } catch (error) {
+            uiLanguage = null;
+        }
+    }
+
+    function populateUiLanguageSelector() {
+        uiLanguageSelect.innerHTML = '';
+        uiLanguageSelect.appendChild(new Option(t('header.uiLanguageAuto'), ''));
+        uiLanguages.forEach(locale => uiLanguageSelect.appendChild(new Option(getLanguageName(locale), locale)));
+        uiLanguageSelect.value = uiLanguages.includes(uiLanguage) ? uiLanguage : '';
+    }
+
+    async function handleUiLanguageChange() {
+        uiLanguage = uiLanguageSelect.value || null;
+        try {
+            if (uiLanguage) localStorage.setItem(UI_LANGUAGE_STORAGE_KEY, uiLanguage);
+            else localStorage.removeItem(UI_LANGUAGE_STORAGE_KEY);
+        } catch (error) {
+            console.warn(`Could not store the UI language: ${error.message}`);
+        }
+        await loadUiLanguage();
+        initialize(); // Re-renders the dynamic strings
+    }
+
+    // Fetches (and caches) one set/language without touching the UI; throws on failure.
+    async function fetchPolicySetData(policySetId, lang) {
         const selectedSet = POLICY_SETS.find(set => set.id === policySetId);
-        if (!selectedSet) {
-            const errorMsg = `Configuration error: Policy set '${policySetId}' is not defined.`;
-            settingsListElement.innerHTML = '';
-            navTreeElement.innerHTML = '';
-            detailsContentElement.innerHTML = `<p class="text-red-600 p-4">${errorMsg}</p>`;
-            return null;
+        if (!selectedSet) throw new Error(t('error.unknownSet', { set: policySetId }));
+        const langToLoad = resolveLanguage(selectedSet, lang);
+
+        // Sets parsed in the browser carry their data with them
+        if (selectedSet.localData) {
+            const localData = selectedSet.localData[langToLoad];
+            if (!localData) throw new Error(t('error.noData', { set: selectedSet.displayName }));
+            return localData;
         }
-        const validLangs = Array.from(languageSelect.options).map(o => o.value);
-        const langToLoad = validLangs.includes(lang) ? lang : languageSelect.value;
-        const fileNameLang = langToLoad.replace('-', '_');
-        const dataFileName = selectedSet.filePattern(fileNameLang);
+
+        const dataFileName = selectedSet.files[langToLoad];
+        if (!dataFileName) throw new Error(t('error.noDataFiles', { set: selectedSet.displayName, file: MANIFEST_URL }));
 
         if (!allData[policySetId]) allData[policySetId] = {};
         if (allData[policySetId][langToLoad]) {
@@ -114,110 +422,159 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             const response = await fetch(dataFileName);
-            if (!response.ok) throw new Error(`File not found or error (HTTP ${response.status})`);
+            if (!response.ok) throw new Error(t('error.http', { status: response.status }));
             const data = await response.json();
             allData[policySetId][langToLoad] = data;
             return data;
         } catch (error) {
-            const userMessage = `Error loading data for policy set '${selectedSet.displayName}' / language '${langToLoad}' (${dataFileName}): ${error.message}.`;
+            throw new Error(t('error.loadData', { set: selectedSet.displayName, lang: langToLoad, file: dataFileName, message: error.message }));
+        }
+    }
+
+    async function loadData(policySetId, lang) {
+        try {
+            return await fetchPolicySetData(policySetId, lang);
+        } catch (error) {
             settingsListElement.innerHTML = '';
             navTreeElement.innerHTML = '';
-            detailsContentElement.innerHTML = `<p class="text-red-600 p-4">${userMessage}</p>`;
+            detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${error.message}</p>`;
             return null;
         }
     }
 
     function processFlatData(data) {
-         categoriesMap.clear();
-         policiesMap.clear();
-         if (!data?.allCategories || !data?.allPolicies) return;
-         data.allCategories.forEach(cat => {
-             cat.searchText = `${cat.displayName || ''} ${cat.id || ''}`.toLowerCase();
-             categoriesMap.set(cat.id, cat);
-         });
-         data.allPolicies.forEach(pol => {
-             let regSearch = '';
-             if (pol.registry && typeof pol.registry === 'object') {
-                 if (pol.registry.key) regSearch += `${pol.registry.key} `;
-                 if (pol.registry.valueName) regSearch += `${pol.registry.valueName} `;
-                 pol.registry.elements?.forEach(el => { if (el?.valueName) regSearch += `${el.valueName} `});
-                 pol.registry.options?.forEach(opt => { if(opt?.display) regSearch += `${opt.display} `});
-             }
-             pol.searchText = `${pol.displayName || ''} ${pol.explainText || ''} ${regSearch}`.toLowerCase().replace(/\s+/g, ' ').trim();
-             policiesMap.set(pol.id, pol);
-         });
+        policyModel = PolicyData.indexData(data);
+        categoriesMap = policyModel.categoriesById;
+        policiesMap = policyModel.policiesById;
+        categoryPathCache.clear();
+    }
+
+    // --- Data Diagnostics ---
+    // Data files are checked on load (lib/data-validator.js). Errors replace the tree with the list of
+    // problems; warnings (references the tree leaves out) are announced above the settings list.
+    function getDataValidation(data) {
+        if (!dataValidationCache.has(data)) dataValidationCache.set(data, DataValidator.validateData(data));
+        return dataValidationCache.get(data);
+    }
+
+    function renderDataDiagnostics() {
+        if (!dataValidation) return;
+        const issues = [...dataValidation.errors, ...dataValidation.warnings];
+        const panel = document.createElement('div');
+        panel.className = 'data-diagnostics';
+        const title = document.createElement('h2');
+        title.className = 'text-xl font-semibold mb-1';
+        title.textContent = t('validation.title');
+        const summary = document.createElement('p');
+        summary.className = 'text-sm text-gray-600 mb-3';
+        summary.textContent = t('validation.summary', {
+            set: getPolicySetName(currentPolicySet),
+            lang: currentLang,
+            errors: t('validation.errorCount', { count: dataValidation.errors.length }),
+            warnings: t('validation.warningCount', { count: dataValidation.warnings.length }),
+        });
+        const explanation = document.createElement('p');
+        explanation.className = 'text-sm mb-3';
+        explanation.textContent = t(dataValidation.errors.length > 0 ? 'validation.blocked' : 'validation.partial');
+        const list = document.createElement('ul');
+        list.className = 'text-sm space-y-1';
+        issues.slice(0, MAX_DATA_ISSUES_SHOWN).forEach(issue => {
+            const item = document.createElement('li');
+            const severity = document.createElement('span');
+            severity.className = `mr-2 px-1 rounded text-xs ${issue.severity === 'error' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`;
+            severity.textContent = t(`validation.severity.${issue.severity}`);
+            item.append(severity, t(`validation.${issue.code}`, issue.params));
+            list.appendChild(item);
+        });
+        panel.append(title, summary, explanation, list);
+        if (issues.length > MAX_DATA_ISSUES_SHOWN) {
+            const more = document.createElement('p');
+            more.className = 'text-sm text-gray-500 mt-2';
+            more.textContent = t('validation.more', { count: issues.length - MAX_DATA_ISSUES_SHOWN });
+            panel.appendChild(more);
+        }
+        detailsContentElement.innerHTML = '';
+        detailsContentElement.appendChild(panel);
+    }
+
+    function renderDataDiagnosticsBar() {
+        const count = dataValidation && dataValidation.errors.length === 0 ? dataValidation.warnings.length : 0;
+        dataDiagnosticsBar.classList.toggle('hidden', count === 0);
+        dataDiagnosticsSummary.textContent = count > 0 ? t('validation.warningsBar', { count }) : '';
+    }
+
+    // Nothing of a file with errors is shown; the details pane lists what is wrong with it
+    function showDataErrors() {
+        processFlatData(null);
+        buildSupportFacets();
+        buildFacetOptions(null);
+        renderDataDiagnosticsBar();
+        navTreeElement.innerHTML = html`<p class="text-red-600 p-4">${t('validation.treeBlocked')}</p>`;
+        settingsListElement.innerHTML = '';
+        renderDataDiagnostics();
     }
 
     // --- Navigation Tree Rendering ---
     function categoryContainsClass(categoryId, targetClass) {
-        const cacheKey = `${categoryId}:${targetClass}`;
-        if (categoryClassCache.has(cacheKey)) return categoryClassCache.get(cacheKey);
-        const category = categoriesMap.get(categoryId);
-        if (!category || categoryId === 'ROOT' || categoryId.startsWith('VIRTUAL_')) return false;
-        if (Array.isArray(category.policies)) {
-            for (const policyId of category.policies) {
-                const policy = policiesMap.get(policyId);
-                if (policy && (policy.class === targetClass || policy.class === 'Both')) {
-                    categoryClassCache.set(cacheKey, true); return true;
-                }
-            }
-        }
-        if (Array.isArray(category.children)) {
-            for (const childId of category.children) {
-                if (categoryContainsClass(childId, targetClass)) {
-                    categoryClassCache.set(cacheKey, true); return true;
-                }
-            }
-        }
-        categoryClassCache.set(cacheKey, false); return false;
+        return PolicyData.categoryContainsClass(policyModel, categoryId, targetClass, categoryClassCache);
     }
 
-    function renderSingleCategoryRecursive(categoryId, context) {
-         const category = categoriesMap.get(categoryId);
-         if (!category || !categoryContainsClass(categoryId, context)) return '';
-         const childrenIds = Array.isArray(category.children) ? category.children : [];
-         
+    // While filters are active, categories without a matching policy are left out
+    function isCategoryShown(categoryId, context) {
+        return categoryContainsClass(categoryId, context) && (!hasPolicyFilters() || countFilteredPolicies(categoryId, context) > 0);
+    }
 
-         const sortedChildrenIds = childrenIds
+    function getSortedChildCategoryIds(category, context) {
+         const childrenIds = Array.isArray(category.children) ? category.children : [];
+         return childrenIds
              .map(childId => categoriesMap.get(childId))
-             .filter(child => child && categoryContainsClass(child.id, context)) 
+             .filter(child => child && isCategoryShown(child.id, context))
              .sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''))
              .map(child => child.id);
+    }
 
-         let childrenHtml = sortedChildrenIds.map(childId => renderSingleCategoryRecursive(childId, context)).join('');
-         
-         const hasVisibleChildren = childrenHtml !== '';
+    // Renders a single tree item; its children are only rendered when it is first expanded
+    // level: aria-level of the item; the virtual roots are level 1
+    function renderCategoryTreeItem(categoryId, context, level) {
+         const category = categoriesMap.get(categoryId);
+         if (!category || !isCategoryShown(categoryId, context)) return '';
+         const hasVisibleChildren = getSortedChildCategoryIds(category, context).length > 0;
          const nodeTreeId = `${context}_${categoryId}`;
-         let html = `<li data-tree-id="${nodeTreeId}" data-category-id="${category.id}" data-context="${context}" class="category-list-item original-category" style="display: list-item;">`;
-         html += `<div class="flex items-center py-1">`;
-         html += hasVisibleChildren ? `<span class="toggle collapsed mr-1 text-gray-500 hover:text-black cursor-pointer" onclick="toggleNode(this)">▶</span>` : `<span class="inline-block w-4 mr-1"></span>`;
-         html += `<span class="category-name flex-grow p-1 rounded hover:bg-gray-200 cursor-pointer" onclick="selectCategoryFromTree('${nodeTreeId}')">${category.displayName}</span>`;
-         html += `</div>`;
-         if (hasVisibleChildren) html += `<ul style="display: none;">${childrenHtml}</ul>`;
-         html += `</li>`;
-         return html;
-    }
-
-    function getVirtualRootName(type) { 
-        // Use currentLang to determine the display name, default to English if lang not mapped
-        const names = {
-            'de-DE': {
-                'Computer': 'Administrative Vorlagen: Computer',
-                'User': 'Administrative Vorlagen: Benutzer'
-            },
-            'en-US': {
-                'Computer': 'Administrative Templates: Computer',
-                'User': 'Administrative Templates: User'
-            }
-        };
-        return (names[currentLang] && names[currentLang][type]) || `Administrative Templates: ${type}`;
+         const display = !treeSearchCategoryIds || treeSearchCategoryIds.has(categoryId) ? 'list-item' : 'none';
+         const isSelected = categoryId === lastSelectedCategoryId && context === lastSelectedContext;
+         const toggle = hasVisibleChildren ? html`<span class="toggle collapsed mr-1 text-gray-500 hover:text-black cursor-pointer" aria-hidden="true">▶</span>` : html`<span class="inline-block w-4 mr-1"></span>`;
+         const configuredCount = countConfiguredPolicies(categoryId, context);
+         const polBadge = configuredCount > 0 ? html`<span class="pol-badge ml-1 px-1 rounded bg-green-100 text-green-800 text-xs" title="${t('pol.treeBadgeTitle')}">${configuredCount}</span>` : '';
+         const baselineCounts = countBaselinePolicies(categoryId, context);
+         const baselineBadge = baselineCounts.total > 0 ? renderBaselineTreeBadge(baselineCounts) : '';
+         const childList = hasVisibleChildren ? html`<ul role="group" style="display: none;"></ul>` : '';
+         return html`<li role="treeitem" aria-level="${level}" aria-selected="${isSelected}"${hasVisibleChildren ? html` aria-expanded="false"` : ''} tabindex="-1" data-tree-id="${nodeTreeId}" data-category-id="${category.id}" data-context="${context}" class="category-list-item original-category" style="display: ${display};"><div class="flex items-center py-1">${toggle}<span class="category-name flex-grow p-1 rounded hover:bg-gray-200 cursor-pointer">${category.displayName}</span>${polBadge}${baselineBadge}</div>${childList}</li>`;
+    }
+
+    // Fills the child list of a tree item the first time it is expanded
+    function renderTreeChildren(li) {
+        const ul = li.querySelector(':scope > ul');
+        if (!ul || ul.dataset.rendered === 'true') return;
+        const category = categoriesMap.get(li.getAttribute('data-category-id'));
+        const context = li.getAttribute('data-context');
+        const level = Number(li.getAttribute('aria-level')) + 1;
+        if (category) ul.innerHTML = html`${getSortedChildCategoryIds(category, context).map(childId => renderCategoryTreeItem(childId, context, level))}`;
+        ul.dataset.rendered = 'true';
+    }
+
+    // context: 'Machine' or 'User'
+    function getVirtualRootName(context, lang = currentLang) {
+        return PolicyData.getVirtualRootName(context, lang);
     }
 
     function renderNavTree() {
         navTreeElement.innerHTML = '';
         categoryClassCache.clear();
+        configuredCountCache.clear();
+        baselineCountCache.clear();
+        filteredCountCache.clear();
         if (categoriesMap.size === 0 || !categoriesMap.has('ROOT')) {
-            navTreeElement.innerHTML = '<p class="text-gray-500 p-4">No categories available for this policy set.</p>';
+            navTreeElement.innerHTML = html`<p class="text-gray-500 p-4">${t('tree.noCategories')}</p>`;
             return;
         }
         const rootCategory = categoriesMap.get('ROOT');
@@ -230,25 +587,24 @@ document.addEventListener('DOMContentLoaded', () => {
             .sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''))
             .map(cat => cat.id);
 
-        let computerChildrenHtml = sortedOriginalTopLevelIds.map(catId => renderSingleCategoryRecursive(catId, 'Machine')).join('');
-        let userChildrenHtml = sortedOriginalTopLevelIds.map(catId => renderSingleCategoryRecursive(catId, 'User')).join('');
+        // Hidden categories render as '' and are left out
+        const computerChildrenHtml = sortedOriginalTopLevelIds.map(catId => renderCategoryTreeItem(catId, 'Machine', 2)).filter(Boolean);
+        const userChildrenHtml = sortedOriginalTopLevelIds.map(catId => renderCategoryTreeItem(catId, 'User', 2)).filter(Boolean);
         
-        const hasComputerChildren = computerChildrenHtml !== '';
-        const hasUserChildren = userChildrenHtml !== '';
-        let finalHtml = '<ul>';
-        finalHtml += `<li data-category-id="${VIRTUAL_COMPUTER_ROOT_ID}" data-context="Machine" class="category-list-item top-level-virtual">
+        const hasComputerChildren = computerChildrenHtml.length > 0;
+        const hasUserChildren = userChildrenHtml.length > 0;
+        const finalHtml = html`<ul role="tree" aria-label="${t('tree.title')}" aria-keyshortcuts="Alt+1"><li role="treeitem" aria-level="1" aria-selected="false"${hasComputerChildren ? html` aria-expanded="true"` : ''} tabindex="-1" data-category-id="${VIRTUAL_COMPUTER_ROOT_ID}" data-context="Machine" class="category-list-item top-level-virtual">
             <div class="flex items-center py-1 font-semibold">
-                ${hasComputerChildren ? '<span class="toggle expanded mr-1 text-gray-500 hover:text-black cursor-pointer" onclick="toggleNode(this)">▼</span>' : '<span class="inline-block w-4 mr-1"></span>'}
-                <span class="category-name flex-grow p-1 rounded">${getVirtualRootName('Computer')}</span>
+                ${hasComputerChildren ? html`<span class="toggle expanded mr-1 text-gray-500 hover:text-black cursor-pointer" aria-hidden="true">▼</span>` : html`<span class="inline-block w-4 mr-1"></span>`}
+                <span class="category-name flex-grow p-1 rounded">${getVirtualRootName('Machine')}</span>
             </div>
-            ${hasComputerChildren ? `<ul style="display: block;">${computerChildrenHtml}</ul>` : ''}
-        </li>`;
-        finalHtml += `<li data-category-id="${VIRTUAL_USER_ROOT_ID}" data-context="User" class="category-list-item top-level-virtual">
+            ${hasComputerChildren ? html`<ul role="group" style="display: block;" data-rendered="true">${computerChildrenHtml}</ul>` : ''}
+        </li><li role="treeitem" aria-level="1" aria-selected="false"${hasUserChildren ? html` aria-expanded="true"` : ''} tabindex="-1" data-category-id="${VIRTUAL_USER_ROOT_ID}" data-context="User" class="category-list-item top-level-virtual">
             <div class="flex items-center py-1 font-semibold">
-                ${hasUserChildren ? '<span class="toggle expanded mr-1 text-gray-500 hover:text-black cursor-pointer" onclick="toggleNode(this)">▼</span>' : '<span class="inline-block w-4 mr-1"></span>'}
+                ${hasUserChildren ? html`<span class="toggle expanded mr-1 text-gray-500 hover:text-black cursor-pointer" aria-hidden="true">▼</span>` : html`<span class="inline-block w-4 mr-1"></span>`}
                 <span class="category-name flex-grow p-1 rounded">${getVirtualRootName('User')}</span>
             </div>
-            ${hasUserChildren ? `<ul style="display: block;">${userChildrenHtml}</ul>` : ''}
+            ${hasUserChildren ? html`<ul role="group" style="display: block;" data-rendered="true">${userChildrenHtml}</ul>` : ''}
         </li></ul>`;
         navTreeElement.innerHTML = finalHtml;
         updateNavTreeVisibilityForSearch();
@@ -256,28 +612,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- NEW: Function to get policy display path (breadcrumb) ---
     function getPolicyDisplayPath(policyId, displayContext) {
-        if (!policyId || !displayContext) return '';
-
-        const policy = policiesMap.get(policyId);
-        if (!policy || !policy.categoryId) return '';
-
-        let currentCatId = policy.categoryId;
-        const pathSegments = [];
-
-        while (currentCatId && currentCatId !== 'ROOT') {
-            const category = categoriesMap.get(currentCatId);
-            if (!category) break; // Should not happen in consistent data
-            pathSegments.unshift(category.displayName); // Add to the beginning
-            currentCatId = category.parent;
-            if (!currentCatId) break;
-        }
-
-        const virtualRootName = getVirtualRootName(displayContext);
-        pathSegments.unshift(virtualRootName);
+        return PolicyData.getPolicyDisplayPath(policyModel, policyId, displayContext, currentLang);
+    }
 
-        return pathSegments.join(' > ');
+    // Context-free category path, used by category: search terms
+    function getCategoryPathText(policy) {
+        if (categoryPathCache.has(policy.categoryId)) return categoryPathCache.get(policy.categoryId);
+        const pathText = PolicyData.buildCategoryPathText(categoriesMap, policy.categoryId);
+        categoryPathCache.set(policy.categoryId, pathText);
+        return pathText;
     }
 
+    // Registry key and value names, for search snippets of hits outside the description
+    function getRegistrySearchText(policy) {
+        const reg = policy.registry || {};
+        const elements = (reg.elements || []).filter(Boolean);
+        return [reg.key, reg.valueName, ...elements.map(el => el.valueName)].filter(Boolean).join(' ');
+    }
 
     // --- Settings List Display ---
     function displaySettingsList(categoryIdOrPolicyEntries, forContext = null) {
@@ -290,23 +641,19 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (isGlobalSearchActive && Array.isArray(categoryIdOrPolicyEntries)) {
             categoryIdOrPolicyEntries.forEach(entry => {
-                const policy = policiesMap.get(entry.policyId);
+                const policy = entry.policySet ? getOtherSetPolicy(entry) : policiesMap.get(entry.policyId);
                 if (policy) {
-                    policiesToRender.push({ policy: policy, contextHint: entry.contextHint });
+                    policiesToRender.push({ policy: policy, contextHint: entry.contextHint, terms: entry.terms || [], policySet: entry.policySet || null });
                 }
             });
-            policiesToRender.sort((a, b) => {
-                const nameCompare = (a.policy.displayName || '').localeCompare(b.policy.displayName || '');
-                if (nameCompare !== 0) return nameCompare;
-                return (a.contextHint || '').localeCompare(b.contextHint || '');
-            });
+            // Entries arrive ranked by relevance
 
         } else if (!isGlobalSearchActive && typeof categoryIdOrPolicyEntries === 'string') {
             const categoryId = categoryIdOrPolicyEntries;
             const category = categoriesMap.get(categoryId);
 
             if (!currentEffectiveContext) {
-                 settingsListElement.innerHTML = '<p class="text-gray-500 p-4">Please select a category from the tree first.</p>';
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.selectCategoryFirst')}</p>`;
                  settingsSearchInput.disabled = true;
                  return;
             }
@@ -321,51 +668,27 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        policiesToRender.forEach(item => {
-            const policy = item.policy;
-            if (!middleSearchTerm || policy.searchText.includes(middleSearchTerm)) {
-                const policyDiv = document.createElement('div');
-                const divId = `policy_item_${policy.id}${item.contextHint ? '_' + item.contextHint : ''}`;
-                policyDiv.id = divId;
-                policyDiv.className = 'setting-item p-2 border-b border-l-2 border-transparent cursor-pointer hover:bg-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-300 focus:border-blue-300';
-                
-                let policyDisplayText = policy.displayName;
-                let contextForOnClick = "null"; 
-
-                if (isGlobalSearchActive && item.contextHint) {
-                    policyDisplayText += ` <span class="text-xs text-gray-500">(${item.contextHint})</span>`;
-                    contextForOnClick = `'${item.contextHint}'`; 
-                } 
-
-                policyDiv.innerHTML = policyDisplayText;
-                policyDiv.setAttribute('onclick', `selectPolicy('${policy.id}', ${contextForOnClick})`);
-                policyDiv.setAttribute('data-policy-id', policy.id);
-                if (item.contextHint) {
-                    policyDiv.setAttribute('data-context-hint', item.contextHint);
-                }
-                policyDiv.setAttribute('tabindex', '0');
-                policyDiv.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        selectPolicy(policy.id, item.contextHint || null);
-                    }
-                });
-                settingsListElement.appendChild(policyDiv);
-                displayedPolicyCount++;
-            }
-        });
+        const searchedItems = policiesToRender.filter(item => !middleSearchTerm || item.policy.searchText.includes(middleSearchTerm));
+        const rowItems = hasPolicyFilters()
+            ? searchedItems.filter(item => policyPassesFilters(item.policy, item.contextHint || currentEffectiveContext, item.policySet))
+            : searchedItems;
+        displayedPolicyCount = rowItems.length;
+        settingsListRows = null;
+        if (displayedPolicyCount > 0) renderVirtualSettingsList(rowItems, currentEffectiveContext);
 
         if (displayedPolicyCount === 0) {
-            if (isGlobalSearchActive) {
-                 settingsListElement.innerHTML = `<p class="text-gray-500 p-4">No policies found for "${globalSearchTerm}"${middleSearchTerm ? ` (filtered by "${middleSearchTerm}")` : ''}.</p>`;
+            if (hasPolicyFilters() && searchedItems.length > 0) {
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.noFilteredSettings')}</p>`;
+            } else if (isGlobalSearchActive) {
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${middleSearchTerm ? t('list.noSearchResultsFiltered', { query: globalSearchTerm, filter: middleSearchTerm }) : t('list.noSearchResults', { query: globalSearchTerm })}</p>`;
             } else if (typeof categoryIdOrPolicyEntries === 'string' && !categoriesMap.has(categoryIdOrPolicyEntries)) {
-                 settingsListElement.innerHTML = '<p class="text-gray-500 p-4">Category not found.</p>';
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.categoryNotFound')}</p>`;
             } else if (middleSearchTerm) {
-                settingsListElement.innerHTML = `<p class="text-gray-500 p-4">No matching settings for '${currentEffectiveContext}'${middleSearchTerm ? ` for "${middleSearchTerm}"` : ''} found.</p>`;
+                settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.noMatchingSettings', { context: getContextLabel(currentEffectiveContext), filter: middleSearchTerm })}</p>`;
             } else if (policiesToRender.length === 0 && typeof categoryIdOrPolicyEntries === 'string' && categoriesMap.get(categoryIdOrPolicyEntries)?.policies?.length === 0) {
-                 settingsListElement.innerHTML = '<p class="text-gray-500 p-4">No settings defined in this category.</p>';
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.noSettingsInCategory')}</p>`;
             } else {
-                 settingsListElement.innerHTML = `<p class="text-gray-500 p-4">No '${currentEffectiveContext}'-relevant settings in this category.</p>`;
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.noSettingsForContext', { context: getContextLabel(currentEffectiveContext) })}</p>`;
             }
         }
         settingsSearchInput.disabled = (policiesToRender.length === 0 && !middleSearchTerm && !isGlobalSearchActive);
@@ -375,6 +698,496 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function isSelectedSettingsItem(policyId, contextHint) {
+        if (policyId !== lastSelectedPolicyId) return false;
+        return !(isGlobalSearchActive && policiesMap.get(policyId)?.class === 'Both' && lastSelectedContext) || contextHint === lastSelectedContext;
+    }
+
+    function createSettingsListRow(item, index, overlayContext) {
+        const policy = item.policy;
+        const policyDiv = document.createElement('div');
+        const divId = `policy_item_${policy.id}${item.contextHint ? '_' + item.contextHint : ''}`;
+        policyDiv.id = divId;
+        policyDiv.className = 'setting-item p-2 border-b border-l-2 border-transparent cursor-pointer hover:bg-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-300 focus:border-blue-300';
+        
+        let policyDisplayText = html`${policy.displayName}`;
+        let contextForClick = null;
+
+        if (isGlobalSearchActive && item.contextHint) {
+            // highlightText escapes the name itself
+            policyDisplayText = html`${RichText.raw(SearchIndex.highlightText(policy.displayName, item.terms))} <span class="text-xs text-gray-500">(${getContextLabel(item.contextHint)})</span>`;
+            contextForClick = item.contextHint;
+        } 
+
+        policyDiv.innerHTML = policyDisplayText;
+        if (isGlobalSearchActive && isAllSetsSearch) {
+            const setLabel = document.createElement('span');
+            setLabel.className = 'set-label ml-1 px-1 rounded bg-gray-100 text-gray-600 text-xs';
+            setLabel.textContent = getPolicySetName(item.policySet || currentPolicySet);
+            policyDiv.appendChild(setLabel);
+        }
+        const polMatch = item.policySet ? null : getPolOverlayMatch(policy.id, item.contextHint || overlayContext);
+        if (polMatch) policyDiv.appendChild(createPolStateBadge(polMatch.state));
+        const baselineItem = item.policySet ? null : getBaselineItem(policy.id, item.contextHint || overlayContext);
+        if (baselineItem) policyDiv.appendChild(createBaselineBadge(baselineItem));
+        if (isSupportFilterActive() && getSupportInfo(policy).status !== 'parsed') policyDiv.appendChild(createSupportUnknownBadge(policy));
+        if (isGlobalSearchActive && item.terms?.length) {
+            const secondPolicy = item.policySet ? null : secondLangData?.policiesById.get(policy.id);
+            const snippet = SearchIndex.buildSnippet(policy.explainText, item.terms) ||
+                (secondPolicy && SearchIndex.buildSnippet(`${secondPolicy.displayName} — ${secondPolicy.explainText || ''}`, item.terms)) ||
+                SearchIndex.buildSnippet(getRegistrySearchText(policy), item.terms);
+            if (snippet) {
+                const snippetDiv = document.createElement('div');
+                snippetDiv.className = 'search-snippet text-xs text-gray-500 mt-0.5';
+                snippetDiv.innerHTML = RichText.raw(snippet); // escaped by buildSnippet
+                policyDiv.appendChild(snippetDiv);
+            }
+        }
+        if (item.policySet) {
+            policyDiv.addEventListener('click', () => openPolicyInSet(item.policySet, policy.id, item.contextHint));
+            policyDiv.setAttribute('data-policy-set', item.policySet);
+        } else {
+            policyDiv.addEventListener('click', () => selectPolicy(policy.id, contextForClick));
+        }
+        policyDiv.setAttribute('data-policy-id', policy.id);
+        if (item.contextHint) {
+            policyDiv.setAttribute('data-context-hint', item.contextHint);
+        }
+        policyDiv.setAttribute('data-index', index);
+        policyDiv.setAttribute('tabindex', '0');
+        if (!item.policySet && isSelectedSettingsItem(policy.id, item.contextHint)) policyDiv.classList.add('selected', 'bg-blue-100', 'border-blue-500');
+        policyDiv.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                if (item.policySet) openPolicyInSet(item.policySet, policy.id, item.contextHint);
+                else selectPolicy(policy.id, item.contextHint || null);
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                focusSettingsListRow(index + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Home' || e.key === 'End') {
+                e.preventDefault();
+                focusSettingsListRow(e.key === 'Home' ? 0 : settingsListRows.items.length - 1);
+            }
+        });
+        return policyDiv;
+    }
+
+    // --- Settings List Windowing ---
+    // Only the rows around the visible part of the settings column are in the DOM; a spacer
+    // above and below stands in for the rest. Row heights are estimated until a row was rendered.
+    function renderVirtualSettingsList(items, overlayContext) {
+        const topSpacer = document.createElement('div');
+        const bottomSpacer = document.createElement('div');
+        topSpacer.setAttribute('aria-hidden', 'true');
+        bottomSpacer.setAttribute('aria-hidden', 'true');
+        settingsListElement.replaceChildren(topSpacer, bottomSpacer);
+        const estimatedHeight = isGlobalSearchActive ? SETTINGS_ROW_SNIPPET_HEIGHT_ESTIMATE : SETTINGS_ROW_HEIGHT_ESTIMATE;
+        settingsListRows = { items, overlayContext, heights: items.map(() => estimatedHeight), rowElements: new Map(), topSpacer, bottomSpacer };
+        renderSettingsListWindow();
+    }
+
+    // Visible part of the settings list, in pixels from its top
+    function getSettingsListViewport() {
+        const listRect = settingsListElement.getBoundingClientRect();
+        const columnRect = settingsColumnElement.getBoundingClientRect();
+        return {
+            top: Math.max(columnRect.top, 0) - listRect.top,
+            bottom: Math.min(columnRect.bottom, window.innerHeight) - listRect.top,
+        };
+    }
+
+    // includeIndex moves the window onto that row when it is outside the visible part
+    function renderSettingsListWindow(includeIndex = null) {
+        const rows = settingsListRows;
+        // The list may have been replaced by a message since
+        if (!rows || rows.bottomSpacer.parentNode !== settingsListElement) return;
+        const { heights, rowElements } = rows;
+        const viewport = getSettingsListViewport();
+        let start = 0;
+        let offset = 0;
+        while (start < heights.length - 1 && offset + heights[start] < viewport.top - SETTINGS_LIST_OVERSCAN_PX) offset += heights[start++];
+        let end = start;
+        while (end < heights.length && (end === start || offset < viewport.bottom + SETTINGS_LIST_OVERSCAN_PX)) offset += heights[end++];
+        if (includeIndex !== null && (includeIndex < start || includeIndex >= end)) {
+            const size = end - start;
+            start = Math.max(0, includeIndex - Math.floor(size / 2));
+            end = Math.min(heights.length, Math.max(start + size, includeIndex + 1));
+        }
+
+        // Rows that stay keep their element, so a focused row keeps focus while scrolling
+        rowElements.forEach((element, index) => {
+            if (index >= start && index < end) return;
+            element.remove();
+            rowElements.delete(index);
+        });
+        const addedIndexes = [];
+        let nextSibling = rows.bottomSpacer;
+        for (let index = end - 1; index >= start; index--) {
+            let element = rowElements.get(index);
+            if (!element) {
+                element = createSettingsListRow(rows.items[index], index, rows.overlayContext);
+                settingsListElement.insertBefore(element, nextSibling);
+                rowElements.set(index, element);
+                addedIndexes.push(index);
+            }
+            nextSibling = element;
+        }
+        addedIndexes.forEach(index => {
+            const height = rowElements.get(index).offsetHeight;
+            if (height > 0) heights[index] = height;
+        });
+        const sumHeights = (from, to) => heights.slice(from, to).reduce((total, height) => total + height, 0);
+        rows.topSpacer.style.height = `${sumHeights(0, start)}px`;
+        rows.bottomSpacer.style.height = `${sumHeights(end, heights.length)}px`;
+    }
+
+    function scrollSettingsListToRow(index) {
+        renderSettingsListWindow(index);
+        settingsListRows.rowElements.get(index)?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function focusSettingsListRow(index) {
+        if (!settingsListRows || index < 0 || index >= settingsListRows.items.length) return;
+        scrollSettingsListToRow(index);
+        settingsListRows.rowElements.get(index)?.focus();
+    }
+
+    function setupSettingsListWindowing() {
+        let frameRequested = false;
+        const scheduleRender = () => {
+            if (frameRequested || !settingsListRows) return;
+            frameRequested = true;
+            requestAnimationFrame(() => {
+                frameRequested = false;
+                renderSettingsListWindow();
+            });
+        };
+        settingsColumnElement.addEventListener('scroll', scheduleRender, { passive: true });
+        window.addEventListener('scroll', scheduleRender, { passive: true });
+        window.addEventListener('resize', scheduleRender);
+        if (typeof ResizeObserver !== 'undefined') new ResizeObserver(scheduleRender).observe(settingsColumnElement);
+    }
+
+    // --- Second Language ---
+    // Loads the current set in secondLang for the bilingual details and for searching in both languages
+    async function loadSecondLanguage() {
+        secondLangData = null;
+        const set = POLICY_SETS.find(ps => ps.id === currentPolicySet);
+        if (!secondLang || secondLang === currentLang || !getSetLanguages(set).includes(secondLang)) return;
+        try {
+            const data = await fetchPolicySetData(currentPolicySet, secondLang);
+            const categoriesById = new Map((data.allCategories || []).map(category => [category.id, category]));
+            const policiesById = new Map();
+            (data.allPolicies || []).forEach(policy => {
+                policy.searchText = PolicyData.getPolicySearchText(policy);
+                policiesById.set(policy.id, policy);
+            });
+            const searchKey = `${currentPolicySet}|${secondLang}`;
+            secondLangData = { lang: secondLang, policiesById, categoriesById, searchKey };
+            registerSearchIndex(searchKey, () => PolicyData.buildSearchDocuments(Array.from(policiesById.values()), categoriesById));
+        } catch (error) {
+            console.warn(`Second language '${secondLang}' unavailable:`, error.message);
+        }
+    }
+
+    function populateSecondLanguageSelector(set) {
+        secondLanguageSelect.innerHTML = '';
+        secondLanguageSelect.appendChild(new Option(t('header.secondLanguageNone'), ''));
+        const languages = getSetLanguages(set).filter(lang => lang !== currentLang);
+        languages.forEach(lang => secondLanguageSelect.appendChild(new Option(getLanguageName(lang), lang)));
+        secondLanguageSelect.value = languages.includes(secondLang) ? secondLang : '';
+        secondLanguageSelect.disabled = languages.length === 0;
+    }
+
+    async function handleSecondLanguageChange() {
+        secondLang = secondLanguageSelect.value || null;
+        await loadSecondLanguage();
+        if (lastSelectedPolicyId) displayPolicyDetails(lastSelectedPolicyId);
+        updateUrlHash();
+        if (isGlobalSearchActive) performGlobalSearchAndUpdateView();
+    }
+
+    function getOptionLabels(policy) {
+        const reg = policy?.registry || {};
+        const labels = new Map(); // 'element id:value' -> label
+        (reg.options || []).forEach(opt => labels.set(`:${opt.value}`, opt.display));
+        (reg.elements || []).filter(Boolean).forEach(el => (el.options || []).forEach(opt => labels.set(`${el.id}:${opt.value}`, opt.display)));
+        (policy?.presentation?.elements || []).forEach(presElem => { if (presElem.refId) labels.set(`${presElem.refId}:`, presElem.label); });
+        return labels;
+    }
+
+    // Name, category path, description and option labels in both languages, side by side
+    function renderBilingualDetails(policy, container) {
+        const secondPolicy = secondLangData.policiesById.get(policy.id);
+        const context = (policy.class === 'Both' ? lastSelectedContext : policy.class) === 'User' ? 'User' : 'Machine';
+        const columns = [
+            { lang: currentLang, policy, categoriesById: categoriesMap },
+            { lang: secondLangData.lang, policy: secondPolicy, categoriesById: secondLangData.categoriesById },
+        ];
+        const grid = document.createElement('div');
+        grid.className = 'grid grid-cols-2 gap-x-4 gap-y-2 text-sm';
+        // fill(cell, text, column) replaces the plain text
+        const addRow = (label, getText, className = '', fill = null) => {
+            columns.forEach(column => {
+                const cell = document.createElement('div');
+                cell.className = `text-gray-700 ${className}`;
+                const text = column.policy ? getText(column) : null;
+                if (text && fill) fill(cell, text, column);
+                else cell.textContent = text || '—';
+                if (label) cell.title = label;
+                grid.appendChild(cell);
+            });
+        };
+        addRow(null, ({ lang }) => getLanguageName(lang), 'font-semibold text-gray-500 border-b');
+        addRow(t('bilingual.name'), ({ policy: p }) => p.displayName, 'font-semibold');
+        addRow(t('bilingual.category'), ({ lang, policy: p, categoriesById }) => [getVirtualRootName(context, lang), PolicyData.buildCategoryPathText(categoriesById, p.categoryId)].filter(Boolean).join(' > '), 'text-xs text-gray-500');
+        addRow(t('bilingual.description'), ({ policy: p }) => p.explainText || t('details.noDescription'), 'whitespace-pre-wrap text-gray-600 space-y-2', (cell, text, column) => renderDescription(cell, text, column.policy));
+        container.appendChild(grid);
+        if (!secondPolicy) {
+            const missing = document.createElement('p');
+            missing.className = 'text-xs italic text-gray-500 mt-2';
+            missing.textContent = t('bilingual.missing', { language: getLanguageName(secondLangData.lang) });
+            container.appendChild(missing);
+            return;
+        }
+
+        const firstLabels = getOptionLabels(policy);
+        const secondLabels = getOptionLabels(secondPolicy);
+        if (firstLabels.size === 0) return;
+        const optionsTitle = document.createElement('h4');
+        optionsTitle.className = 'font-medium text-gray-700 mt-3 mb-1';
+        optionsTitle.textContent = t('bilingual.optionLabels');
+        container.appendChild(optionsTitle);
+        const table = document.createElement('table');
+        table.className = 'text-xs w-full';
+        firstLabels.forEach((label, key) => {
+            const row = table.insertRow();
+            const value = key.slice(key.indexOf(':') + 1);
+            [value, label, secondLabels.get(key)].forEach((text, i) => {
+                const cell = row.insertCell();
+                cell.className = i === 0 ? 'pr-2 font-mono text-gray-500 align-top' : 'pr-2 align-top';
+                cell.textContent = text ?? '—';
+            });
+        });
+        container.appendChild(table);
+    }
+
+    // --- Description Links ---
+    // Policy and registry value names in descriptions link to those policies, web addresses open
+    // in a new tab (lib/policy-references.js). Built once per set and language, on first use.
+    function getPolicyReferences() {
+        if (!policyReferencesCache.has(policiesMap)) {
+            const policies = Array.from(policiesMap.values());
+            const nameIndex = PolicyReferences.buildNameIndex(policies);
+            policyReferencesCache.set(policiesMap, { nameIndex, referencedBy: PolicyReferences.buildReferencedBy(policies, nameIndex) });
+        }
+        return policyReferencesCache.get(policiesMap);
+    }
+
+    // The link also works when opened in a new tab
+    function createPolicyLink(policy, text) {
+        const params = new URLSearchParams();
+        params.set('lang', currentLang);
+        params.set('policySet', currentPolicySet);
+        params.set('policy', policy.id);
+        const link = document.createElement('a');
+        link.href = `#${params.toString()}`;
+        link.className = 'text-blue-700 hover:underline';
+        link.textContent = text;
+        link.title = policy.displayName || policy.name;
+        link.addEventListener('click', (event) => {
+            if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) return;
+            event.preventDefault();
+            selectPolicy(policy.id);
+        });
+        return link;
+    }
+
+    // fromPolicy is the policy the description belongs to; its own names stay plain text
+    function appendDescriptionText(parent, text, fromPolicy) {
+        PolicyReferences.parseDescription(text, getPolicyReferences().nameIndex, fromPolicy).forEach(segment => {
+            if (segment.type === 'policy') {
+                parent.appendChild(createPolicyLink(segment.policy, segment.text));
+            } else if (segment.type === 'url') {
+                const link = document.createElement('a');
+                link.href = segment.href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.className = 'text-blue-700 hover:underline break-all';
+                link.textContent = segment.text;
+                parent.appendChild(link);
+            } else {
+                parent.appendChild(document.createTextNode(segment.text));
+            }
+        });
+    }
+
+    // Paragraphs, lists and example values (lib/rich-text.js), built as elements with the text as text nodes.
+    // The container keeps line breaks (whitespace-pre-wrap) and spaces the blocks (space-y-2).
+    function renderDescription(container, text, fromPolicy) {
+        container.textContent = '';
+        RichText.parseBlocks(text).forEach(block => {
+            if (block.type === 'list') {
+                const list = document.createElement(block.ordered ? 'ol' : 'ul');
+                list.className = block.ordered ? 'list-decimal pl-6 space-y-1' : 'list-disc pl-4 space-y-1';
+                block.items.forEach(itemText => {
+                    const item = document.createElement('li');
+                    appendDescriptionText(item, itemText, fromPolicy);
+                    list.appendChild(item);
+                });
+                container.appendChild(list);
+            } else if (block.type === 'code') {
+                // Example values are shown as written (JSON indented), without links
+                const pre = document.createElement('pre');
+                pre.className = 'text-xs text-gray-800 bg-gray-50 border border-gray-200 rounded p-2 whitespace-pre overflow-x-auto';
+                const code = document.createElement('code');
+                code.textContent = block.text;
+                pre.appendChild(code);
+                container.appendChild(pre);
+            } else {
+                const paragraph = document.createElement('p');
+                appendDescriptionText(paragraph, block.text, fromPolicy);
+                container.appendChild(paragraph);
+            }
+        });
+    }
+
+    function renderReferencedBy(policy, container) {
+        const sources = getPolicyReferences().referencedBy.get(policy.id) || [];
+        if (!container || sources.length === 0) return;
+        container.closest('#details-referenced-by-container').classList.remove('hidden');
+        container.innerHTML = '';
+        sources.forEach(source => {
+            const item = document.createElement('li');
+            const path = document.createElement('span');
+            path.className = 'text-xs text-gray-500';
+            path.textContent = ` · ${PolicyData.buildCategoryPathText(categoriesMap, source.categoryId)}`;
+            item.append(createPolicyLink(source, source.displayName || source.name), path);
+            container.appendChild(item);
+        });
+    }
+
+    // --- Registry Collisions ---
+    // Other policies of the set that write the same registry location (lib/registry-collisions.js):
+    // listed in the details panel and, for the whole set, in the collision report.
+    function getRegistryCollisions(policyId) {
+        if (!registryCollisionsCache.has(policiesMap)) {
+            registryCollisionsCache.set(policiesMap, RegistryCollisions.buildCollisionIndex(Array.from(policiesMap.values())));
+        }
+        return registryCollisionsCache.get(policiesMap).get(policyId) || [];
+    }
+
+    // 'Software\Policies\Microsoft\Edge\HomepageLocation'; list elements own their key ('...\URLBlocklist\*')
+    function formatCollisionLocation(location) {
+        return `${location.key}\\${location.list ? '*' : location.valueName}`;
+    }
+
+    function createCollisionBadge(kind) {
+        const colors = { conflict: 'bg-red-100 text-red-800', sameValue: 'bg-yellow-100 text-yellow-800', twin: 'bg-blue-100 text-blue-800' };
+        const badge = document.createElement('span');
+        badge.className = `collision-badge mr-1 px-1 rounded text-xs ${colors[kind]}`;
+        badge.textContent = t(`collisions.kind.${kind}`);
+        return badge;
+    }
+
+    // 'different value types · Computer, User'
+    function describeCollision(reasons, contexts) {
+        return [...reasons.map(reason => t(`collisions.reason.${reason}`)), contexts.map(getScopeLabel).join(', ')].join(' · ');
+    }
+
+    function renderCollisions(policy, container) {
+        const collisions = getRegistryCollisions(policy.id);
+        if (!container || collisions.length === 0) return;
+        container.closest('#details-collisions-container').classList.remove('hidden');
+        container.innerHTML = '';
+        collisions.forEach(collision => {
+            const item = document.createElement('li');
+            const note = document.createElement('span');
+            note.className = 'text-xs text-gray-500';
+            // Twins share their display name; the category tells them apart
+            note.textContent = ` · ${PolicyData.buildCategoryPathText(categoriesMap, collision.policy.categoryId)} · ${describeCollision(collision.reasons, collision.contexts)}`;
+            const locations = document.createElement('span');
+            locations.className = 'block font-mono text-xs text-gray-500 break-all whitespace-pre-line';
+            locations.textContent = collision.locations.map(formatCollisionLocation).join('\n');
+            item.append(createCollisionBadge(collision.kind), createPolicyLink(collision.policy, collision.policy.displayName || collision.policy.name), note, locations);
+            container.appendChild(item);
+        });
+    }
+
+    // Set-wide report in the details pane; twins are by design and only listed on request
+    function showCollisionReport() {
+        clearDetails();
+        detailsContentElement.innerHTML = '';
+        const allRows = RegistryCollisions.buildCollisionReport(Array.from(policiesMap.values()), true);
+        const rows = collisionReportTwins ? allRows : allRows.filter(row => row.kind !== 'twin');
+        const twinCount = allRows.filter(row => row.kind === 'twin').length;
+        const locationCount = allRows.length - twinCount;
+        const title = document.createElement('h2');
+        title.className = 'text-xl font-semibold mb-1';
+        title.textContent = t('collisions.reportTitle');
+        const intro = document.createElement('p');
+        intro.className = 'mb-2 text-xs text-gray-500';
+        intro.textContent = t('collisions.reportSummary', { count: locationCount, set: getPolicySetName(currentPolicySet), lang: currentLang });
+        const twinsLabel = document.createElement('label');
+        twinsLabel.className = 'flex items-center gap-1 mb-3 text-xs text-gray-600 border-b pb-2';
+        const twinsInput = document.createElement('input');
+        twinsInput.type = 'checkbox';
+        twinsInput.checked = collisionReportTwins;
+        twinsInput.addEventListener('change', () => {
+            collisionReportTwins = twinsInput.checked;
+            showCollisionReport();
+        });
+        twinsLabel.append(twinsInput, t('collisions.includeTwins', { count: twinCount }));
+        detailsContentElement.append(title, intro, twinsLabel);
+        if (rows.length === 0) return;
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs';
+        const headers = ['columnKind', 'columnLocation', 'columnPolicies'];
+        table.innerHTML = html`<thead><tr class="text-left text-gray-500">${headers.map(key => html`<th class="pr-2">${t(`collisions.${key}`)}</th>`)}</tr></thead>`;
+        const body = document.createElement('tbody');
+        rows.slice(0, MAX_COLLISION_ROWS_SHOWN).forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'border-t border-gray-200 align-top';
+            const kindCell = document.createElement('td');
+            kindCell.className = 'pr-2 py-1';
+            kindCell.appendChild(createCollisionBadge(row.kind));
+            const locationCell = document.createElement('td');
+            locationCell.className = 'pr-2 py-1 font-mono break-all';
+            locationCell.textContent = formatCollisionLocation(row.location);
+            const note = document.createElement('span');
+            note.className = 'block font-sans text-gray-500';
+            note.textContent = describeCollision(row.reasons, row.contexts);
+            locationCell.appendChild(note);
+            const policiesCell = document.createElement('td');
+            policiesCell.className = 'py-1';
+            row.policies.forEach(policy => {
+                const line = document.createElement('div');
+                const path = document.createElement('span');
+                path.className = 'text-gray-500';
+                path.textContent = ` · ${PolicyData.buildCategoryPathText(categoriesMap, policy.categoryId)}`;
+                line.append(createPolicyLink(policy, policy.displayName || policy.name), path);
+                policiesCell.appendChild(line);
+            });
+            tr.append(kindCell, locationCell, policiesCell);
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        detailsContentElement.appendChild(table);
+        if (rows.length > MAX_COLLISION_ROWS_SHOWN) {
+            const more = document.createElement('p');
+            more.className = 'text-sm text-gray-500 mt-2';
+            more.textContent = t('collisions.more', { count: rows.length - MAX_COLLISION_ROWS_SHOWN });
+            detailsContentElement.appendChild(more);
+        }
+    }
+
+    function setupRegistryCollisions() {
+        openCollisionsButton.addEventListener('click', () => {
+            if (policiesMap.size > 0) showCollisionReport();
+        });
+    }
+
     // --- Policy Details Display ---
     function displayPolicyDetails(policyId) {
         const policy = policiesMap.get(policyId);
@@ -387,16 +1200,26 @@ document.addEventListener('DOMContentLoaded', () => {
         const pathElement = detailNode.querySelector('#details-path');
         if (pathElement) {
             // lastSelectedContext should be correctly set by selectPolicy before this is called
-            pathElement.textContent = getPolicyDisplayPath(policyId, lastSelectedContext) || 'Path not available';
+            pathElement.textContent = getPolicyDisplayPath(policyId, lastSelectedContext) || t('details.pathUnavailable');
         }
         // --- END MODIFICATION ---
 
-        detailNode.querySelector('#details-title').textContent = policy.displayName || 'Unnamed Policy';
-        const supportedText = policy.supportedOn ? `Supported: ${policy.supportedOn}` : 'Support not specified';
-        const admxText = policy.admxFile ? ` (Source: ${policy.admxFile})` : '';
+        detailNode.querySelector('#details-title').textContent = policy.displayName || t('details.unnamedPolicy');
+        const supportedText = policy.supportedOn ? t('details.supported', { supportedOn: policy.supportedOn }) : t('details.supportNotSpecified');
+        const admxText = policy.admxFile ? ` ${t('details.source', { file: policy.admxFile })}` : '';
         detailNode.querySelector('#details-supported').textContent = supportedText + admxText;
-        const explainHtml = (policy.explainText || 'No description available.').replace(/\n/g, '<br>');
-        detailNode.querySelector('#details-description').innerHTML = explainHtml;
+        renderSupportRequirements(policy, detailNode.querySelector('#details-support-parsed'));
+        renderConfiguredValues(policy, detailNode.querySelector('#details-configured'));
+        renderBaselineDetails(policy, detailNode.querySelector('#details-baseline'));
+        renderDescription(detailNode.querySelector('#details-description'), policy.explainText || t('details.noDescription'), policy);
+        renderReferencedBy(policy, detailNode.querySelector('#details-referenced-by'));
+        renderCollisions(policy, detailNode.querySelector('#details-collisions'));
+        if (secondLangData) {
+            // The side-by-side block replaces the single-language description
+            renderBilingualDetails(policy, detailNode.querySelector('#details-bilingual'));
+            detailNode.querySelector('#details-bilingual-container').classList.remove('hidden');
+            detailNode.querySelector('#details-description-container').classList.add('hidden');
+        }
         const registryElement = detailNode.querySelector('#details-registry');
         registryElement.innerHTML = '';
         if (policy.registry && typeof policy.registry === 'object') {
@@ -406,34 +1229,34 @@ document.addEventListener('DOMContentLoaded', () => {
             const hiveMap = { User: "HKEY_CURRENT_USER", Machine: "HKEY_LOCAL_MACHINE" };
             const classPElement = document.createElement('p');
             if (policy.class === 'Both') {
-                classPElement.innerHTML = `<strong>Scope:</strong> ${hiveMap.Machine} *and* ${hiveMap.User} (Current view: ${effectivePolicyContext})`;
+                classPElement.innerHTML = html`<strong>${t('registry.scope')}</strong> ${t('registry.scopeBoth', { machine: hiveMap.Machine, user: hiveMap.User, context: getContextLabel(effectivePolicyContext) })}`;
             } else {
-                classPElement.innerHTML = `<strong>Scope:</strong> ${hiveMap[policy.class] || policy.class}`;
+                classPElement.innerHTML = html`<strong>${t('registry.scope')}</strong> ${hiveMap[policy.class] || policy.class}`;
             }
             registryElement.appendChild(classPElement);
             
             const keyP = document.createElement('p');
-            let regKey = reg.key || 'Not specified';
-            keyP.innerHTML = `<strong>Path:</strong> ${regKey}`;
+            let regKey = reg.key || t('registry.notSpecified');
+            keyP.innerHTML = html`<strong>${t('registry.path')}</strong> ${regKey}`;
             registryElement.appendChild(keyP);
 
             if (reg.valueName && (!reg.elements || reg.elements.length === 0)) {
                 const valueP = document.createElement('p');
-                valueP.innerHTML = `<strong>Value name:</strong> ${reg.valueName}`;
+                valueP.innerHTML = html`<strong>${t('registry.valueName')}</strong> ${reg.valueName}`;
                 registryElement.appendChild(valueP);
                 const typeP = document.createElement('p');
-                typeP.innerHTML = `<strong>Type:</strong> ${reg.type === 'Unknown' ? "REG_DWORD" : reg.type || "Unknown"}`;
+                typeP.innerHTML = html`<strong>${t('registry.type')}</strong> ${reg.type === 'Unknown' ? "REG_DWORD" : reg.type || t('registry.unknownType')}`;
                 registryElement.appendChild(typeP);
                 if (reg.type === 'Unknown') reg.options = [{value:"1",display:"Enabled"},{value:"0",display:"Disabled"}];
                 if (reg.options?.length > 0) {
                     const optionsTitle = document.createElement('strong');
-                    optionsTitle.textContent = 'Options:';
+                    optionsTitle.textContent = t('registry.options');
                     registryElement.appendChild(optionsTitle);
                     const optionsList = document.createElement('ul');
                     optionsList.className = 'list-disc list-inside mt-1 pl-4 text-sm';
                     reg.options.forEach(opt => {
                          const item = document.createElement('li');
-                         item.innerHTML = `<em>${opt.display || '?'}</em>: <code>${opt.value !== undefined ? opt.value : '?'}</code>`;
+                         item.innerHTML = html`<em>${opt.display || '?'}</em>: <code>${opt.value !== undefined ? opt.value : '?'}</code>`;
                          optionsList.appendChild(item);
                     });
                     registryElement.appendChild(optionsList);
@@ -442,13 +1265,13 @@ document.addEventListener('DOMContentLoaded', () => {
             if (reg.elements?.length > 0) {
                 const elementsTitle = document.createElement('h4');
                 elementsTitle.className = 'font-medium mt-3 mb-1 text-gray-800';
-                elementsTitle.textContent = 'Registry Elements:';
+                elementsTitle.textContent = t('registry.elements');
                 registryElement.appendChild(elementsTitle);
                  if (reg.valueName) {
                      const mainValueInfo = document.createElement('p');
                      mainValueInfo.className = 'mt-1 mb-2 text-xs italic text-gray-600';
-                     const mainOptionsText = (reg.options?.length > 0) ? ` (Options: ${reg.options.map(o => `${o.display || '?'}=${o.value !== undefined ? o.value : '?'}`).join(', ')})` : '';
-                     mainValueInfo.innerHTML = `(Main value name: <strong>${reg.valueName}</strong>, Type: ${reg.type || 'Unknown'}${mainOptionsText})`;
+                     const mainOptionsText = (reg.options?.length > 0) ? ` ${t('registry.mainValueOptions', { options: reg.options.map(o => `${o.display || '?'}=${o.value !== undefined ? o.value : '?'}`).join(', ') })}` : '';
+                     mainValueInfo.innerHTML = html`(${tHtml('registry.mainValue', { valueName: html`<strong>${reg.valueName}</strong>`, type: reg.type || t('registry.unknownType') })}${mainOptionsText})`;
                      elementsTitle.before(mainValueInfo);
                  }
                 const elementsList = document.createElement('div');
@@ -456,24 +1279,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 reg.elements.forEach(elem => {
                     const elemDiv = document.createElement('div');
                     elemDiv.className = 'border-b border-dashed pb-1 mb-1 border-gray-200';
-                    let elemHtml = `<strong>${elem.valueName || elem.id || '?'}</strong> <span class="text-sm text-gray-600">(${elem.type || 'Unknown'})</span>`;
                     const details = [];
-                    if (elem.minValue !== undefined) details.push(`Min: ${elem.minValue}`);
-                    if (elem.maxValue !== undefined) details.push(`Max: ${elem.maxValue}`);
-                    if (elem.maxLength !== undefined) details.push(`Max Length: ${elem.maxLength}`);
-                    if (elem.required) details.push(`Required`);
-                    if (details.length > 0) elemHtml += `, ${details.join(', ')}`;
-                    elemDiv.innerHTML = elemHtml;
+                    if (elem.minValue != null) details.push(t('registry.min', { value: elem.minValue }));
+                    if (elem.maxValue != null) details.push(t('registry.max', { value: elem.maxValue }));
+                    if (elem.maxLength != null) details.push(t('registry.maxLength', { value: elem.maxLength }));
+                    if (elem.required) details.push(t('registry.required'));
+                    elemDiv.innerHTML = html`<strong>${elem.valueName || elem.id || '?'}</strong> <span class="text-sm text-gray-600">(${elem.type || t('registry.unknownType')})</span>${details.length > 0 ? `, ${details.join(', ')}` : ''}`;
                     if (elem.options?.length > 0) {
                         const elemOptionsTitle = document.createElement('strong');
                         elemOptionsTitle.className = 'text-xs block mt-1';
-                        elemOptionsTitle.textContent = 'Options:';
+                        elemOptionsTitle.textContent = t('registry.options');
                         elemDiv.appendChild(elemOptionsTitle);
                         const elemOptionsList = document.createElement('ul');
                         elemOptionsList.className = 'list-disc list-inside mt-0 pl-4 text-xs';
                         elem.options.forEach(opt => {
                             const item = document.createElement('li');
-                            item.innerHTML = `<em>${opt.display || '?'}</em>: <code>${opt.value !== undefined ? opt.value : '?'}</code>`;
+                            item.innerHTML = html`<em>${opt.display || '?'}</em>: <code>${opt.value !== undefined ? opt.value : '?'}</code>`;
                             elemOptionsList.appendChild(item);
                         });
                         elemDiv.appendChild(elemOptionsList);
@@ -485,11 +1306,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!reg.valueName && (!reg.elements || reg.elements.length === 0)) {
                  const noValueP = document.createElement('p');
                  noValueP.className = 'text-sm italic text-gray-500 mt-1';
-                 noValueP.textContent = '(No specific value name or elements defined)';
+                 noValueP.textContent = t('registry.noValue');
                  registryElement.appendChild(noValueP);
             }
         } else {
-            registryElement.textContent = 'No registry information available.';
+            registryElement.textContent = t('registry.none');
         }
         const presentationContainer = detailNode.querySelector('#details-presentation-container');
         const presentationElement = detailNode.querySelector('#details-presentation');
@@ -498,201 +1319,2426 @@ document.addEventListener('DOMContentLoaded', () => {
             policy.presentation.elements.forEach(presElem => {
                  const presDiv = document.createElement('div');
                  presDiv.className = 'text-sm mb-1';
-                 presDiv.innerHTML = `<strong>${presElem.label || presElem.type || '?'}</strong> <span class="text-xs text-gray-500">(${presElem.type || '?'}${presElem.refId ? `, ref: ${presElem.refId}` : ''})</span>`;
+                 presDiv.innerHTML = html`<strong>${presElem.label || presElem.type || '?'}</strong> <span class="text-xs text-gray-500">(${presElem.type || '?'}${presElem.refId ? `, ${t('presentation.ref', { refId: presElem.refId })}` : ''})</span>`;
                  presentationElement.appendChild(presDiv);
             });
             presentationContainer.style.display = 'block';
         } else {
             presentationContainer.style.display = 'none';
         }
+        const updateIntunePayload = renderIntuneMapping(policy, detailNode.querySelector('#details-intune'));
+        renderPolicyConfigurator(policy, detailNode.querySelector('#details-configure'), updateIntunePayload);
         detailsContentElement.innerHTML = '';
         detailsContentElement.appendChild(detailNode);
     }
 
-    function clearDetails(updateHash = true) {
-         detailsContentElement.innerHTML = `<h2 class="text-gray-500 p-6">Select a setting from the list.</h2>`;
-         const oldPolicyId = lastSelectedPolicyId;
-         lastSelectedPolicyId = null;
-         
-         settingsListElement.querySelectorAll('.setting-item.selected').forEach(el => {
-            el.classList.remove('selected', 'bg-blue-100', 'border-blue-500');
-         });
-         if (updateHash && oldPolicyId) updateUrlHash(); 
+    // --- Intune Mapping ---
+    function createCopyableCode(labelText, text) {
+        const row = document.createElement('div');
+        const label = document.createElement('span');
+        label.className = 'block text-xs font-semibold text-gray-700';
+        label.textContent = labelText;
+        const line = document.createElement('div');
+        line.className = 'flex items-start gap-2';
+        const code = document.createElement('code');
+        code.className = 'flex-grow font-mono text-xs bg-gray-200 p-1 rounded break-all';
+        code.textContent = text;
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'border border-gray-300 rounded px-2 text-xs hover:bg-gray-100';
+        copyButton.textContent = t('action.copy');
+        copyButton.addEventListener('click', () => navigator.clipboard?.writeText(code.textContent));
+        line.append(code, copyButton);
+        row.append(label, line);
+        return { row, code };
     }
 
+    // Renders OMA-URIs and the payload; returns a function that refreshes the payload from the configurator
+    function renderIntuneMapping(policy, container) {
+        if (!container) return null;
+        container.innerHTML = '';
+        if (!policy.name || !policy.admxFile) {
+            container.closest('#details-intune-container').style.display = 'none';
+            return null;
+        }
+        const policySet = POLICY_SETS.find(set => set.id === currentPolicySet);
+        const scopeLabels = { Device: t('intune.deviceScope'), User: t('intune.userScope') };
 
-    // --- URL Expansion Helper ---
-    function expandToCategory(categoryId, targetContext = null) {
-        if (!categoryId || categoryId.startsWith('VIRTUAL_') || categoryId === 'ROOT') return;
-        const ancestors = [];
-        let currentId = categoryId;
-        while (currentId && currentId !== 'ROOT' && !currentId.startsWith('VIRTUAL_')) {
-            const category = categoriesMap.get(currentId);
-            if (!category) break;
-            ancestors.push(currentId);
-            currentId = category.parent;
-            if (!currentId) break;
+        if (!policySet?.thirdParty) {
+            const heading = document.createElement('p');
+            heading.className = 'text-xs text-gray-500';
+            heading.textContent = t('intune.inbox');
+            container.appendChild(heading);
+            OmaUri.getInboxUris(policy).forEach(({ scope, uri }) => container.appendChild(createCopyableCode(scopeLabels[scope], uri).row));
         }
-        let virtualRootContext = targetContext;
-        if (!virtualRootContext) {
-            const topOriginalAncestorId = ancestors.length > 0 ? ancestors[ancestors.length - 1] : categoryId;
-            virtualRootContext = categoryContainsClass(topOriginalAncestorId, 'Machine') ? 'Machine' : (categoryContainsClass(topOriginalAncestorId, 'User') ? 'User' : 'Machine');
+
+        // Sets loaded from local files may be third-party as well, so they get both variants
+        if (policySet?.thirdParty || policySet?.localData) {
+            const heading = document.createElement('p');
+            heading.className = 'text-xs text-gray-500 pt-1';
+            heading.textContent = t('intune.ingested', { file: policy.admxFile });
+            const appLabel = document.createElement('label');
+            appLabel.className = 'block text-xs text-gray-700';
+            appLabel.textContent = `${t('intune.appName')} `;
+            const appInput = document.createElement('input');
+            appInput.type = 'text';
+            appInput.className = 'border border-gray-300 rounded px-1 text-xs font-mono';
+            appInput.value = intuneAppNames.get(policy.admxFile) || OmaUri.getDefaultAppName(policy);
+            appLabel.appendChild(appInput);
+            container.append(heading, appLabel);
+
+            const ingestion = createCopyableCode(t('intune.admxIngestion'), '');
+            container.appendChild(ingestion.row);
+            const ingestedCodes = OmaUri.getScopes(policy).map(scope => {
+                const code = createCopyableCode(t('intune.ingestedScope', { scope: scopeLabels[scope] }), '');
+                container.appendChild(code.row);
+                return { scope, code: code.code };
+            });
+            const updateIngestedUris = () => {
+                const appName = appInput.value.trim() || OmaUri.getDefaultAppName(policy);
+                intuneAppNames.set(policy.admxFile, appName);
+                ingestion.code.textContent = OmaUri.getIngestionUri(policy, appName);
+                const uris = OmaUri.getIngestedUris(policy, categoriesMap, appName);
+                ingestedCodes.forEach(({ scope, code }) => { code.textContent = uris.find(item => item.scope === scope).uri; });
+            };
+            appInput.addEventListener('input', updateIngestedUris);
+            updateIngestedUris();
         }
-        const virtualRootId = virtualRootContext === 'Machine' ? VIRTUAL_COMPUTER_ROOT_ID : VIRTUAL_USER_ROOT_ID;
-        ancestors.push(virtualRootId);
-        ancestors.reverse();
-        ancestors.forEach(idToExpand => {
-            const nodeTreeId = `${virtualRootContext}_${idToExpand}`;
-            const nodeLi = navTreeElement.querySelector(`li[data-tree-id="${nodeTreeId}"]`) || navTreeElement.querySelector(`li[data-category-id="${idToExpand}"][data-context="${virtualRootContext}"]`);
-            if (nodeLi) {
-                const subUl = nodeLi.querySelector(':scope > ul');
+
+        const payloadLabel = document.createElement('span');
+        payloadLabel.className = 'block text-xs font-semibold text-gray-700 pt-1';
+        payloadLabel.textContent = t('intune.payload');
+        const payload = document.createElement('pre');
+        payload.className = 'font-mono text-xs bg-gray-200 p-2 rounded whitespace-pre-wrap break-all';
+        container.append(payloadLabel, payload);
+
+        const updatePayload = () => {
+            const state = getConfiguratorState(policy);
+            payload.textContent = OmaUri.buildPayload(policy, state.state === 'Disabled' ? 'Disabled' : 'Enabled', state.values);
+        };
+        updatePayload();
+        return updatePayload;
+    }
+
+    // --- Policy Configurator ---
+    function getPresentationForElement(policy, elementId) {
+        return policy.presentation?.elements?.find(presElem => presElem.refId === elementId) || null;
+    }
+
+    function getConfiguratorState(policy) {
+        if (configuratorState?.policyId !== policy.id) {
+            const values = {};
+            (policy.registry?.elements || []).forEach(elem => {
+                const presDefault = getPresentationForElement(policy, elem?.id)?.default;
+                if (elem && presDefault !== null && presDefault !== undefined) values[elem.id] = presDefault;
+            });
+            // Start from the basket entry, or else the imported Registry.pol settings, when there is one
+            const scope = policy.class === 'Both' ? (lastSelectedContext || 'Machine') : policy.class;
+            const saved = findBasketEntry(policy.id, scope) || getPolOverlayMatch(policy.id, lastSelectedContext);
+            if (saved) Object.assign(values, JSON.parse(JSON.stringify(saved.values)));
+            configuratorState = { policyId: policy.id, state: saved?.state || 'NotConfigured', values, scope: null, format: 'reg' };
+        }
+        return configuratorState;
+    }
+
+    function getConfiguratorScope(policy, state) {
+        if (policy.class !== 'Both') return policy.class;
+        return state.scope || lastSelectedContext || 'Machine';
+    }
+
+    function createElementInput(policy, elem, state, onChange) {
+        const kind = RegistryExport.getElementKind(elem);
+        const presElem = getPresentationForElement(policy, elem.id);
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        label.className = 'block text-xs font-semibold text-gray-700 mb-1';
+        label.textContent = `${presElem?.label || elem.valueName || elem.id}${elem.required ? ' *' : ''}`;
+        const inputId = `configure-${elem.id}`;
+        label.htmlFor = inputId;
+        wrapper.appendChild(label);
+
+        let input;
+        const currentValue = state.values[elem.id];
+        if (kind === 'enum') {
+            input = document.createElement('select');
+            input.appendChild(new Option(t('configure.notSet'), ''));
+            elem.options.forEach(opt => input.appendChild(new Option(`${opt.display ?? opt.value} (${opt.value})`, String(opt.value))));
+            input.value = currentValue !== undefined ? String(currentValue) : '';
+            input.addEventListener('change', () => onChange(elem.id, input.value));
+        } else if (kind === 'decimal') {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.step = '1';
+            if (elem.minValue != null) input.min = elem.minValue;
+            if (elem.maxValue != null) input.max = elem.maxValue;
+            input.value = currentValue ?? '';
+            input.addEventListener('input', () => onChange(elem.id, input.value));
+        } else if (kind === 'list' || kind === 'multiText') {
+            input = document.createElement('textarea');
+            input.rows = 4;
+            input.placeholder = elem.explicitValue ? t('configure.onePairPerLine') : t('configure.oneEntryPerLine');
+            if (Array.isArray(currentValue)) {
+                input.value = currentValue.map(item => (typeof item === 'string' ? item : `${item.name}=${item.value}`)).join('\n');
+            }
+            input.addEventListener('input', () => {
+                const lines = input.value.split(/\r?\n/).filter(line => line.trim() !== '');
+                onChange(elem.id, elem.explicitValue
+                    ? lines.map(line => {
+                        const separator = line.indexOf('=');
+                        return separator === -1 ? { name: line.trim(), value: '' } : { name: line.slice(0, separator).trim(), value: line.slice(separator + 1) };
+                    })
+                    : lines);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            if (elem.maxLength != null) input.maxLength = Number(elem.maxLength);
+            input.value = currentValue ?? '';
+            input.addEventListener('input', () => onChange(elem.id, input.value));
+        }
+        input.id = inputId;
+        input.className = 'w-full p-1 border border-gray-300 rounded text-sm font-mono';
+        wrapper.appendChild(input);
+
+        const hints = [];
+        if (elem.minValue != null || elem.maxValue != null) hints.push(t('configure.range', { min: elem.minValue ?? '0', max: elem.maxValue ?? 'max' }));
+        if (elem.maxLength != null) hints.push(t('configure.maxLength', { value: elem.maxLength }));
+        if (kind === 'list') hints.push(t('configure.writtenTo', { key: RegistryExport.getElementKey(policy, elem) }));
+        if (hints.length > 0) {
+            const hint = document.createElement('p');
+            hint.className = 'text-xs text-gray-500 mt-1';
+            hint.textContent = hints.join(' · ');
+            wrapper.appendChild(hint);
+        }
+        return wrapper;
+    }
+
+    function downloadFile(fileName, content, mimeType = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function renderPolicyConfigurator(policy, container, onChange = null) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (!policy.registry?.key) {
+            container.closest('#details-configure-container').style.display = 'none';
+            return;
+        }
+        const state = getConfiguratorState(policy);
+        const elements = (policy.registry.elements || []).filter(Boolean);
+
+        const stateGroup = document.createElement('div');
+        stateGroup.className = 'flex flex-wrap gap-4';
+        stateGroup.setAttribute('role', 'radiogroup');
+        stateGroup.setAttribute('aria-label', t('configure.policyState'));
+        RegistryExport.POLICY_STATES.map(value => [value, getStateLabel(value)]).forEach(([value, text]) => {
+            const label = document.createElement('label');
+            label.className = 'inline-flex items-center gap-1 cursor-pointer';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'configure-state';
+            radio.value = value;
+            radio.checked = state.state === value;
+            radio.addEventListener('change', () => {
+                state.state = value;
+                elementsFieldset.disabled = value !== 'Enabled';
+                updateOutput();
+            });
+            label.append(radio, document.createTextNode(text));
+            stateGroup.appendChild(label);
+        });
+        container.appendChild(stateGroup);
+
+        if (policy.class === 'Both') {
+            const scopeLabel = document.createElement('label');
+            scopeLabel.className = 'block text-xs text-gray-700';
+            scopeLabel.textContent = `${t('configure.applyTo')} `;
+            const scopeSelect = document.createElement('select');
+            scopeSelect.className = 'border border-gray-300 rounded px-1 text-xs';
+            scopeSelect.appendChild(new Option(t('configure.scopeMachine'), 'Machine'));
+            scopeSelect.appendChild(new Option(t('configure.scopeUser'), 'User'));
+            scopeSelect.value = getConfiguratorScope(policy, state);
+            scopeSelect.addEventListener('change', () => {
+                state.scope = scopeSelect.value;
+                updateOutput();
+            });
+            scopeLabel.appendChild(scopeSelect);
+            container.appendChild(scopeLabel);
+        }
+
+        const elementsFieldset = document.createElement('fieldset');
+        elementsFieldset.className = 'space-y-2 disabled:opacity-50';
+        elementsFieldset.disabled = state.state !== 'Enabled';
+        elements.forEach(elem => {
+            elementsFieldset.appendChild(createElementInput(policy, elem, state, (elementId, value) => {
+                state.values[elementId] = value;
+                updateOutput();
+            }));
+        });
+        if (elements.length > 0) container.appendChild(elementsFieldset);
+
+        const errorList = document.createElement('ul');
+        errorList.className = 'text-xs text-red-600 list-disc list-inside';
+        container.appendChild(errorList);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'flex flex-wrap items-center gap-2';
+        const formatButtons = {};
+        [['reg', '.reg'], ['ps1', 'PowerShell']].forEach(([format, text]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.addEventListener('click', () => {
+                state.format = format;
+                updateOutput();
+            });
+            formatButtons[format] = button;
+            toolbar.appendChild(button);
+        });
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'ml-auto border border-gray-300 rounded px-2 text-xs hover:bg-gray-100';
+        copyButton.textContent = t('action.copy');
+        copyButton.addEventListener('click', () => navigator.clipboard?.writeText(output.value));
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.className = 'border border-gray-300 rounded px-2 text-xs hover:bg-gray-100';
+        downloadButton.textContent = t('action.download');
+        downloadButton.addEventListener('click', () => {
+            downloadFile(`${policy.name || 'policy'}.${state.format}`, output.value);
+        });
+        const basketButton = document.createElement('button');
+        basketButton.type = 'button';
+        basketButton.className = 'border border-green-600 text-green-700 rounded px-2 text-xs hover:bg-green-50 disabled:opacity-50';
+        basketButton.addEventListener('click', () => {
+            putBasketEntry({
+                policySet: currentPolicySet,
+                policyId: policy.id,
+                scope: getConfiguratorScope(policy, state),
+                state: state.state,
+                values: JSON.parse(JSON.stringify(state.values)),
+            });
+            updateOutput();
+        });
+        toolbar.append(copyButton, downloadButton, basketButton);
+        container.appendChild(toolbar);
+
+        const output = document.createElement('textarea');
+        output.readOnly = true;
+        output.rows = 8;
+        output.className = 'w-full p-2 border border-gray-300 rounded bg-white font-mono text-xs whitespace-pre';
+        output.setAttribute('aria-label', t('configure.output'));
+        container.appendChild(output);
+
+        function updateOutput() {
+            const scope = getConfiguratorScope(policy, state);
+            const { actions, errors } = RegistryExport.buildRegistryActions(policy, state.state, state.values);
+            errorList.innerHTML = '';
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                errorList.appendChild(item);
+            });
+            output.value = state.format === 'ps1' ? RegistryExport.toPowerShell(actions, scope) : RegistryExport.toRegFile(actions, scope);
+            basketButton.disabled = errors.length > 0;
+            basketButton.textContent = findBasketEntry(policy.id, scope) ? t('configure.updateBasket') : t('configure.addToBasket');
+            if (onChange) onChange();
+            Object.entries(formatButtons).forEach(([format, button]) => {
+                button.className = format === state.format
+                    ? 'rounded px-2 text-xs bg-blue-600 text-white border border-blue-600'
+                    : 'rounded px-2 text-xs border border-gray-300 hover:bg-gray-100';
+            });
+        }
+        updateOutput();
+    }
+
+    function clearDetails(updateHash = true) {
+         detailsContentElement.innerHTML = html`<h2 class="text-gray-500 p-6">${t('details.selectSetting')}</h2>`;
+         const oldPolicyId = lastSelectedPolicyId;
+         lastSelectedPolicyId = null;
+         
+         settingsListElement.querySelectorAll('.setting-item.selected').forEach(el => {
+            el.classList.remove('selected', 'bg-blue-100', 'border-blue-500');
+         });
+         if (updateHash && oldPolicyId) updateUrlHash(); 
+    }
+
+
+    // --- URL Expansion Helper ---
+    function expandToCategory(categoryId, targetContext = null) {
+        if (!categoryId || categoryId.startsWith('VIRTUAL_') || categoryId === 'ROOT') return;
+        const ancestors = [];
+        let currentId = categoryId;
+        while (currentId && currentId !== 'ROOT' && !currentId.startsWith('VIRTUAL_')) {
+            const category = categoriesMap.get(currentId);
+            if (!category) break;
+            ancestors.push(currentId);
+            currentId = category.parent;
+            if (!currentId) break;
+        }
+        let virtualRootContext = targetContext;
+        if (!virtualRootContext) {
+            const topOriginalAncestorId = ancestors.length > 0 ? ancestors[ancestors.length - 1] : categoryId;
+            virtualRootContext = categoryContainsClass(topOriginalAncestorId, 'Machine') ? 'Machine' : (categoryContainsClass(topOriginalAncestorId, 'User') ? 'User' : 'Machine');
+        }
+        const virtualRootId = virtualRootContext === 'Machine' ? VIRTUAL_COMPUTER_ROOT_ID : VIRTUAL_USER_ROOT_ID;
+        ancestors.push(virtualRootId);
+        ancestors.reverse();
+        ancestors.forEach(idToExpand => {
+            const nodeTreeId = `${virtualRootContext}_${idToExpand}`;
+            const nodeLi = navTreeElement.querySelector(`li[data-tree-id="${nodeTreeId}"]`) || navTreeElement.querySelector(`li[data-category-id="${idToExpand}"][data-context="${virtualRootContext}"]`);
+            if (nodeLi) {
+                const subUl = nodeLi.querySelector(':scope > ul');
                 const toggle = nodeLi.querySelector(':scope > div > .toggle');
                 if (toggle && subUl && subUl.style.display === 'none') {
                     toggleNode(toggle, true);
                 }
             }
-        });
-        const targetNodeTreeId = `${virtualRootContext}_${categoryId}`;
-        const targetLi = navTreeElement.querySelector(`li[data-tree-id="${targetNodeTreeId}"]`);
-        if (targetLi) {
-            targetLi.scrollIntoView({ behavior: 'auto', block: 'nearest' });
+        });
+        const targetNodeTreeId = `${virtualRootContext}_${categoryId}`;
+        const targetLi = navTreeElement.querySelector(`li[data-tree-id="${targetNodeTreeId}"]`);
+        if (targetLi) {
+            targetLi.scrollIntoView({ behavior: 'auto', block: 'nearest' });
+        }
+    }
+
+    // --- Global Search and Filtering ---
+    function showGlobalSearchError(error) {
+        if (error) {
+            globalSearchError.textContent = t('search.errorAt', { message: error.message, position: error.position + 1 });
+            globalSearchError.classList.remove('hidden');
+            globalSearchInput.setAttribute('aria-invalid', 'true');
+        } else {
+            globalSearchError.textContent = '';
+            globalSearchError.classList.add('hidden');
+            globalSearchInput.removeAttribute('aria-invalid');
+        }
+    }
+
+    // --- Search Index ---
+    // The index is built once per policy set and language in lib/search-worker.js.
+    // Where workers are unavailable (file://, blocked scripts) it is built on the main thread.
+    function createSearchWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker('lib/search-worker.js');
+            worker.addEventListener('message', handleSearchWorkerMessage);
+            worker.addEventListener('error', handleSearchWorkerFailure);
+            return worker;
+        } catch (error) {
+            console.warn('Search worker unavailable, searching on the main thread:', error);
+            return null;
+        }
+    }
+
+    // getDocuments is only called when the index is built (right away in the worker, on first search without it)
+    function registerSearchIndex(key, getDocuments) {
+        if (searchDocumentSources.has(key)) return;
+        searchDocumentSources.set(key, getDocuments);
+        if (searchWorker) searchWorker.postMessage({ type: 'index', key, policies: getDocuments() });
+    }
+
+    // Indexes of the previous language are not searched any more
+    function disposeSearchIndexes() {
+        if (searchWorker) searchDocumentSources.forEach((_, key) => searchWorker.postMessage({ type: 'dispose', key }));
+        searchDocumentSources.clear();
+        localSearchIndexes.clear();
+        otherSetsSearchData.clear();
+    }
+
+    function buildSearchIndex() {
+        if (searchIndexLanguage !== currentLang) {
+            disposeSearchIndexes();
+            searchIndexLanguage = currentLang;
+        }
+        searchIndexKey = `${currentPolicySet}|${currentLang}`;
+        const policies = Array.from(policiesMap.values());
+        const categoriesById = new Map(categoriesMap);
+        registerSearchIndex(searchIndexKey, () => PolicyData.buildSearchDocuments(policies, categoriesById));
+    }
+
+    function searchLocally(key, query) {
+        if (!localSearchIndexes.has(key)) localSearchIndexes.set(key, SearchIndex.buildIndex(searchDocumentSources.get(key)()));
+        return SearchIndex.search(localSearchIndexes.get(key), SearchQuery.parse(query));
+    }
+
+    function handleSearchWorkerMessage(event) {
+        const { type, id, results, message } = event.data;
+        const pending = pendingSearches.get(id);
+        if (!pending) return;
+        pendingSearches.delete(id);
+        if (type === 'results') {
+            pending.resolve(results);
+        } else {
+            console.warn('Search worker error, searching on the main thread:', message);
+            pending.resolve(searchLocally(pending.key, pending.query));
+        }
+    }
+
+    function handleSearchWorkerFailure(event) {
+        console.warn('Search worker failed, searching on the main thread:', event.message);
+        searchWorker.terminate();
+        searchWorker = null;
+        pendingSearches.forEach(({ key, query, resolve }) => resolve(searchLocally(key, query)));
+        pendingSearches.clear();
+    }
+
+    // Resolves to [{ policyId, contextHint, score, terms }] ordered by relevance
+    function runIndexedSearch(key, query) {
+        if (!searchWorker) return Promise.resolve(searchLocally(key, query));
+        const id = ++searchRequestCounter;
+        return new Promise(resolve => {
+            pendingSearches.set(id, { key, query, resolve });
+            searchWorker.postMessage({ type: 'search', id, key, query });
+        });
+    }
+
+    // Both languages' results for the current set when a second language is shown;
+    // a policy found in both keeps its better score and the matched words of both
+    async function runCurrentSetSearch(query) {
+        const keys = secondLangData ? [searchIndexKey, secondLangData.searchKey] : [searchIndexKey];
+        const resultLists = await Promise.all(keys.map(key => runIndexedSearch(key, query)));
+        if (resultLists.length === 1) return resultLists[0];
+        const merged = new Map();
+        resultLists.flat().forEach(entry => {
+            const mergeKey = `${entry.policyId}|${entry.contextHint}`;
+            const existing = merged.get(mergeKey);
+            if (!existing) merged.set(mergeKey, { ...entry });
+            else merged.set(mergeKey, { ...existing, score: Math.max(existing.score, entry.score), terms: Array.from(new Set([...existing.terms, ...entry.terms])) });
+        });
+        return Array.from(merged.values()).sort((a, b) => b.score - a.score);
+    }
+
+    // --- All-Sets Search ---
+    // Loads and indexes every other policy set in the current language (once per language).
+    // Returns the index keys to search; sets that fail to load are skipped.
+    async function loadOtherSetsForSearch() {
+        const keys = [];
+        for (const set of POLICY_SETS) {
+            if (set.id === currentPolicySet) continue;
+            const key = `${set.id}|${resolveLanguage(set, currentLang)}`;
+            if (!otherSetsSearchData.has(key)) {
+                try {
+                    const data = await fetchPolicySetData(set.id, currentLang);
+                    const categoriesById = new Map((data.allCategories || []).map(category => [category.id, category]));
+                    const policiesById = new Map();
+                    (data.allPolicies || []).forEach(policy => {
+                        policy.searchText = PolicyData.getPolicySearchText(policy);
+                        policiesById.set(policy.id, policy);
+                    });
+                    otherSetsSearchData.set(key, { set, policiesById });
+                    registerSearchIndex(key, () => PolicyData.buildSearchDocuments(Array.from(policiesById.values()), categoriesById));
+                } catch (error) {
+                    console.warn(`All-sets search skips '${set.displayName}':`, error.message);
+                    otherSetsSearchData.set(key, null);
+                }
+            }
+            if (otherSetsSearchData.get(key)) keys.push(key);
+        }
+        return keys;
+    }
+
+    // Results of the current set first, then the other sets in manifest order.
+    // Entries from other sets carry policySet and searchKey.
+    async function runAllSetsSearch(query) {
+        const otherKeys = await loadOtherSetsForSearch();
+        const [currentResults, ...otherResults] = await Promise.all([runCurrentSetSearch(query), ...otherKeys.map(key => runIndexedSearch(key, query))]);
+        return currentResults.concat(...otherResults.map((results, i) => {
+            const policySet = otherSetsSearchData.get(otherKeys[i]).set.id;
+            return results.map(entry => ({ ...entry, policySet, searchKey: otherKeys[i] }));
+        }));
+    }
+
+    function getOtherSetPolicy(entry) {
+        return otherSetsSearchData.get(entry.searchKey)?.policiesById.get(entry.policyId) || null;
+    }
+
+    function getPolicySetName(policySetId) {
+        return POLICY_SETS.find(set => set.id === policySetId)?.displayName || policySetId;
+    }
+
+    // Switches to another policy set and selects one of its policies, keeping the all-sets results
+    // A result of the all-sets search that lives in another set gets a history entry of its own, so back
+    // returns to the result list here; initialize() loads the set and restoreViewState() runs the search again
+    async function openPolicyInSet(policySetId, policyId, context) {
+        const query = globalSearchInput.value.trim();
+        const params = new URLSearchParams();
+        params.set('lang', currentLang);
+        if (secondLangData) params.set('lang2', secondLangData.lang);
+        params.set('policySet', policySetId);
+        params.set('policy', policyId);
+        if (context) params.set('context', context);
+        if (query) {
+            params.set('q', query);
+            if (globalSearchAllSetsInput.checked) params.set('allSets', '1');
+        }
+        history.pushState(null, '', window.location.pathname + window.location.search + '#' + params.toString());
+        lastUrlHash = window.location.hash;
+        await initialize();
+    }
+
+    // options.updateHash: false when the caller writes the hash itself (event listeners pass the event)
+    async function performGlobalSearchAndUpdateView(options = {}) {
+         const searchTerm = globalSearchInput.value.trim();
+         let searchQuery = null;
+         try {
+             searchQuery = SearchQuery.parse(searchTerm);
+             showGlobalSearchError(null);
+         } catch (error) {
+             if (!(error instanceof SearchQuery.SearchQueryError)) throw error;
+             // Keep the previous results visible while the query is being fixed
+             showGlobalSearchError(error);
+             return;
+         }
+
+         let searchResults = [];
+         const allSets = globalSearchAllSetsInput.checked;
+         if (searchQuery) {
+             const searchKey = searchIndexKey;
+             if (allSets) settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('search.searchingAllSets')}</p>`;
+             searchResults = allSets ? await runAllSetsSearch(searchTerm) : await runCurrentSetSearch(searchTerm);
+             // Typing went on or the policy set or scope changed while the search ran
+             if (globalSearchInput.value.trim() !== searchTerm || searchIndexKey !== searchKey || globalSearchAllSetsInput.checked !== allSets) return;
+         }
+
+         const wasSearchActive = isGlobalSearchActive;
+         isAllSetsSearch = allSets;
+         globalSearchTerm = searchTerm;
+         globalSearchQuery = searchQuery;
+         isGlobalSearchActive = globalSearchQuery !== null;
+         globalSearchPolicyEntries = searchResults;
+
+         if (isGlobalSearchActive) {
+             settingsSearchInput.value = '';
+             displaySettingsList(globalSearchPolicyEntries);
+             settingsSearchInput.disabled = globalSearchPolicyEntries.length === 0;
+
+             let currentSelectionStillValid = false;
+             if (lastSelectedPolicyId) {
+                 const foundEntry = globalSearchPolicyEntries.find(
+                     entry => !entry.policySet && entry.policyId === lastSelectedPolicyId &&
+                              (policiesMap.get(lastSelectedPolicyId)?.class !== 'Both' || entry.contextHint === lastSelectedContext)
+                 );
+                 if (foundEntry) {
+                    currentSelectionStillValid = true;
+                 }
+             }
+             if (!currentSelectionStillValid && lastSelectedPolicyId) {
+                 clearDetails();
+             } else if (currentSelectionStillValid) {
+                 highlightPolicyInSettingsList(lastSelectedPolicyId, lastSelectedContext); 
+             }
+
+         } else {
+             if (lastSelectedCategoryId && lastSelectedContext) {
+                 displaySettingsList(lastSelectedCategoryId, lastSelectedContext);
+             } else {
+                 selectDefaultCategory();
+             }
+             settingsSearchInput.disabled = !lastSelectedCategoryId;
+         }
+         renderFacetFilter(); // The counts follow the search hits
+         updateNavTreeVisibilityForSearch();
+         // Starting or leaving a search is a step back; refining the query is not
+         if (options.updateHash !== false) updateUrlHash(wasSearchActive !== isGlobalSearchActive);
+    }
+
+    function updateNavTreeVisibilityForSearch() {
+        const isSearchActive = isGlobalSearchActive;
+        // Category names can only match queries made of free-text terms
+        const matchCategoryNames = isSearchActive && !SearchQuery.hasFieldTerms(globalSearchQuery);
+        const policyIdsFromSearch = new Set(globalSearchPolicyEntries
+            .filter(entry => !entry.policySet && (!hasPolicyFilters() || policyPassesFilters(policiesMap.get(entry.policyId), entry.contextHint)))
+            .map(entry => entry.policyId));
+
+        const categoryIdsToShow = new Set();
+        if (isSearchActive) {
+            const categoriesContainingPolicyMatches = new Set();
+            policyIdsFromSearch.forEach(policyId => {
+                const policy = policiesMap.get(policyId);
+                if (policy?.categoryId) categoriesContainingPolicyMatches.add(policy.categoryId);
+            });
+            categoriesMap.forEach((category, categoryId) => {
+                if (matchCategoryNames && categoryId !== 'ROOT' && !categoryId.startsWith('VIRTUAL_')) {
+                    if (SearchQuery.matchesText(globalSearchQuery, category.searchText)) {
+                        categoriesContainingPolicyMatches.add(categoryId);
+                    }
+                }
+            });
+            categoriesContainingPolicyMatches.forEach(matchingCatId => {
+                let currentId = matchingCatId;
+                while (currentId && currentId !== 'ROOT' && !currentId.startsWith('VIRTUAL_')) {
+                    categoryIdsToShow.add(currentId);
+                    const cat = categoriesMap.get(currentId);
+                    currentId = cat?.parent;
+                    if (!cat) break;
+                }
+            });
+        }
+
+        treeSearchCategoryIds = isSearchActive ? categoryIdsToShow : null;
+        let visibleItemCount = 0;
+        // Walks the rendered items only; expanding a match renders its children, which are walked next
+        const applyVisibility = (ul) => {
+            ul.querySelectorAll(':scope > li.original-category').forEach(itemLi => {
+                const categoryId = itemLi.getAttribute('data-category-id');
+                const shouldShow = !isSearchActive || categoryIdsToShow.has(categoryId);
+                itemLi.style.display = shouldShow ? 'list-item' : 'none';
+                const subUl = itemLi.querySelector(':scope > ul');
+                if (shouldShow) {
+                    visibleItemCount++;
+                    const toggle = itemLi.querySelector(':scope > div > .toggle');
+                    if (toggle && subUl) {
+                        const shouldExpand = isSearchActive && categoryIdsToShow.has(categoryId);
+                        if (subUl.style.display === 'none' && shouldExpand) toggleNode(toggle, true);
+                        else if (subUl.style.display === 'block' && !shouldExpand && !isNodeExpandedDueToSelection(itemLi)) toggleNode(toggle, false);
+                    }
+                }
+                if (subUl?.dataset.rendered === 'true') applyVisibility(subUl);
+            });
+        };
+        navTreeElement.querySelectorAll('li.top-level-virtual > ul').forEach(applyVisibility);
+
+        [VIRTUAL_COMPUTER_ROOT_ID, VIRTUAL_USER_ROOT_ID].forEach(rootId => {
+            const rootLi = navTreeElement.querySelector(`li[data-category-id="${rootId}"]`);
+            if (rootLi) {
+                const hasVisibleChildren = rootLi.querySelector('li.original-category[style*="list-item"]');
+                rootLi.style.display = (isSearchActive && !hasVisibleChildren) ? 'none' : 'list-item';
+                const rootToggle = rootLi.querySelector(':scope > div > .toggle');
+                const rootUl = rootLi.querySelector(':scope > ul');
+                if (rootToggle && rootUl) rootToggle.textContent = rootUl.style.display === 'block' ? '▼' : '▶';
+            }
+        });
+
+        const noResultsMsg = navTreeElement.querySelector('.no-results-message');
+        if (isSearchActive && visibleItemCount === 0 && !noResultsMsg) {
+            const msgElement = document.createElement('p');
+            msgElement.className = 'text-gray-500 p-4 no-results-message';
+            msgElement.textContent = t('tree.noMatchingCategories');
+            const rootUl = navTreeElement.querySelector('ul');
+            if (rootUl) rootUl.after(msgElement); else navTreeElement.appendChild(msgElement);
+        } else if (noResultsMsg && (!isSearchActive || visibleItemCount > 0)) {
+            noResultsMsg.remove();
+        }
+        updateTreeTabStop();
+    }
+    
+    function isNodeExpandedDueToSelection(liElement) {
+        return liElement.querySelector('.category-name.selected') !== null;
+    }
+
+    function applyFiltersOnMiddleSearch() {
+        if (isGlobalSearchActive) {
+            displaySettingsList(globalSearchPolicyEntries);
+        } else if (lastSelectedCategoryId && lastSelectedContext) {
+             displaySettingsList(lastSelectedCategoryId, lastSelectedContext);
+        }
+        updateUrlHash();
+    }
+
+
+    // --- Local ADMX Loading ---
+    function isPolicyDefinitionFile(path) {
+        return /\.(admx|adml)$/i.test(path);
+    }
+
+    // ADML files dropped without their language folder are assumed to be in the current language
+    function withLanguageFolder(path) {
+        if (!/\.adml$/i.test(path) || AdmxParser.languageOfPath(path)) return path;
+        return `${currentLang}/${path.split(/[\\/]/).pop()}`;
+    }
+
+    async function readPolicyDefinitionFiles(fileEntries) {
+        const files = [];
+        for (const { path, file } of fileEntries) {
+            if (/\.zip$/i.test(path)) {
+                const zipEntries = await ZipReader.readZipEntries(await file.arrayBuffer(), { filter: isPolicyDefinitionFile });
+                zipEntries.forEach(entry => files.push({ path: withLanguageFolder(entry.path), content: entry.content }));
+            } else if (isPolicyDefinitionFile(path)) {
+                files.push({ path: withLanguageFolder(path), content: await file.arrayBuffer() });
+            }
+        }
+        return files;
+    }
+
+    function readDirectoryEntries(directoryReader) {
+        return new Promise((resolve, reject) => directoryReader.readEntries(resolve, reject));
+    }
+
+    async function collectDroppedEntry(entry, results) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ path: entry.fullPath.replace(/^\//, ''), file });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in batches until an empty batch
+            let batch;
+            while ((batch = await readDirectoryEntries(reader)).length > 0) {
+                for (const child of batch) await collectDroppedEntry(child, results);
+            }
+        }
+    }
+
+    async function loadLocalPolicyDefinitions(fileEntries, sourceName) {
+        navTreeElement.innerHTML = html`<p class="p-4 text-gray-500">${t('local.parsing')}</p>`;
+        try {
+            const files = await readPolicyDefinitionFiles(fileEntries);
+            const { dataByLanguage, warnings, admxCount } = AdmxParser.generateFromFiles(files);
+            warnings.forEach(warning => console.warn(`ADMX parser: ${warning}`));
+            if (Object.keys(dataByLanguage).length === 0) {
+                throw new Error(t('local.noAdml', { count: admxCount }));
+            }
+
+            localPolicySetCounter++;
+            const localSet = {
+                id: `local_${localPolicySetCounter}`,
+                displayName: t('local.setName', { source: sourceName }),
+                isDefault: false,
+                localData: dataByLanguage,
+            };
+            POLICY_SETS.push(localSet);
+
+            const languages = Object.keys(dataByLanguage);
+            const params = new URLSearchParams();
+            params.set('lang', languages.includes(currentLang) ? currentLang : languages[0]);
+            params.set('policySet', localSet.id);
+            history.replaceState(null, '', window.location.pathname + window.location.search + '#' + params.toString());
+            await initialize();
+        } catch (error) {
+            // Restore the current view before reporting the problem
+            renderNavTree();
+            detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${t('local.error', { source: sourceName, message: error.message })}</p>`;
+        }
+    }
+
+    function handleAdmxInputChange(event) {
+        const input = event.target;
+        const fileEntries = Array.from(input.files).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+        if (fileEntries.length === 0) return;
+        const firstPath = fileEntries[0].path;
+        const sourceName = fileEntries.length === 1 || !firstPath.includes('/') ? fileEntries[0].file.name : firstPath.split('/')[0];
+        loadLocalPolicyDefinitions(fileEntries, sourceName);
+        input.value = '';
+    }
+
+    async function handleDrop(event) {
+        event.preventDefault();
+        dropOverlay.classList.add('hidden');
+        const items = Array.from(event.dataTransfer.items || []);
+        const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+        const fileEntries = [];
+        if (entries.length > 0) {
+            try {
+                for (const entry of entries) await collectDroppedEntry(entry, fileEntries);
+            } catch (error) {
+                // A file or folder can become unreadable between the drop and the read
+                const sourceName = entries.length === 1 ? entries[0].name : t('local.fileCount', { count: entries.length });
+                detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${t('local.error', { source: sourceName, message: error.message })}</p>`;
+                return;
+            }
+        } else {
+            Array.from(event.dataTransfer.files).forEach(file => fileEntries.push({ path: file.name, file }));
+        }
+        if (fileEntries.length === 0) return;
+        const polEntry = fileEntries.find(({ path }) => /\.pol$/i.test(path));
+        if (polEntry) {
+            importRegistryPol(polEntry.file, polEntry.path);
+            return;
+        }
+        const regEntry = fileEntries.find(({ path }) => /\.reg$/i.test(path));
+        if (regEntry) {
+            openRegFileInLookup(regEntry.file);
+            return;
+        }
+        const sourceName = entries.length === 1 ? entries[0].name : t('local.fileCount', { count: fileEntries.length });
+        loadLocalPolicyDefinitions(fileEntries, sourceName);
+    }
+
+    function setupLocalAdmxLoading() {
+        openAdmxFolderButton.addEventListener('click', () => admxFolderInput.click());
+        openAdmxFilesButton.addEventListener('click', () => admxFileInput.click());
+        admxFolderInput.addEventListener('change', handleAdmxInputChange);
+        admxFileInput.addEventListener('change', handleAdmxInputChange);
+
+        let dragDepth = 0;
+        document.addEventListener('dragenter', (event) => {
+            if (!event.dataTransfer?.types.includes('Files')) return;
+            dragDepth++;
+            dropOverlay.classList.remove('hidden');
+        });
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) dropOverlay.classList.add('hidden');
+        });
+        document.addEventListener('dragover', (event) => event.preventDefault());
+        document.addEventListener('drop', (event) => {
+            dragDepth = 0;
+            handleDrop(event);
+        });
+    }
+
+    // --- Registry.pol Overlay ---
+    // Group Policy stores computer and user settings in Machine\Registry.pol and User\Registry.pol
+    function guessPolScope(path) {
+        return /(^|[\\/])user[\\/]/i.test(path) ? 'User' : 'Machine';
+    }
+
+    function matchPolOverlay() {
+        if (!polOverlay) return;
+        const { matches, unmatched } = RegistryPol.matchRegistryPol(polOverlay.entries, Array.from(policiesMap.values()), polOverlay.scope);
+        polOverlay.matches = matches;
+        polOverlay.unmatched = unmatched;
+        configuredCountCache.clear();
+        renderPolOverlayBar();
+    }
+
+    function getPolOverlayMatch(policyId, context) {
+        if (!polOverlay?.matches || (context && context !== polOverlay.scope)) return null;
+        return polOverlay.matches.get(policyId) || null;
+    }
+
+    function countConfiguredPolicies(categoryId, context) {
+        if (!polOverlay?.matches || context !== polOverlay.scope) return 0;
+        const cacheKey = `${categoryId}:${context}`;
+        if (configuredCountCache.has(cacheKey)) return configuredCountCache.get(cacheKey);
+        const category = categoriesMap.get(categoryId);
+        let count = 0;
+        (category?.policies || []).forEach(policyId => { if (polOverlay.matches.has(policyId)) count++; });
+        (category?.children || []).forEach(childId => { count += countConfiguredPolicies(childId, context); });
+        configuredCountCache.set(cacheKey, count);
+        return count;
+    }
+
+    function createPolStateBadge(state) {
+        const badge = document.createElement('span');
+        badge.className = `pol-badge ml-2 px-1 rounded text-xs ${state === 'Enabled' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`;
+        badge.textContent = getStateLabel(state);
+        badge.title = t('pol.badgeTitle');
+        return badge;
+    }
+
+    function renderConfiguredValues(policy, container) {
+        const polMatch = getPolOverlayMatch(policy.id, lastSelectedContext);
+        if (!container || !polMatch) return;
+        container.closest('#details-configured-container').classList.remove('hidden');
+        container.innerHTML = '';
+        const stateP = document.createElement('p');
+        stateP.className = 'mb-2';
+        stateP.append(`${t('pol.state')} `, createPolStateBadge(polMatch.state));
+        container.appendChild(stateP);
+        const list = document.createElement('ul');
+        list.className = 'font-mono text-xs space-y-1 break-all';
+        polMatch.entries.forEach(entry => {
+            const item = document.createElement('li');
+            const valueLabel = entry.valueName === '' ? '' : `\\${entry.valueName}`;
+            item.textContent = `${entry.key}${valueLabel} = ${RegistryPol.formatEntryData(entry)}`;
+            if (entry.action === 'set' || entry.action === 'softSet') item.textContent += ` (${entry.type})`;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    function renderPolOverlayBar() {
+        if (!polOverlay) {
+            polOverlayBar.classList.add('hidden');
+            return;
+        }
+        polOverlayBar.classList.remove('hidden');
+        polOverlayScopeSelect.value = polOverlay.scope;
+        polOverlaySummary.textContent = t('pol.summary', { file: polOverlay.fileName, count: polOverlay.matches?.size || 0 });
+        polOverlayUnmatchedButton.textContent = t('pol.unmatchedButton', { count: polOverlay.unmatched?.length || 0 });
+        polOverlayUnmatchedButton.disabled = !polOverlay.unmatched?.length;
+    }
+
+    // Re-renders tree, list and details so badges, configured values and baseline marks follow the overlays
+    function refreshPolOverlayViews() {
+        renderNavTree();
+        if (lastSelectedCategoryId && lastSelectedContext) {
+            expandToCategory(lastSelectedCategoryId, lastSelectedContext);
+            highlightNavCategory(lastSelectedCategoryId, lastSelectedContext);
+        }
+        if (isGlobalSearchActive) displaySettingsList(globalSearchPolicyEntries);
+        else if (lastSelectedCategoryId) displaySettingsList(lastSelectedCategoryId, lastSelectedContext);
+        configuratorState = null;
+        if (lastSelectedPolicyId) displayPolicyDetails(lastSelectedPolicyId);
+    }
+
+    async function importRegistryPol(file, path) {
+        try {
+            const entries = RegistryPol.parseRegistryPol(await file.arrayBuffer());
+            polOverlay = { fileName: path || file.name, scope: guessPolScope(path || file.name), entries, matches: null, unmatched: null };
+            matchPolOverlay();
+            matchBaseline();
+            refreshPolOverlayViews();
+        } catch (error) {
+            detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${t('pol.readError', { file: file.name, message: error.message })}</p>`;
+        }
+    }
+
+    function showUnmatchedPolValues() {
+        if (!polOverlay?.unmatched) return;
+        clearDetails();
+        detailsContentElement.innerHTML = '';
+        const title = document.createElement('h2');
+        title.className = 'text-xl font-semibold mb-1';
+        title.textContent = t('pol.unmatchedTitle');
+        const intro = document.createElement('p');
+        intro.className = 'mb-3 text-xs text-gray-500 border-b pb-2';
+        intro.textContent = t('pol.unmatchedIntro', { file: polOverlay.fileName, set: getPolicySetName(currentPolicySet), scope: getContextLabel(polOverlay.scope) });
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs font-mono';
+        table.innerHTML = html`<thead><tr class="text-left text-gray-500"><th class="pr-2">${t('pol.columnKey')}</th><th class="pr-2">${t('pol.columnValue')}</th><th class="pr-2">${t('pol.columnType')}</th><th>${t('pol.columnData')}</th></tr></thead>`;
+        const body = document.createElement('tbody');
+        polOverlay.unmatched.forEach(entry => {
+            const row = document.createElement('tr');
+            row.className = 'border-t border-gray-200 align-top';
+            [entry.key, entry.valueName, entry.type, RegistryPol.formatEntryData(entry)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'pr-2 py-1 break-all';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        detailsContentElement.append(title, intro, table);
+    }
+
+    function clearPolOverlay() {
+        polOverlay = null;
+        renderPolOverlayBar();
+        matchBaseline();
+        refreshPolOverlayViews();
+    }
+
+    function setupPolOverlay() {
+        openPolButton.addEventListener('click', () => polFileInput.click());
+        polFileInput.addEventListener('change', () => {
+            const file = polFileInput.files[0];
+            if (file) importRegistryPol(file, file.webkitRelativePath || file.name);
+            polFileInput.value = '';
+        });
+        polOverlayScopeSelect.addEventListener('change', () => {
+            if (!polOverlay) return;
+            polOverlay.scope = polOverlayScopeSelect.value;
+            matchPolOverlay();
+            matchBaseline();
+            refreshPolOverlayViews();
+        });
+        polOverlayUnmatchedButton.addEventListener('click', showUnmatchedPolValues);
+        polOverlayClearButton.addEventListener('click', clearPolOverlay);
+    }
+
+    // --- Security Baseline ---
+    // A baseline lists the policies a benchmark configures with their expected state and values
+    // (lib/baseline.js). Against an imported Registry.pol each of them passes, fails or is missing.
+    function getBaselineScope(entry, policy) {
+        return entry.scope || (policy.class === 'User' ? 'User' : 'Machine');
+    }
+
+    function matchBaseline() {
+        if (!baseline) {
+            renderBaselineBar();
+            return;
+        }
+        if (baseline.polEntries) {
+            const { matches } = RegistryPol.matchRegistryPol(baseline.polEntries, Array.from(policiesMap.values()), baseline.polScope);
+            baseline.entries = Baseline.fromRegistryPolMatches(matches, baseline.polScope);
+        }
+        baseline.items = new Map();
+        baseline.notInSet = 0;
+        baseline.entries.forEach(entry => {
+            const policy = policiesMap.get(entry.policyId);
+            if (!policy) {
+                baseline.notInSet++;
+                return;
+            }
+            const scope = getBaselineScope(entry, policy);
+            // Only settings in the scope of the imported Registry.pol can be checked
+            const isChecked = polOverlay?.matches && polOverlay.scope === scope;
+            const result = isChecked ? Baseline.evaluateSetting(entry, polOverlay.matches.get(policy.id) || null) : null;
+            baseline.items.set(`${scope}|${policy.id}`, { policy, entry: { ...entry, scope }, result });
+        });
+        baselineCountCache.clear();
+        renderBaselineBar();
+    }
+
+    function getBaselineItem(policyId, context) {
+        if (!baseline?.items || !context) return null;
+        return baseline.items.get(`${context}|${policyId}`) || null;
+    }
+
+    function countBaselinePolicies(categoryId, context) {
+        const counts = { total: 0, pass: 0, fail: 0, missing: 0 };
+        if (!baseline?.items) return counts;
+        const cacheKey = `${categoryId}:${context}`;
+        if (baselineCountCache.has(cacheKey)) return baselineCountCache.get(cacheKey);
+        const category = categoriesMap.get(categoryId);
+        (category?.policies || []).forEach(policyId => {
+            const item = getBaselineItem(policyId, context);
+            if (!item) return;
+            counts.total++;
+            if (item.result) counts[item.result.status]++;
+        });
+        (category?.children || []).forEach(childId => {
+            const childCounts = countBaselinePolicies(childId, context);
+            Object.keys(counts).forEach(key => { counts[key] += childCounts[key]; });
+        });
+        baselineCountCache.set(cacheKey, counts);
+        return counts;
+    }
+
+    // Number of baseline policies, or passed/checked once a Registry.pol is imported
+    function renderBaselineTreeBadge(counts) {
+        const checked = counts.pass + counts.fail + counts.missing;
+        if (checked === 0) {
+            return html`<span class="baseline-badge ml-1 px-1 rounded bg-blue-100 text-blue-800 text-xs" title="${t('baseline.treeTitle')}">${counts.total}</span>`;
+        }
+        const colors = counts.pass === checked ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800';
+        return html`<span class="baseline-badge ml-1 px-1 rounded ${colors} text-xs" title="${t('baseline.treeComplianceTitle', counts)}">${counts.pass}/${checked}</span>`;
+    }
+
+    function createBaselineBadge(item) {
+        const colors = { pass: 'bg-green-100 text-green-800', fail: 'bg-red-100 text-red-800', missing: 'bg-yellow-100 text-yellow-800' };
+        const badge = document.createElement('span');
+        badge.className = `baseline-badge ml-2 px-1 rounded text-xs ${colors[item.result?.status] || 'bg-blue-100 text-blue-800'}`;
+        badge.textContent = item.result ? t(`baseline.status.${item.result.status}`) : t('baseline.badge', { state: getStateLabel(item.entry.state) });
+        badge.title = t('baseline.badgeTitle', { state: getStateLabel(item.entry.state) });
+        return badge;
+    }
+
+    // Option labels for enum values, lists joined with commas
+    function formatBaselineValue(element, value) {
+        const option = element?.options?.find(opt => String(opt.value) === String(value));
+        if (option) return `${option.display} (${value})`;
+        return (Baseline.normalizeValue(value) ?? '').replace(/\n/g, ', ');
+    }
+
+    function renderBaselineDetails(policy, container) {
+        const item = getBaselineItem(policy.id, lastSelectedContext);
+        if (!container || !item) return;
+        container.closest('#details-baseline-container').classList.remove('hidden');
+        container.innerHTML = '';
+        const elements = (policy.registry?.elements || []).filter(Boolean);
+        const findElement = (elementId) => elements.find(el => el.id === elementId);
+        const getElementLabel = (elementId) => findElement(elementId)?.valueName || elementId;
+        const stateP = document.createElement('p');
+        stateP.textContent = t('baseline.expectedState', { state: getStateLabel(item.entry.state) });
+        container.appendChild(stateP);
+        const valueItems = Object.entries(item.entry.values || {}).filter(([, value]) => Baseline.normalizeValue(value) !== null);
+        if (valueItems.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'font-mono text-xs space-y-1 break-all mt-1';
+            valueItems.forEach(([elementId, value]) => {
+                const listItem = document.createElement('li');
+                listItem.textContent = `${getElementLabel(elementId)} = ${formatBaselineValue(findElement(elementId), value)}`;
+                list.appendChild(listItem);
+            });
+            container.appendChild(list);
+        }
+        const resultP = document.createElement('p');
+        resultP.className = 'mt-2';
+        if (!item.result) {
+            resultP.className += ' text-xs text-gray-500';
+            resultP.textContent = polOverlay ? t('baseline.otherScope', { scope: getContextLabel(polOverlay.scope) }) : t('baseline.noGpo');
+            container.appendChild(resultP);
+            return;
+        }
+        resultP.append(`${t('baseline.result')} `, createBaselineBadge(item));
+        container.appendChild(resultP);
+        if (item.result.differences.length === 0) return;
+        const differences = document.createElement('ul');
+        differences.className = 'list-disc list-inside mt-1 text-xs';
+        item.result.differences.forEach(difference => {
+            const listItem = document.createElement('li');
+            if (difference.elementId === null) {
+                listItem.textContent = t('baseline.stateDifference', { expected: getStateLabel(difference.expected), actual: getStateLabel(difference.actual) });
+            } else {
+                const element = findElement(difference.elementId);
+                listItem.textContent = t('baseline.valueDifference', {
+                    element: getElementLabel(difference.elementId),
+                    expected: formatBaselineValue(element, difference.expected),
+                    actual: difference.actual === null ? t('baseline.notSet') : formatBaselineValue(element, difference.actual),
+                });
+            }
+            differences.appendChild(listItem);
+        });
+        container.appendChild(differences);
+    }
+
+    function renderBaselineBar() {
+        if (!baseline) {
+            baselineBar.classList.add('hidden');
+            return;
+        }
+        baselineBar.classList.remove('hidden');
+        baselineScopeSelect.classList.toggle('hidden', !baseline.polEntries);
+        if (baseline.polEntries) baselineScopeSelect.value = baseline.polScope;
+        baselineOnlyInput.checked = baselineOnly;
+        const parts = [t('baseline.summary', { name: baseline.name, count: baseline.items?.size || 0 })];
+        if (baseline.notInSet > 0) parts.push(t('baseline.notInSet', { count: baseline.notInSet, set: getPolicySetName(currentPolicySet) }));
+        if (baseline.skipped > 0) parts.push(t('baseline.skipped', { count: baseline.skipped }));
+        if (baseline.policySet && baseline.policySet !== currentPolicySet) parts.push(t('baseline.otherSet', { set: baseline.policySet }));
+        if (polOverlay) {
+            const summary = Baseline.summarize(Array.from(baseline.items?.values() || [], item => item.result));
+            parts.push(t('baseline.compliance', { ...summary, file: polOverlay.fileName, scope: getContextLabel(polOverlay.scope) }));
+        } else {
+            parts.push(t('baseline.noGpo'));
+        }
+        baselineSummary.textContent = parts.join(' · ');
+    }
+
+    async function importBaseline(file, path) {
+        const fileName = path || file.name;
+        try {
+            if (/\.pol$/i.test(file.name)) {
+                const polEntries = RegistryPol.parseRegistryPol(await file.arrayBuffer());
+                baseline = { name: fileName, policySet: null, entries: [], skipped: 0, polEntries, polScope: guessPolScope(fileName) };
+            } else {
+                const json = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+                const parsed = Baseline.parseBaselineJson(json, file.name.replace(/\.json$/i, ''));
+                baseline = { ...parsed, polEntries: null, polScope: null };
+            }
+            matchBaseline();
+            refreshPolOverlayViews();
+        } catch (error) {
+            detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${t('baseline.readError', { file: file.name, message: error.message })}</p>`;
+        }
+    }
+
+    // Per-category counts of the baseline policies, with pass/fail/missing once a Registry.pol is imported
+    function showBaselineReport() {
+        if (!baseline?.items) return;
+        clearDetails();
+        detailsContentElement.innerHTML = '';
+        const rowsByKey = new Map();
+        baseline.items.forEach(item => {
+            const key = `${item.entry.scope}|${item.policy.categoryId}`;
+            if (!rowsByKey.has(key)) {
+                rowsByKey.set(key, {
+                    scope: item.entry.scope,
+                    categoryId: item.policy.categoryId,
+                    path: `${getVirtualRootName(item.entry.scope === 'User' ? 'User' : 'Machine')} > ${getCategoryPathText(item.policy)}`,
+                    results: [],
+                });
+            }
+            rowsByKey.get(key).results.push(item.result);
+        });
+        const rows = Array.from(rowsByKey.values()).sort((a, b) => a.path.localeCompare(b.path));
+        const title = document.createElement('h2');
+        title.className = 'text-xl font-semibold mb-1';
+        title.textContent = t('baseline.reportTitle');
+        const intro = document.createElement('p');
+        intro.className = 'mb-3 text-xs text-gray-500 border-b pb-2';
+        intro.textContent = polOverlay
+            ? t('baseline.reportIntro', { name: baseline.name, file: polOverlay.fileName, scope: getContextLabel(polOverlay.scope) })
+            : `${t('baseline.summary', { name: baseline.name, count: baseline.items.size })}. ${t('baseline.noGpo')}.`;
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs';
+        const headers = ['reportCategory', 'reportPolicies', 'status.pass', 'status.fail', 'status.missing', 'reportCompliance'];
+        table.innerHTML = html`<thead><tr class="text-left text-gray-500">${headers.map(key => html`<th class="pr-2">${t(`baseline.${key}`)}</th>`)}</tr></thead>`;
+        const body = document.createElement('tbody');
+        const addRow = (label, results, onClick) => {
+            const summary = Baseline.summarize(results);
+            const row = document.createElement('tr');
+            row.className = 'border-t border-gray-200 align-top';
+            const labelCell = document.createElement('td');
+            labelCell.className = 'pr-2 py-1 break-all';
+            if (onClick) {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'text-left text-blue-700 hover:underline';
+                link.textContent = label;
+                link.addEventListener('click', onClick);
+                labelCell.appendChild(link);
+            } else {
+                labelCell.className += ' font-semibold';
+                labelCell.textContent = label;
+            }
+            row.appendChild(labelCell);
+            const checked = summary.total > 0;
+            [results.length, checked ? summary.pass : '–', checked ? summary.fail : '–', checked ? summary.missing : '–',
+                checked ? `${Math.round((summary.pass / summary.total) * 100)} %` : '–'].forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'pr-2 py-1';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        };
+        rows.forEach(row => addRow(row.path, row.results, () => {
+            expandToCategory(row.categoryId, row.scope);
+            selectCategoryFromTree(`${row.scope}_${row.categoryId}`);
+        }));
+        addRow(t('baseline.reportTotal'), rows.flatMap(row => row.results), null);
+        table.appendChild(body);
+        detailsContentElement.append(title, intro, table);
+    }
+
+    function clearBaseline() {
+        baseline = null;
+        baselineOnly = false;
+        renderBaselineBar();
+        refreshPolOverlayViews();
+    }
+
+    function setupBaseline() {
+        openBaselineButton.addEventListener('click', () => baselineFileInput.click());
+        baselineFileInput.addEventListener('change', () => {
+            const file = baselineFileInput.files[0];
+            if (file) importBaseline(file, file.webkitRelativePath || file.name);
+            baselineFileInput.value = '';
+        });
+        baselineScopeSelect.addEventListener('change', () => {
+            if (!baseline?.polEntries) return;
+            baseline.polScope = baselineScopeSelect.value;
+            matchBaseline();
+            refreshPolOverlayViews();
+        });
+        baselineOnlyInput.addEventListener('change', () => {
+            baselineOnly = baselineOnlyInput.checked;
+            refreshPolOverlayViews();
+        });
+        baselineReportButton.addEventListener('click', showBaselineReport);
+        baselineClearButton.addEventListener('click', clearBaseline);
+    }
+
+    // --- Policy Filters ---
+    // Filters that narrow both category browsing and the global search results
+    function hasPolicyFilters() {
+        return baselineOnly || isSupportFilterActive() || isFacetFilterActive();
+    }
+
+    // policySet is set for hits from other policy sets in an all-sets search
+    function policyPassesFilters(policy, context, policySet = null) {
+        if (baselineOnly && (policySet || !getBaselineItem(policy.id, context))) return false;
+        return passesSupportFilter(policy) && passesFacetFilter(policy);
+    }
+
+    function countFilteredPolicies(categoryId, context) {
+        const cacheKey = `${categoryId}:${context}`;
+        if (filteredCountCache.has(cacheKey)) return filteredCountCache.get(cacheKey);
+        const category = categoriesMap.get(categoryId);
+        let count = 0;
+        (category?.policies || []).forEach(policyId => {
+            const policy = policiesMap.get(policyId);
+            if (policy && (policy.class === context || policy.class === 'Both') && policyPassesFilters(policy, context)) count++;
+        });
+        (category?.children || []).forEach(childId => { count += countFilteredPolicies(childId, context); });
+        filteredCountCache.set(cacheKey, count);
+        return count;
+    }
+
+    // --- Supported On Filter ---
+    // supportedOn texts are parsed into product requirements (lib/supported-on.js). Browser-like products
+    // filter by "available in version X", Windows by a checklist of the minimum releases policies need.
+    // Policies whose text could not be read are kept in the list and marked while a filter is active.
+    function getSupportInfo(policy) {
+        if (!supportInfoCache.has(policy)) supportInfoCache.set(policy, SupportedOn.parseSupportedOn(policy.supportedOn));
+        return supportInfoCache.get(policy);
+    }
+
+    function isSupportFilterActive() {
+        return supportFilter.versions.size > 0 || supportFilter.releases.size > 0;
+    }
+
+    function passesSupportFilter(policy) {
+        if (!isSupportFilterActive()) return true;
+        const support = getSupportInfo(policy);
+        if (support.status !== 'parsed') return true;
+        for (const [product, version] of supportFilter.versions) {
+            if (!SupportedOn.isAvailableIn(support, product, version)) return false;
+        }
+        return supportFilter.releases.size === 0 ||
+            support.requirements.some(requirement => supportFilter.releases.has(SupportedOn.getReleaseKey(requirement)));
+    }
+
+    function buildSupportFacets() {
+        const versions = new Map();
+        const releases = new Map();
+        let unrecognized = 0;
+        policiesMap.forEach(policy => {
+            const support = getSupportInfo(policy);
+            if (support.status !== 'parsed') {
+                unrecognized++;
+                return;
+            }
+            support.requirements.forEach(requirement => {
+                if (SupportedOn.PRODUCTS[requirement.product].filter === 'version') {
+                    if (!versions.has(requirement.product)) versions.set(requirement.product, new Set());
+                    versions.get(requirement.product).add(requirement.min);
+                    if (requirement.max) versions.get(requirement.product).add(requirement.max);
+                    return;
+                }
+                const key = SupportedOn.getReleaseKey(requirement);
+                if (!releases.has(key)) releases.set(key, { key, product: requirement.product, label: requirement.release, order: requirement.order, count: 0 });
+                releases.get(key).count++;
+            });
+        });
+        supportFacets = {
+            versions: new Map(Array.from(versions, ([product, set]) => [product, Array.from(set).sort(SupportedOn.compareVersions)])),
+            releases: Array.from(releases.values()).sort((a, b) => a.product.localeCompare(b.product) || a.order - b.order),
+            unrecognized,
+        };
+        supportFilter = { versions: new Map(), releases: new Set() };
+        renderSupportFilter();
+    }
+
+    function formatSupportRequirement(requirement) {
+        if (requirement.release) return t('support.releaseOrLater', { release: requirement.release });
+        const product = SupportedOn.PRODUCTS[requirement.product].name;
+        if (requirement.max) return t('support.versionRange', { product, min: requirement.min, max: requirement.max });
+        return t('support.versionOrLater', { product, version: requirement.min });
+    }
+
+    function renderSupportRequirements(policy, element) {
+        if (!element) return;
+        const support = getSupportInfo(policy);
+        if (support.status === 'unspecified') return;
+        element.classList.remove('hidden');
+        if (support.status === 'unparsed') {
+            element.textContent = t('support.notRecognized');
+            return;
+        }
+        const parts = support.requirements.map(formatSupportRequirement);
+        if (support.unrecognized.length > 0) parts.push(t('support.partlyRecognized', { text: support.unrecognized.join(', ') }));
+        element.textContent = parts.join(' · ');
+    }
+
+    function createSupportUnknownBadge(policy) {
+        const badge = document.createElement('span');
+        badge.className = 'support-badge ml-2 px-1 rounded text-xs bg-yellow-100 text-yellow-800';
+        badge.textContent = t('support.unknownBadge');
+        badge.title = t('support.unknownTitle', { text: policy.supportedOn || '' });
+        return badge;
+    }
+
+    function updateSupportFilterState() {
+        const count = supportFilter.versions.size + supportFilter.releases.size;
+        supportFilterStateElement.textContent = count > 0 ? t('support.active', { count }) : '';
+    }
+
+    function applySupportFilter() {
+        updateSupportFilterState();
+        refreshPolOverlayViews();
+    }
+
+    function renderSupportFilter() {
+        const hasFacets = supportFacets && (supportFacets.versions.size > 0 || supportFacets.releases.length > 0);
+        supportFilterElement.classList.toggle('hidden', !hasFacets);
+        supportFilterControls.innerHTML = '';
+        updateSupportFilterState();
+        if (!hasFacets) return;
+        supportFacets.versions.forEach((versions, product) => {
+            const productName = SupportedOn.PRODUCTS[product].name;
+            const row = document.createElement('label');
+            row.className = 'flex items-center gap-2';
+            const caption = document.createElement('span');
+            caption.className = 'w-40';
+            caption.textContent = t('support.availableIn', { product: productName });
+            // Position 0 means no filter
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'flex-1';
+            slider.min = '0';
+            slider.max = String(versions.length);
+            slider.value = String(versions.indexOf(supportFilter.versions.get(product)) + 1);
+            const valueLabel = document.createElement('span');
+            valueLabel.className = 'w-24 text-right font-mono';
+            const showValue = () => {
+                const index = Number(slider.value);
+                valueLabel.textContent = index === 0 ? t('support.any') : versions[index - 1];
+            };
+            showValue();
+            slider.addEventListener('input', showValue);
+            slider.addEventListener('change', () => {
+                const index = Number(slider.value);
+                if (index === 0) supportFilter.versions.delete(product);
+                else supportFilter.versions.set(product, versions[index - 1]);
+                applySupportFilter();
+            });
+            row.append(caption, slider, valueLabel);
+            supportFilterControls.appendChild(row);
+        });
+        const releaseProducts = [...new Set(supportFacets.releases.map(release => release.product))];
+        releaseProducts.forEach(product => {
+            const group = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.className = 'mb-1';
+            legend.textContent = t('support.requires', { product: SupportedOn.PRODUCTS[product].name });
+            group.appendChild(legend);
+            const list = document.createElement('div');
+            list.className = 'flex flex-wrap gap-x-3 gap-y-1';
+            supportFacets.releases.filter(release => release.product === product).forEach(release => {
+                const option = document.createElement('label');
+                option.className = 'flex items-center gap-1 cursor-pointer';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'rounded';
+                checkbox.checked = supportFilter.releases.has(release.key);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) supportFilter.releases.add(release.key);
+                    else supportFilter.releases.delete(release.key);
+                    applySupportFilter();
+                });
+                option.append(checkbox, `${release.label} (${release.count})`);
+                list.appendChild(option);
+            });
+            group.appendChild(list);
+            supportFilterControls.appendChild(group);
+        });
+        const footer = document.createElement('div');
+        footer.className = 'flex items-center gap-2';
+        const note = document.createElement('span');
+        note.className = 'flex-grow text-gray-500';
+        if (supportFacets.unrecognized > 0) note.textContent = t('support.unrecognizedCount', { count: supportFacets.unrecognized });
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'border border-gray-300 rounded px-2 bg-white hover:bg-gray-100';
+        resetButton.textContent = t('support.reset');
+        resetButton.addEventListener('click', () => {
+            supportFilter = { versions: new Map(), releases: new Set() };
+            renderSupportFilter();
+            applySupportFilter();
+        });
+        footer.append(note, resetButton);
+        supportFilterControls.appendChild(footer);
+    }
+
+    // --- Facet Filter ---
+    // Checkboxes for the policy facets of lib/policy-facets.js: checked values of one facet are
+    // alternatives, facets narrow each other. The counts next to the values are taken over the
+    // current set (or its global search hits), each facet with the other facets applied.
+    function getFacetValues(policy) {
+        if (!facetValuesCache.has(policy)) facetValuesCache.set(policy, PolicyFacets.getPolicyFacetValues(policy));
+        return facetValuesCache.get(policy);
+    }
+
+    function isFacetFilterActive() {
+        for (const checked of facetSelection.values()) {
+            if (checked.size > 0) return true;
+        }
+        return false;
+    }
+
+    function passesFacetFilter(policy) {
+        return !isFacetFilterActive() || PolicyFacets.matchesSelection(getFacetValues(policy), facetSelection);
+    }
+
+    // serializedSelection comes from the URL hash; values the set does not have are dropped
+    function buildFacetOptions(serializedSelection) {
+        facetOptions = PolicyFacets.collectValues(Array.from(policiesMap.values(), getFacetValues));
+        facetSelection = new Map();
+        PolicyFacets.parseSelection(serializedSelection).forEach((values, facet) => {
+            const known = Array.from(values).filter(value => facetOptions[facet].includes(value));
+            if (known.length > 0) facetSelection.set(facet, new Set(known));
+        });
+        renderFacetFilter();
+    }
+
+    function getFacetValueLabel(facet, value) {
+        if (facet === 'class' || facet === 'elements' || facet === 'variant') return t(`facets.${facet}.${value}`);
+        if (facet === 'valueType' && value === 'list') return t('facets.valueType.list');
+        return value;
+    }
+
+    function getFacetCountPolicies() {
+        if (!isGlobalSearchActive) return Array.from(policiesMap.values());
+        const policyIds = new Set(globalSearchPolicyEntries.filter(entry => !entry.policySet).map(entry => entry.policyId));
+        return Array.from(policyIds, policyId => policiesMap.get(policyId)).filter(Boolean);
+    }
+
+    function updateFacetFilterState() {
+        let count = 0;
+        facetSelection.forEach(checked => { count += checked.size; });
+        facetFilterStateElement.textContent = count > 0 ? t('facets.active', { count }) : '';
+    }
+
+    function applyFacetFilter() {
+        renderFacetFilter();
+        refreshPolOverlayViews();
+        updateUrlHash();
+    }
+
+    function renderFacetFilter() {
+        // Facets whose policies all share one value have nothing to choose from
+        const facets = facetOptions ? PolicyFacets.FACETS.filter(facet => facetOptions[facet].length > 1) : [];
+        facetFilterElement.classList.toggle('hidden', facets.length === 0);
+        const focusedKey = facetFilterControls.contains(document.activeElement) ? document.activeElement.dataset.facetKey : null;
+        facetFilterControls.innerHTML = '';
+        updateFacetFilterState();
+        if (facets.length === 0) return;
+        const counts = PolicyFacets.countValues(getFacetCountPolicies().map(getFacetValues), facetSelection);
+        facets.forEach(facet => {
+            const group = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.className = 'mb-1';
+            legend.textContent = t(`facets.${facet}`);
+            group.appendChild(legend);
+            const list = document.createElement('div');
+            list.className = 'flex flex-wrap gap-x-3 gap-y-1';
+            facetOptions[facet].forEach(value => {
+                const count = counts[facet].get(value) || 0;
+                const checked = facetSelection.get(facet)?.has(value) || false;
+                const option = document.createElement('label');
+                option.className = `flex items-center gap-1 cursor-pointer${count === 0 && !checked ? ' text-gray-400' : ''}`;
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'rounded';
+                checkbox.checked = checked;
+                checkbox.dataset.facetKey = `${facet}|${value}`;
+                checkbox.addEventListener('change', () => {
+                    if (!facetSelection.has(facet)) facetSelection.set(facet, new Set());
+                    if (checkbox.checked) facetSelection.get(facet).add(value);
+                    else facetSelection.get(facet).delete(value);
+                    if (facetSelection.get(facet).size === 0) facetSelection.delete(facet);
+                    applyFacetFilter();
+                });
+                option.append(checkbox, `${getFacetValueLabel(facet, value)} (${count})`);
+                list.appendChild(option);
+            });
+            group.appendChild(list);
+            facetFilterControls.appendChild(group);
+        });
+        const footer = document.createElement('div');
+        footer.className = 'flex justify-end';
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'border border-gray-300 rounded px-2 bg-white hover:bg-gray-100';
+        resetButton.textContent = t('facets.reset');
+        resetButton.disabled = !isFacetFilterActive();
+        resetButton.addEventListener('click', () => {
+            facetSelection = new Map();
+            applyFacetFilter();
+        });
+        footer.appendChild(resetButton);
+        facetFilterControls.appendChild(footer);
+        // The panel is rebuilt on every change; keep the keyboard where it was
+        if (focusedKey) Array.from(facetFilterControls.querySelectorAll('input')).find(input => input.dataset.facetKey === focusedKey)?.focus();
+    }
+
+    // --- Registry Lookup ---
+
+    function getLookupContext(result, policy) {
+        if (result.scope && (policy.class === 'Both' || policy.class === result.scope)) return result.scope;
+        return policy.class === 'User' ? 'User' : 'Machine';
+    }
+
+    function formatLookupLocation(result) {
+        const hive = result.scope ? `${RegistryExport.getHive(result.scope).short}\\` : '';
+        const location = `${hive}${result.key}`;
+        if (result.valueName === null) return `${location} ${result.deleted ? t('lookup.keyDeleted') : t('lookup.key')}`;
+        return `${location} → ${result.valueName === '' ? t('lookup.defaultValue') : result.valueName}`;
+    }
+
+    function formatLookupData(result) {
+        if (result.deleted) return t('lookup.deleted');
+        if (result.type === null) return '';
+        const data = Array.isArray(result.data) && result.type !== 'REG_MULTI_SZ'
+            ? result.data.map(byte => byte.toString(16).padStart(2, '0')).join(' ')
+            : [].concat(result.data).join(' | ');
+        return `${result.type}: ${data}`;
+    }
+
+    function renderLookupResults({ results, errors }) {
+        lookupResultsElement.innerHTML = '';
+        const unknownCount = results.filter(result => result.matches.length === 0).length;
+        const summary = document.createElement('p');
+        summary.className = 'mb-3 text-xs text-gray-500';
+        summary.textContent = t('lookup.summary', { count: results.length, resolved: results.length - unknownCount, unknown: unknownCount, set: getPolicySetName(currentPolicySet) });
+        lookupResultsElement.appendChild(summary);
+
+        results.forEach(result => {
+            const block = document.createElement('div');
+            block.className = 'py-2 border-b border-gray-200';
+            const location = document.createElement('p');
+            location.className = 'font-mono text-xs break-all';
+            location.textContent = formatLookupLocation(result);
+            block.appendChild(location);
+            const dataText = formatLookupData(result);
+            if (dataText) {
+                const data = document.createElement('p');
+                data.className = 'font-mono text-xs text-gray-500 break-all';
+                data.textContent = dataText;
+                block.appendChild(data);
+            }
+            if (result.matches.length === 0) {
+                const unknown = document.createElement('p');
+                unknown.className = 'text-xs text-red-600';
+                unknown.textContent = t('lookup.unknown');
+                block.appendChild(unknown);
+            } else {
+                const list = document.createElement('ul');
+                list.className = 'list-disc list-inside text-xs';
+                result.matches.slice(0, MAX_LOOKUP_MATCHES_SHOWN).forEach(({ policy, element, via }) => {
+                    const item = document.createElement('li');
+                    const link = document.createElement('button');
+                    link.type = 'button';
+                    link.className = 'text-blue-700 hover:underline text-left';
+                    link.textContent = policy.displayName || policy.name;
+                    link.addEventListener('click', () => selectPolicy(policy.id, getLookupContext(result, policy)));
+                    const note = document.createElement('span');
+                    note.className = 'text-gray-500';
+                    note.textContent = ` (${t(`lookup.via.${via}`)}${element ? `, ${t('lookup.element', { id: element.id })}` : ''})`;
+                    item.append(link, note);
+                    list.appendChild(item);
+                });
+                if (result.matches.length > MAX_LOOKUP_MATCHES_SHOWN) {
+                    const more = document.createElement('li');
+                    more.className = 'text-gray-500';
+                    more.textContent = t('lookup.more', { count: result.matches.length - MAX_LOOKUP_MATCHES_SHOWN });
+                    list.appendChild(more);
+                }
+                block.appendChild(list);
+            }
+            lookupResultsElement.appendChild(block);
+        });
+
+        if (errors.length > 0) {
+            const errorList = document.createElement('ul');
+            errorList.className = 'mt-3 text-xs text-red-600 list-disc list-inside';
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                errorList.appendChild(item);
+            });
+            lookupResultsElement.appendChild(errorList);
+        }
+    }
+
+    function runRegistryLookup() {
+        const text = lookupInput.value;
+        if (text.trim() === '') {
+            lookupResultsElement.innerHTML = html`<p class="text-gray-500">${t('lookup.empty')}</p>`;
+            return;
+        }
+        renderLookupResults(RegistryLookup.lookupRegistryText(text, Array.from(policiesMap.values())));
+    }
+
+    // regedit exports .reg files as UTF-16
+    async function openRegFileInLookup(file) {
+        lookupInput.value = AdmxParser.decodeText(await file.arrayBuffer());
+        basketPanel.classList.add('hidden');
+        offlinePanel.classList.add('hidden');
+        lookupPanel.classList.remove('hidden');
+        runRegistryLookup();
+    }
+
+    function setupRegistryLookup() {
+        openLookupButton.addEventListener('click', () => {
+            basketPanel.classList.add('hidden');
+            offlinePanel.classList.add('hidden');
+            lookupPanel.classList.toggle('hidden');
+            if (!lookupPanel.classList.contains('hidden')) lookupInput.focus();
+        });
+        lookupCloseButton.addEventListener('click', () => lookupPanel.classList.add('hidden'));
+        lookupRunButton.addEventListener('click', runRegistryLookup);
+        lookupInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) runRegistryLookup();
+        });
+        lookupOpenButton.addEventListener('click', () => lookupFileInput.click());
+        lookupFileInput.addEventListener('change', () => {
+            const file = lookupFileInput.files[0];
+            if (file) openRegFileInLookup(file);
+            lookupFileInput.value = '';
+        });
+    }
+
+    // --- Policy Basket ---
+    function isValidBasketEntry(entry) {
+        return typeof entry?.policySet === 'string' && typeof entry.policyId === 'string' &&
+            Object.hasOwn(BASKET_SCOPE_CODES, entry.scope) && RegistryExport.POLICY_STATES.includes(entry.state) &&
+            entry.values !== null && typeof entry.values === 'object';
+    }
+
+    function loadBasket() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(BASKET_STORAGE_KEY) || '[]');
+            basket = Array.isArray(stored) ? stored.filter(isValidBasketEntry) : [];
+        } catch (error) {
+            console.warn(`Could not read the stored basket: ${error.message}`);
+            basket = [];
+        }
+    }
+
+    function storeBasket() {
+        try {
+            localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(basket));
+        } catch (error) {
+            console.warn(`Could not store the basket: ${error.message}`);
+        }
+    }
+
+    function getBasketEntries(policySetId = currentPolicySet) {
+        return basket.filter(entry => entry.policySet === policySetId);
+    }
+
+    function findBasketEntry(policyId, scope) {
+        return basket.find(entry => entry.policySet === currentPolicySet && entry.policyId === policyId && entry.scope === scope) || null;
+    }
+
+    function putBasketEntry(newEntry, persist = true) {
+        const index = basket.findIndex(entry => entry.policySet === newEntry.policySet && entry.policyId === newEntry.policyId && entry.scope === newEntry.scope);
+        if (index === -1) basket.push(newEntry);
+        else basket[index] = newEntry;
+        if (persist) basketChanged();
+    }
+
+    function removeBasketEntry(policyId, scope) {
+        basket = basket.filter(entry => !(entry.policySet === currentPolicySet && entry.policyId === policyId && entry.scope === scope));
+        basketChanged();
+    }
+
+    function basketChanged() {
+        storeBasket();
+        renderBasket();
+        updateUrlHash();
+    }
+
+    // Base64url of [[policyId, scope, state, values?], ...] as UTF-8 JSON
+    function encodeBasketForHash(entries) {
+        const compact = entries.map(entry => {
+            const item = [entry.policyId, BASKET_SCOPE_CODES[entry.scope], BASKET_STATE_CODES[entry.state]];
+            if (Object.keys(entry.values).length > 0) item.push(entry.values);
+            return item;
+        });
+        let binary = '';
+        new TextEncoder().encode(JSON.stringify(compact)).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decodeBasketFromHash(text, policySetId) {
+        const findCode = (codes, code) => Object.keys(codes).find(name => codes[name] === code);
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            const compact = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0))));
+            return compact.map(([policyId, scopeCode, stateCode, values]) => ({
+                policySet: policySetId,
+                policyId,
+                scope: findCode(BASKET_SCOPE_CODES, scopeCode),
+                state: findCode(BASKET_STATE_CODES, stateCode),
+                values: values || {},
+            })).filter(isValidBasketEntry);
+        } catch (error) {
+            console.warn(`Ignoring an unreadable basket in the URL: ${error.message}`);
+            return [];
+        }
+    }
+
+    function renderBasket() {
+        const entries = getBasketEntries();
+        openBasketButton.textContent = t('basket.button', { count: entries.length });
+        basketListElement.innerHTML = '';
+        if (entries.length === 0) {
+            basketListElement.innerHTML = html`<p class="text-gray-500">${tHtml('basket.empty', { action: html`<em>${t('configure.addToBasket')}</em>` })}</p>`;
+            return;
+        }
+        entries.forEach(entry => {
+            const policy = policiesMap.get(entry.policyId);
+            const row = document.createElement('div');
+            row.className = 'flex items-start gap-2 py-2 border-b border-gray-200';
+            const info = document.createElement('div');
+            info.className = 'flex-grow';
+            const nameButton = document.createElement('button');
+            nameButton.type = 'button';
+            nameButton.className = 'text-left text-blue-700 hover:underline';
+            nameButton.textContent = policy?.displayName || entry.policyId;
+            nameButton.disabled = !policy;
+            nameButton.addEventListener('click', () => selectPolicy(entry.policyId, entry.scope));
+            const meta = document.createElement('p');
+            meta.className = 'text-xs text-gray-500';
+            meta.textContent = [getScopeLabel(entry.scope), getStateLabel(entry.state), policy ? null : t('basket.notInSet')].filter(Boolean).join(' · ');
+            info.append(nameButton, meta);
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'text-gray-400 hover:text-red-600';
+            removeButton.textContent = '✕';
+            removeButton.title = t('basket.remove');
+            removeButton.addEventListener('click', () => removeBasketEntry(entry.policyId, entry.scope));
+            row.append(info, removeButton);
+            basketListElement.appendChild(row);
+        });
+    }
+
+    // Registry operations per scope; Not Configured entries leave no trace in a Registry.pol
+    function buildBasketActions(entries) {
+        const actionsByScope = { Machine: [], User: [] };
+        const errors = [];
+        entries.forEach(entry => {
+            if (entry.state === 'NotConfigured') return;
+            const policy = policiesMap.get(entry.policyId);
+            if (!policy) {
+                errors.push(t('basket.skipped', { policyId: entry.policyId }));
+                return;
+            }
+            const { actions, errors: policyErrors } = RegistryExport.buildRegistryActions(policy, entry.state, entry.values);
+            policyErrors.forEach(error => errors.push(`${policy.displayName}: ${error}`));
+            if (policyErrors.length === 0) actionsByScope[entry.scope].push(...actions);
+        });
+        return { actionsByScope, errors };
+    }
+
+    function showBasketMessage(lines) {
+        basketMessageElement.textContent = lines.join('\n');
+    }
+
+    function getBaselineName() {
+        return (POLICY_SETS.find(set => set.id === currentPolicySet)?.displayName || currentPolicySet).replace(/[^\w.-]+/g, '_');
+    }
+
+    function exportBasketRegistryPol() {
+        const { actionsByScope, errors } = buildBasketActions(getBasketEntries());
+        const written = [];
+        Object.entries(actionsByScope).forEach(([scope, actions]) => {
+            if (actions.length === 0) return;
+            const fileName = `${getBaselineName()}_${scope}_Registry.pol`;
+            downloadFile(fileName, RegistryPol.toRegistryPol(actions), 'application/octet-stream');
+            written.push(t('basket.savedPol', { file: fileName, scope }));
+        });
+        if (written.length === 0) written.push(t('basket.nothingToExport'));
+        showBasketMessage([...written, ...errors]);
+    }
+
+    function exportBasketLgpo() {
+        const { actionsByScope, errors } = buildBasketActions(getBasketEntries());
+        const sections = Object.entries(actionsByScope)
+            .filter(([, actions]) => actions.length > 0)
+            .map(([scope, actions]) => RegistryExport.toLgpoText(actions, scope));
+        if (sections.length === 0) {
+            showBasketMessage([t('basket.nothingToExport'), ...errors]);
+            return;
+        }
+        const header = `; ${POLICY_SETS.find(set => set.id === currentPolicySet)?.displayName || currentPolicySet} baseline, apply with: LGPO.exe /t <file>\r\n\r\n`;
+        downloadFile(`${getBaselineName()}_lgpo.txt`, header + sections.join('\r\n'));
+        showBasketMessage(errors);
+    }
+
+    function exportBasketJson() {
+        const exported = {
+            format: BASELINE_FORMAT,
+            version: 1,
+            policySet: currentPolicySet,
+            exported: new Date().toISOString(),
+            entries: getBasketEntries().map(entry => ({
+                policyId: entry.policyId,
+                displayName: policiesMap.get(entry.policyId)?.displayName,
+                scope: entry.scope,
+                state: entry.state,
+                values: entry.values,
+            })),
+        };
+        downloadFile(`${getBaselineName()}_baseline.json`, JSON.stringify(exported, null, 4), 'application/json');
+        showBasketMessage([]);
+    }
+
+    async function handleBasketFileChange() {
+        const file = basketFileInput.files[0];
+        basketFileInput.value = '';
+        if (!file) return;
+        try {
+            const json = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+            if (json?.format !== BASELINE_FORMAT || !Array.isArray(json.entries)) {
+                throw new Error(t('basket.notBaseline'));
+            }
+            const policySet = typeof json.policySet === 'string' ? json.policySet : currentPolicySet;
+            const entries = json.entries
+                .map(entry => ({ policySet, policyId: entry?.policyId, scope: entry?.scope, state: entry?.state, values: entry?.values || {} }))
+                .filter(isValidBasketEntry);
+            entries.forEach(entry => putBasketEntry(entry, false));
+            basketChanged();
+            const lines = [t('basket.imported', { imported: entries.length, count: json.entries.length, file: file.name })];
+            if (policySet !== currentPolicySet) lines.push(t('basket.otherSet', { set: policySet }));
+            showBasketMessage(lines);
+        } catch (error) {
+            showBasketMessage([t('basket.importError', { file: file.name, message: error.message })]);
+        }
+    }
+
+    function setupBasket() {
+        loadBasket();
+        openBasketButton.addEventListener('click', () => {
+            lookupPanel.classList.add('hidden');
+            offlinePanel.classList.add('hidden');
+            basketPanel.classList.toggle('hidden');
+        });
+        basketCloseButton.addEventListener('click', () => basketPanel.classList.add('hidden'));
+        basketExportPolButton.addEventListener('click', exportBasketRegistryPol);
+        basketExportLgpoButton.addEventListener('click', exportBasketLgpo);
+        basketExportJsonButton.addEventListener('click', exportBasketJson);
+        basketImportButton.addEventListener('click', () => basketFileInput.click());
+        basketClearButton.addEventListener('click', () => {
+            basket = basket.filter(entry => entry.policySet !== currentPolicySet);
+            basketChanged();
+            showBasketMessage([]);
+        });
+        basketFileInput.addEventListener('change', handleBasketFileChange);
+    }
+
+    // --- Offline Data ---
+    // sw.js keeps the app shell cached. Data files of the sets and languages picked in the
+    // offline panel are stored in OFFLINE_DATA_CACHE, which the service worker serves them from.
+    function isOfflineSupported() {
+        return window.isSecureContext && 'serviceWorker' in navigator && typeof caches !== 'undefined';
+    }
+
+    function registerServiceWorker() {
+        if (!isOfflineSupported()) return;
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+            console.warn(`Service worker registration failed: ${error.message}`);
+        });
+        openOfflineButton.classList.remove('hidden');
+    }
+
+    // [{ set, lang, url }] for every data file listed in the manifest
+    function getOfflineDataFiles() {
+        return POLICY_SETS.filter(set => set.files).flatMap(set =>
+            Object.entries(set.files).map(([lang, url]) => ({ set, lang, url })));
+    }
+
+    // Compares the first validator both responses carry
+    function compareResponseVersions(cachedHeaders, serverHeaders) {
+        for (const name of ['ETag', 'Last-Modified', 'Content-Length']) {
+            const cachedValue = cachedHeaders.get(name);
+            const serverValue = serverHeaders.get(name);
+            if (cachedValue && serverValue) return cachedValue === serverValue ? 'current' : 'outdated';
+        }
+        return 'unknown';
+    }
+
+    async function getServerVersionStatus(url, cached) {
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            return response.ok ? compareResponseVersions(cached.headers, response.headers) : 'unknown';
+        } catch (error) {
+            return 'unknown'; // Offline or server unreachable
+        }
+    }
+
+    async function readOfflineStatus(checkServer) {
+        const cache = await caches.open(OFFLINE_DATA_CACHE);
+        const status = new Map();
+        for (const { url } of getOfflineDataFiles()) {
+            const cached = await cache.match(url);
+            if (cached) status.set(url, checkServer ? await getServerVersionStatus(url, cached) : 'cached');
+        }
+        offlineStatus = status;
+        updateOfflineButton();
+    }
+
+    function getOutdatedOfflineFiles() {
+        return Array.from(offlineStatus?.entries() || []).filter(([, status]) => status === 'outdated').map(([url]) => url);
+    }
+
+    function updateOfflineButton() {
+        openOfflineButton.textContent = t('header.offline', { count: getOutdatedOfflineFiles().length });
+    }
+
+    function renderOfflinePanel() {
+        offlineListElement.innerHTML = '';
+        const files = getOfflineDataFiles();
+        if (files.length === 0) {
+            offlineListElement.innerHTML = html`<p class="text-gray-500">${t('offline.noSets')}</p>`;
+            return;
+        }
+        const statusClasses = { current: 'text-green-700', outdated: 'text-yellow-800 font-semibold' };
+        files.forEach(({ set, lang, url }) => {
+            const status = offlineStatus?.get(url) || null;
+            const row = document.createElement('label');
+            row.className = 'flex items-center gap-2 py-2 border-b border-gray-200 cursor-pointer';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'rounded';
+            checkbox.dataset.url = url;
+            checkbox.checked = status !== null;
+            const name = document.createElement('span');
+            name.className = 'flex-grow';
+            name.textContent = `${set.displayName} · ${getLanguageName(lang)}`;
+            const statusLabel = document.createElement('span');
+            statusLabel.className = `text-xs ${statusClasses[status] || 'text-gray-500'}`;
+            statusLabel.textContent = t(`offline.status.${status || 'notCached'}`);
+            row.append(checkbox, name, statusLabel);
+            offlineListElement.appendChild(row);
+        });
+        offlineUpdateButton.disabled = getOutdatedOfflineFiles().length === 0;
+    }
+
+    function showOfflineMessage(lines) {
+        offlineMessageElement.textContent = lines.join('\n');
+    }
+
+    // no-store keeps the browser's HTTP cache and the service worker out of the way
+    async function storeOfflineFile(cache, url) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error(t('error.http', { status: response.status }));
+        await cache.put(url, response);
+    }
+
+    async function runOfflineAction(action) {
+        const buttons = [offlineSaveButton, offlineCheckButton, offlineUpdateButton];
+        buttons.forEach(button => { button.disabled = true; });
+        showOfflineMessage([t('offline.working')]);
+        try {
+            showOfflineMessage(await action());
+        } catch (error) {
+            showOfflineMessage([error.message]);
+        }
+        buttons.forEach(button => { button.disabled = false; });
+        renderOfflinePanel();
+    }
+
+    async function applyOfflineSelection() {
+        const cache = await caches.open(OFFLINE_DATA_CACHE);
+        const lines = [];
+        let stored = 0;
+        let removed = 0;
+        for (const checkbox of offlineListElement.querySelectorAll('input[type="checkbox"]')) {
+            const url = checkbox.dataset.url;
+            const isCached = offlineStatus.has(url);
+            if (checkbox.checked && !isCached) {
+                try {
+                    await storeOfflineFile(cache, url);
+                    stored++;
+                } catch (error) {
+                    lines.push(t('offline.storeError', { file: url, message: error.message }));
+                }
+            } else if (!checkbox.checked && isCached) {
+                await cache.delete(url);
+                removed++;
+            }
         }
+        await readOfflineStatus(false);
+        return [t('offline.applied', { stored, removed }), ...lines];
     }
 
-    // --- Global Search and Filtering ---
-    function performGlobalSearchAndUpdateView() {
-         globalSearchTerm = globalSearchInput.value.toLowerCase().trim();
-         isGlobalSearchActive = globalSearchTerm !== '';
-         globalSearchPolicyEntries = []; 
+    async function checkOfflineUpdates() {
+        await readOfflineStatus(true);
+        const outdated = getOutdatedOfflineFiles().length;
+        return [outdated > 0 ? t('offline.outdatedCount', { count: outdated }) : t('offline.allCurrent')];
+    }
 
-         if (isGlobalSearchActive) {
-             policiesMap.forEach((policy, policyId) => {
-                 if (policy.searchText?.includes(globalSearchTerm)) {
-                     if (policy.class === 'Both') {
-                         globalSearchPolicyEntries.push({ policyId: policyId, contextHint: 'Machine' });
-                         globalSearchPolicyEntries.push({ policyId: policyId, contextHint: 'User' });
-                     } else {
-                         globalSearchPolicyEntries.push({ policyId: policyId, contextHint: policy.class });
-                     }
-                 }
-             });
-             displaySettingsList(globalSearchPolicyEntries); 
-             settingsSearchInput.value = '';
-             settingsSearchInput.disabled = globalSearchPolicyEntries.length === 0;
+    async function updateOutdatedOfflineFiles() {
+        const cache = await caches.open(OFFLINE_DATA_CACHE);
+        const lines = [];
+        let updated = 0;
+        for (const url of getOutdatedOfflineFiles()) {
+            try {
+                await storeOfflineFile(cache, url);
+                offlineStatus.set(url, 'current');
+                updated++;
+            } catch (error) {
+                lines.push(t('offline.storeError', { file: url, message: error.message }));
+            }
+        }
+        updateOfflineButton();
+        // Data already loaded in this page stays as it was until the next start
+        return [t('offline.updated', { count: updated }), ...lines];
+    }
 
-             let currentSelectionStillValid = false;
-             if (lastSelectedPolicyId) {
-                 const foundEntry = globalSearchPolicyEntries.find(
-                     entry => entry.policyId === lastSelectedPolicyId &&
-                              (policiesMap.get(lastSelectedPolicyId)?.class !== 'Both' || entry.contextHint === lastSelectedContext)
-                 );
-                 if (foundEntry) {
-                    currentSelectionStillValid = true;
-                 }
-             }
-             if (!currentSelectionStillValid && lastSelectedPolicyId) {
-                 clearDetails();
-             } else if (currentSelectionStillValid) {
-                 highlightPolicyInSettingsList(lastSelectedPolicyId, lastSelectedContext); 
-             }
+    function setupOfflinePanel() {
+        registerServiceWorker();
+        openOfflineButton.addEventListener('click', () => {
+            lookupPanel.classList.add('hidden');
+            basketPanel.classList.add('hidden');
+            offlinePanel.classList.toggle('hidden');
+            if (offlinePanel.classList.contains('hidden')) return;
+            showOfflineMessage([]);
+            runOfflineAction(async () => {
+                if (offlineStatus === null) await readOfflineStatus(false);
+                return [];
+            });
+        });
+        offlineCloseButton.addEventListener('click', () => offlinePanel.classList.add('hidden'));
+        offlineSaveButton.addEventListener('click', () => runOfflineAction(applyOfflineSelection));
+        offlineCheckButton.addEventListener('click', () => runOfflineAction(checkOfflineUpdates));
+        offlineUpdateButton.addEventListener('click', () => runOfflineAction(updateOutdatedOfflineFiles));
+    }
 
-         } else {
-             if (lastSelectedCategoryId && lastSelectedContext) {
-                 displaySettingsList(lastSelectedCategoryId, lastSelectedContext);
-             } else {
-                 selectDefaultCategory();
-             }
-             settingsSearchInput.disabled = !lastSelectedCategoryId;
-         }
-         updateNavTreeVisibilityForSearch();
+    // --- Compare View ---
+    function populateCompareSelect(selectElement, selectedId) {
+        selectElement.innerHTML = '';
+        const placeholder = new Option(t('compare.choose'), '');
+        placeholder.disabled = true;
+        selectElement.appendChild(placeholder);
+        POLICY_SETS.forEach(set => selectElement.appendChild(new Option(set.displayName, set.id)));
+        compareFileSources.forEach((source, sourceId) => selectElement.appendChild(new Option(source.displayName, sourceId)));
+        selectElement.appendChild(new Option(t('compare.loadFile'), '__file__'));
+        selectElement.value = selectedId && Array.from(selectElement.options).some(o => o.value === selectedId) ? selectedId : '';
     }
 
-    function updateNavTreeVisibilityForSearch() {
-        const isSearchActive = isGlobalSearchActive;
-        const searchTerm = globalSearchTerm;
-        const policyIdsFromSearch = new Set(globalSearchPolicyEntries.map(entry => entry.policyId));
+    async function loadCompareSource(sourceId) {
+        if (compareFileSources.has(sourceId)) return compareFileSources.get(sourceId).data;
+        return fetchPolicySetData(sourceId, currentLang);
+    }
 
-        const categoryIdsToShow = new Set();
-        if (isSearchActive) {
-            const categoriesContainingPolicyMatches = new Set();
-            policyIdsFromSearch.forEach(policyId => {
-                const policy = policiesMap.get(policyId);
-                if (policy?.categoryId) categoriesContainingPolicyMatches.add(policy.categoryId);
-            });
-            categoriesMap.forEach((category, categoryId) => {
-                if (categoryId !== 'ROOT' && !categoryId.startsWith('VIRTUAL_')) {
-                    if (category.searchText.includes(searchTerm)) {
-                        categoriesContainingPolicyMatches.add(categoryId);
-                    }
-                }
-            });
-            categoriesContainingPolicyMatches.forEach(matchingCatId => {
-                let currentId = matchingCatId;
-                while (currentId && currentId !== 'ROOT' && !currentId.startsWith('VIRTUAL_')) {
-                    categoryIdsToShow.add(currentId);
-                    const cat = categoriesMap.get(currentId);
-                    currentId = cat?.parent;
-                    if (!cat) break;
-                }
-            });
+    function getCompareSourceName(sourceId) {
+        if (compareFileSources.has(sourceId)) return compareFileSources.get(sourceId).displayName;
+        return POLICY_SETS.find(set => set.id === sourceId)?.displayName || sourceId;
+    }
+
+    function openCompareView(baseId = null, targetId = null, selectedPolicyId = null) {
+        const defaultTarget = POLICY_SETS.find(set => set.id !== currentPolicySet)?.id || null;
+        compareState = { baseId: baseId || currentPolicySet, targetId: targetId || defaultTarget, result: null, selectedPolicyId };
+        populateCompareSelect(compareBaseSelect, compareState.baseId);
+        populateCompareSelect(compareTargetSelect, compareState.targetId);
+        mainViewElement.classList.add('hidden');
+        compareViewElement.classList.remove('hidden');
+        compareViewElement.classList.add('flex');
+        if (baseId && targetId) runCompare();
+        else updateUrlHash();
+    }
+
+    function closeCompareView() {
+        if (!compareState) return;
+        compareState = null;
+        compareViewElement.classList.add('hidden');
+        compareViewElement.classList.remove('flex');
+        mainViewElement.classList.remove('hidden');
+        updateUrlHash();
+    }
+
+    async function runCompare() {
+        const baseId = compareBaseSelect.value;
+        const targetId = compareTargetSelect.value;
+        if (!baseId || !targetId) {
+            compareListElement.innerHTML = html`<p class="text-gray-500">${t('compare.prompt')}</p>`;
+            return;
+        }
+        const keepSelection = compareState.baseId === baseId && compareState.targetId === targetId ? compareState.selectedPolicyId : null;
+        compareState = { baseId, targetId, result: null, selectedPolicyId: keepSelection };
+        compareListElement.innerHTML = html`<p class="text-gray-500">${t('compare.running')}</p>`;
+        compareDetailsElement.innerHTML = html`<h2 class="text-gray-500">${t('compare.selectPolicy')}</h2>`;
+        try {
+            const [baseData, targetData] = await Promise.all([loadCompareSource(baseId), loadCompareSource(targetId)]);
+            if (!compareState || compareState.baseId !== baseId || compareState.targetId !== targetId) return; // superseded
+            compareState.result = PolicyDiff.diffPolicySets(baseData, targetData);
+        } catch (error) {
+            compareListElement.innerHTML = '';
+            const errorP = document.createElement('p');
+            errorP.className = 'text-red-600';
+            errorP.textContent = error.message;
+            compareListElement.appendChild(errorP);
+            return;
+        }
+        renderCompareList();
+        const selected = compareState.selectedPolicyId;
+        if (selected && findCompareEntry(selected)) selectCompareEntry(selected);
+        else {
+            compareState.selectedPolicyId = null;
+            updateUrlHash();
         }
+    }
 
-        let visibleItemCount = 0;
-        const allCategoryTreeLIs = navTreeElement.querySelectorAll('li.original-category');
-        allCategoryTreeLIs.forEach(itemLi => {
-            const categoryId = itemLi.getAttribute('data-category-id');
-            const shouldShow = !isSearchActive || categoryIdsToShow.has(categoryId);
-            itemLi.style.display = shouldShow ? 'list-item' : 'none';
-            if (shouldShow) {
-                visibleItemCount++;
-                const toggle = itemLi.querySelector(':scope > div > .toggle');
-                const subUl = itemLi.querySelector(':scope > ul');
-                if (toggle && subUl) {
-                    const shouldExpand = isSearchActive && categoryIdsToShow.has(categoryId);
-                    if (subUl.style.display === 'none' && shouldExpand) toggleNode(toggle, true);
-                    else if (subUl.style.display === 'block' && !shouldExpand && !isNodeExpandedDueToSelection(itemLi)) toggleNode(toggle, false);
+    function findCompareEntry(policyId) {
+        const result = compareState?.result;
+        if (!result) return null;
+        const added = result.added.find(p => p.id === policyId);
+        if (added) return { kind: 'added', policy: added };
+        const removed = result.removed.find(p => p.id === policyId);
+        if (removed) return { kind: 'removed', policy: removed };
+        const changed = result.changed.find(c => c.id === policyId);
+        if (changed) return { kind: 'changed', policy: changed.target, change: changed };
+        return null;
+    }
+
+    function renderCompareList() {
+        const { added, removed, changed, unchangedCount } = compareState.result;
+        compareListElement.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'mb-4 text-gray-700';
+        summary.textContent = `${getCompareSourceName(compareState.baseId)} → ${getCompareSourceName(compareState.targetId)}: ` +
+            t('compare.summary', { added: added.length, removed: removed.length, changed: changed.length, unchanged: unchangedCount });
+        compareListElement.appendChild(summary);
+
+        const sections = [
+            { kind: 'added', title: t('compare.added'), items: added.map(p => ({ id: p.id, name: p.displayName })), badgeClass: 'bg-green-100 text-green-800' },
+            { kind: 'removed', title: t('compare.removed'), items: removed.map(p => ({ id: p.id, name: p.displayName })), badgeClass: 'bg-red-100 text-red-800' },
+            { kind: 'changed', title: t('compare.changed'), items: changed.map(c => ({ id: c.id, name: c.displayName, detail: c.changes.map(ch => ch.label).join(', ') })), badgeClass: 'bg-yellow-100 text-yellow-800' },
+        ];
+        sections.forEach(section => {
+            const details = document.createElement('details');
+            details.className = 'mb-3';
+            details.open = section.items.length > 0 && section.items.length <= 500;
+            const summaryEl = document.createElement('summary');
+            summaryEl.className = 'font-semibold cursor-pointer';
+            summaryEl.innerHTML = html`${section.title} <span class="text-xs rounded px-1 ${section.badgeClass}">${section.items.length}</span>`;
+            details.appendChild(summaryEl);
+            section.items.forEach(item => {
+                const itemDiv = document.createElement('div');
+                itemDiv.className = 'compare-item p-2 border-b border-l-2 border-transparent cursor-pointer hover:bg-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-300';
+                itemDiv.setAttribute('data-policy-id', item.id);
+                itemDiv.setAttribute('tabindex', '0');
+                itemDiv.textContent = item.name || item.id;
+                if (item.detail) {
+                    const detailSpan = document.createElement('span');
+                    detailSpan.className = 'block text-xs text-gray-500';
+                    detailSpan.textContent = item.detail;
+                    itemDiv.appendChild(detailSpan);
                 }
-            }
+                itemDiv.addEventListener('click', () => selectCompareEntry(item.id));
+                itemDiv.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        selectCompareEntry(item.id);
+                    }
+                });
+                details.appendChild(itemDiv);
+            });
+            compareListElement.appendChild(details);
         });
+    }
 
-        [VIRTUAL_COMPUTER_ROOT_ID, VIRTUAL_USER_ROOT_ID].forEach(rootId => {
-            const rootLi = navTreeElement.querySelector(`li[data-category-id="${rootId}"]`);
-            if (rootLi) {
-                const hasVisibleChildren = rootLi.querySelector('li.original-category[style*="list-item"]');
-                rootLi.style.display = (isSearchActive && !hasVisibleChildren) ? 'none' : 'list-item';
-                const rootToggle = rootLi.querySelector(':scope > div > .toggle');
-                const rootUl = rootLi.querySelector(':scope > ul');
-                if (rootToggle && rootUl) rootToggle.textContent = rootUl.style.display === 'block' ? '▼' : '▶';
-            }
-        });
+    function selectCompareEntry(policyId) {
+        const entry = findCompareEntry(policyId);
+        if (!entry) return;
+        compareState.selectedPolicyId = policyId;
+        compareListElement.querySelectorAll('.compare-item.selected').forEach(el => el.classList.remove('selected', 'bg-blue-100', 'border-blue-500'));
+        const itemEl = Array.from(compareListElement.querySelectorAll('.compare-item')).find(el => el.getAttribute('data-policy-id') === policyId);
+        if (itemEl) {
+            itemEl.classList.add('selected', 'bg-blue-100', 'border-blue-500');
+            const parentDetails = itemEl.closest('details');
+            if (parentDetails) parentDetails.open = true;
+        }
+        renderCompareDetails(entry);
+        updateUrlHash();
+    }
 
-        const noResultsMsg = navTreeElement.querySelector('.no-results-message');
-        if (isSearchActive && visibleItemCount === 0 && !noResultsMsg) {
-            const msgElement = document.createElement('p');
-            msgElement.className = 'text-gray-500 p-4 no-results-message';
-            msgElement.textContent = 'No matching categories found.';
-            const rootUl = navTreeElement.querySelector('ul');
-            if (rootUl) rootUl.after(msgElement); else navTreeElement.appendChild(msgElement);
-        } else if (noResultsMsg && (!isSearchActive || visibleItemCount > 0)) {
-            noResultsMsg.remove();
+    function appendCompareValue(cell, value) {
+        if (value === null) {
+            cell.innerHTML = html`<em class="text-gray-400">${t('compare.none')}</em>`;
+        } else {
+            cell.textContent = String(value);
         }
     }
-    
-    function isNodeExpandedDueToSelection(liElement) {
-        return liElement.querySelector('.category-name.selected') !== null;
+
+    function renderCompareDetails(entry) {
+        compareDetailsElement.innerHTML = '';
+        const title = document.createElement('h2');
+        title.className = 'text-xl font-semibold mb-1';
+        title.textContent = entry.policy.displayName || entry.policy.id;
+        compareDetailsElement.appendChild(title);
+        const idP = document.createElement('p');
+        idP.className = 'mb-3 text-xs text-gray-500 border-b pb-2 font-mono';
+        idP.textContent = entry.policy.id;
+        compareDetailsElement.appendChild(idP);
+
+        if (entry.kind !== 'changed') {
+            const policy = entry.policy;
+            const note = document.createElement('p');
+            note.className = entry.kind === 'added' ? 'mb-3 text-green-700' : 'mb-3 text-red-700';
+            note.textContent = entry.kind === 'added'
+                ? t('compare.onlyIn', { source: getCompareSourceName(compareState.targetId) })
+                : t('compare.onlyIn', { source: getCompareSourceName(compareState.baseId) });
+            compareDetailsElement.appendChild(note);
+            const facts = [
+                [t('compare.fact.supportedOn'), policy.supportedOn],
+                [t('compare.fact.class'), policy.class],
+                [t('compare.fact.registryKey'), policy.registry?.key],
+                [t('compare.fact.valueName'), policy.registry?.valueName || (policy.registry?.elements || []).map(el => el?.valueName || el?.id).join(', ')],
+                [t('compare.fact.description'), policy.explainText],
+            ];
+            facts.forEach(([label, value]) => {
+                if (!value) return;
+                const heading = document.createElement('h3');
+                heading.className = 'font-semibold text-gray-700 mt-3 mb-1';
+                heading.textContent = `${label}:`;
+                const valueP = document.createElement('p');
+                valueP.className = 'text-gray-600 whitespace-pre-wrap';
+                valueP.textContent = value;
+                compareDetailsElement.append(heading, valueP);
+            });
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-left border-collapse';
+        table.innerHTML = html`<thead><tr class="border-b"><th class="py-1 pr-2 w-1/5">${t('compare.columnField')}</th><th class="py-1 pr-2 w-2/5">${t('compare.columnBefore')}</th><th class="py-1 w-2/5">${t('compare.columnAfter')}</th></tr></thead>`;
+        const tbody = document.createElement('tbody');
+        entry.change.changes.forEach(change => {
+            const row = document.createElement('tr');
+            row.className = 'border-b align-top';
+            const fieldCell = document.createElement('td');
+            fieldCell.className = 'py-1 pr-2 font-semibold text-gray-700';
+            fieldCell.textContent = change.label;
+            row.appendChild(fieldCell);
+            if (change.field === 'explainText' && change.before !== null && change.after !== null) {
+                // Long descriptions get a word diff spanning both columns
+                const diffCell = document.createElement('td');
+                diffCell.colSpan = 2;
+                diffCell.className = 'py-1 whitespace-pre-wrap text-gray-600';
+                PolicyDiff.diffWords(change.before, change.after).forEach(segment => {
+                    const span = document.createElement(segment.type === 'added' ? 'ins' : (segment.type === 'removed' ? 'del' : 'span'));
+                    if (segment.type === 'added') span.className = 'bg-green-100 text-green-900 no-underline';
+                    if (segment.type === 'removed') span.className = 'bg-red-100 text-red-900';
+                    span.textContent = segment.text;
+                    diffCell.appendChild(span);
+                });
+                row.appendChild(diffCell);
+            } else {
+                const beforeCell = document.createElement('td');
+                beforeCell.className = 'py-1 pr-2 whitespace-pre-wrap font-mono text-xs bg-red-50';
+                appendCompareValue(beforeCell, change.before);
+                const afterCell = document.createElement('td');
+                afterCell.className = 'py-1 whitespace-pre-wrap font-mono text-xs bg-green-50';
+                appendCompareValue(afterCell, change.after);
+                row.append(beforeCell, afterCell);
+            }
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        compareDetailsElement.appendChild(table);
     }
 
-    function applyFiltersOnMiddleSearch() {
-        if (isGlobalSearchActive) {
-            displaySettingsList(globalSearchPolicyEntries);
-        } else if (lastSelectedCategoryId && lastSelectedContext) {
-             displaySettingsList(lastSelectedCategoryId, lastSelectedContext);
+    async function handleCompareFileChange() {
+        const file = compareFileInput.files[0];
+        const selectElement = pendingCompareSelect;
+        pendingCompareSelect = null;
+        compareFileInput.value = '';
+        if (!file || !selectElement) return;
+        try {
+            const data = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+            if (!Array.isArray(data?.allPolicies)) throw new Error(t('compare.noPolicies'));
+            const sourceId = `file:${compareFileSources.size + 1}`;
+            compareFileSources.set(sourceId, { displayName: t('compare.fileSource', { file: file.name }), data });
+            const baseValue = selectElement === compareBaseSelect ? sourceId : compareBaseSelect.value;
+            const targetValue = selectElement === compareTargetSelect ? sourceId : compareTargetSelect.value;
+            populateCompareSelect(compareBaseSelect, baseValue);
+            populateCompareSelect(compareTargetSelect, targetValue);
+        } catch (error) {
+            selectElement.value = '';
+            compareListElement.innerHTML = '';
+            const errorP = document.createElement('p');
+            errorP.className = 'text-red-600';
+            errorP.textContent = t('compare.loadError', { file: file.name, message: error.message });
+            compareListElement.appendChild(errorP);
         }
     }
 
+    function handleCompareSelectChange(event) {
+        if (event.target.value !== '__file__') return;
+        event.target.value = '';
+        pendingCompareSelect = event.target;
+        compareFileInput.click();
+    }
+
+    function setupCompareView() {
+        openCompareButton.addEventListener('click', () => openCompareView());
+        compareCloseButton.addEventListener('click', closeCompareView);
+        compareRunButton.addEventListener('click', runCompare);
+        compareBaseSelect.addEventListener('change', handleCompareSelectChange);
+        compareTargetSelect.addEventListener('change', handleCompareSelectChange);
+        compareFileInput.addEventListener('change', handleCompareFileChange);
+    }
 
     // --- Event Handlers and Initialization ---
-    window.toggleNode = (element, forceExpand = null) => {
+    function toggleNode(element, forceExpand = null) {
          const li = element.closest('li');
          if (!li) return;
          const ul = li.querySelector(':scope > ul');
@@ -701,18 +3747,28 @@ document.addEventListener('DOMContentLoaded', () => {
              if (forceExpand === true) isCollapsed = true;
              else if (forceExpand === false) isCollapsed = false;
              else isCollapsed = ul.style.display === 'none';
+             if (isCollapsed) renderTreeChildren(li);
+             // Keep the keyboard out of the items being hidden
+             if (!isCollapsed && li !== document.activeElement && li.contains(document.activeElement)) focusTreeItem(li);
              ul.style.display = isCollapsed ? 'block' : 'none';
+             li.setAttribute('aria-expanded', String(isCollapsed));
              element.textContent = isCollapsed ? '▼' : '▶';
              element.classList.toggle('collapsed', !isCollapsed);
              element.classList.toggle('expanded', isCollapsed);
          }
-    };
+    }
 
-    window.selectCategoryFromTree = (nodeTreeId) => {
+    function selectCategoryFromTree(nodeTreeId) {
         if (!nodeTreeId) return;
+        const leftSearch = isGlobalSearchActive;
         if (isGlobalSearchActive) {
+            // Leaving the search and picking the category make one history entry
             globalSearchInput.value = '';
-            performGlobalSearchAndUpdateView();
+            performGlobalSearchAndUpdateView({ updateHash: false });
+        } else if (globalSearchInput.value) {
+            // Drop a query that never parsed
+            globalSearchInput.value = '';
+            showGlobalSearchError(null);
         }
 
         const parts = nodeTreeId.split('_');
@@ -720,7 +3776,10 @@ document.addEventListener('DOMContentLoaded', () => {
         const context = parts[0];
         const categoryId = parts.slice(1).join('_');
         if (categoryId === VIRTUAL_COMPUTER_ROOT_ID || categoryId === VIRTUAL_USER_ROOT_ID) return;
-        if (lastSelectedCategoryId === categoryId && lastSelectedContext === context && !isGlobalSearchActive) return;
+        if (lastSelectedCategoryId === categoryId && lastSelectedContext === context && !isGlobalSearchActive) {
+            if (leftSearch) updateUrlHash(true);
+            return;
+        }
 
         lastSelectedCategoryId = categoryId;
         lastSelectedContext = context;
@@ -737,23 +3796,173 @@ document.addEventListener('DOMContentLoaded', () => {
                 highlightPolicyInSettingsList(lastSelectedPolicyId, context); 
             }
         }
-        if (!currentPolicyStillValid) {
-            clearDetails();
-        } else {
-            updateUrlHash();
-        }
-    };
+        if (!currentPolicyStillValid) clearDetails(false);
+        updateUrlHash(true);
+    }
 
     function highlightNavCategory(categoryId, context) {
         navTreeElement.querySelectorAll('.category-name.selected').forEach(el => {
             el.classList.remove('selected', 'bg-blue-100', 'font-semibold');
         });
+        navTreeElement.querySelectorAll('li[aria-selected="true"]').forEach(li => li.setAttribute('aria-selected', 'false'));
         const nodeTreeId = `${context}_${categoryId}`;
         const currentElement = navTreeElement.querySelector(`li[data-tree-id="${nodeTreeId}"] .category-name`) ||
                                navTreeElement.querySelector(`li[data-category-id="${categoryId}"][data-context="${context}"] .category-name`);
         if (currentElement) {
             currentElement.classList.add('selected', 'bg-blue-100', 'font-semibold');
+            currentElement.closest('li').setAttribute('aria-selected', 'true');
+        }
+        updateTreeTabStop();
+    }
+
+    // --- Keyboard Navigation ---
+    // The nav tree follows the WAI-ARIA treeview pattern: one item is in the tab order (the
+    // focused or the selected one), arrows move and expand, Enter/Space select, letters jump.
+    function isTreeItemVisible(item) {
+        for (let element = item; element && element !== navTreeElement; element = element.parentElement) {
+            if (element.style.display === 'none') return false;
         }
+        return true;
+    }
+
+    function getVisibleTreeItems() {
+        return Array.from(navTreeElement.querySelectorAll('li[role="treeitem"]')).filter(isTreeItemVisible);
+    }
+
+    function getTreeTabStop() {
+        const focused = document.activeElement;
+        if (focused?.matches?.('li[role="treeitem"]') && navTreeElement.contains(focused) && isTreeItemVisible(focused)) return focused;
+        const selected = navTreeElement.querySelector('li[aria-selected="true"]');
+        if (selected && isTreeItemVisible(selected)) return selected;
+        return getVisibleTreeItems()[0] || null;
+    }
+
+    function updateTreeTabStop() {
+        const tabStop = getTreeTabStop();
+        navTreeElement.querySelectorAll('li[role="treeitem"][tabindex="0"]').forEach(item => {
+            if (item !== tabStop) item.tabIndex = -1;
+        });
+        if (tabStop) tabStop.tabIndex = 0;
+    }
+
+    function focusTreeItem(item) {
+        if (!item) return;
+        navTreeElement.querySelectorAll('li[role="treeitem"][tabindex="0"]').forEach(other => { other.tabIndex = -1; });
+        item.tabIndex = 0;
+        item.focus();
+    }
+
+    function getTreeItemName(item) {
+        return item.querySelector(':scope > div > .category-name')?.textContent.trim() || '';
+    }
+
+    // Typing quickly extends the prefix; a repeated single character cycles through the items starting with it
+    function findTreeItemByTypeAhead(character, items, index) {
+        const now = Date.now();
+        const text = now - treeTypeAhead.time < TREE_TYPE_AHEAD_RESET_MS ? treeTypeAhead.text + character.toLowerCase() : character.toLowerCase();
+        treeTypeAhead = { text, time: now };
+        const isRepeat = text.length > 1 && text.split('').every(char => char === text[0]);
+        const prefix = isRepeat ? text[0] : text;
+        const start = prefix.length === 1 ? index + 1 : index;
+        for (let offset = 0; offset < items.length; offset++) {
+            const candidate = items[(start + offset) % items.length];
+            if (getTreeItemName(candidate).toLowerCase().startsWith(prefix)) return candidate;
+        }
+        return null;
+    }
+
+    function handleNavTreeClick(event) {
+        const toggle = event.target.closest('.toggle');
+        if (toggle) {
+            toggleNode(toggle);
+            return;
+        }
+        const item = event.target.closest('.category-name')?.closest('li[role="treeitem"]');
+        if (item?.dataset.treeId) selectCategoryFromTree(item.dataset.treeId);
+    }
+
+    function handleNavTreeKeydown(event) {
+        const item = event.target.closest('li[role="treeitem"]');
+        if (!item || event.altKey || event.ctrlKey || event.metaKey) return;
+        const items = getVisibleTreeItems();
+        const index = items.indexOf(item);
+        const toggle = item.querySelector(':scope > div > .toggle');
+        const isExpanded = item.getAttribute('aria-expanded') === 'true';
+        switch (event.key) {
+            case 'ArrowDown':
+                focusTreeItem(items[index + 1]);
+                break;
+            case 'ArrowUp':
+                focusTreeItem(items[index - 1]);
+                break;
+            case 'ArrowRight':
+                if (toggle && !isExpanded) toggleNode(toggle, true);
+                else if (isExpanded) focusTreeItem(Array.from(item.querySelectorAll(':scope > ul > li[role="treeitem"]')).find(isTreeItemVisible));
+                break;
+            case 'ArrowLeft':
+                if (toggle && isExpanded) toggleNode(toggle, false);
+                else focusTreeItem(item.parentElement.closest('li[role="treeitem"]'));
+                break;
+            case 'Home':
+                focusTreeItem(items[0]);
+                break;
+            case 'End':
+                focusTreeItem(items[items.length - 1]);
+                break;
+            case 'Enter':
+            case ' ':
+                if (item.dataset.treeId) selectCategoryFromTree(item.dataset.treeId);
+                else if (toggle) toggleNode(toggle);
+                break;
+            default:
+                // '/' is left to the global search shortcut
+                if (event.key.length !== 1 || event.key === '/' || !event.key.trim()) return;
+                focusTreeItem(findTreeItemByTypeAhead(event.key, items, index));
+        }
+        event.preventDefault();
+    }
+
+    function isEditableElement(element) {
+        return element instanceof HTMLElement && (element.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName));
+    }
+
+    function focusPane(pane) {
+        if (pane === 'tree') {
+            const tabStop = getTreeTabStop();
+            if (tabStop) focusTreeItem(tabStop);
+        } else if (pane === 'list') {
+            // The selected row may be outside the rendered window, so look it up in the list data
+            const selectedIndex = settingsListRows ? settingsListRows.items.findIndex(item => !item.policySet && isSelectedSettingsItem(item.policy.id, item.contextHint)) : -1;
+            if (selectedIndex >= 0) focusSettingsListRow(selectedIndex);
+            else if (settingsListRows?.items.length > 0) focusSettingsListRow(0);
+            else if (!settingsSearchInput.disabled) settingsSearchInput.focus();
+        } else if (pane === 'details') {
+            detailsColumnElement.focus();
+        }
+    }
+
+    function setupDataDiagnostics() {
+        dataDiagnosticsShowButton.addEventListener('click', () => {
+            clearDetails();
+            renderDataDiagnostics();
+        });
+    }
+
+    function setupKeyboardNavigation() {
+        navTreeElement.addEventListener('click', handleNavTreeClick);
+        navTreeElement.addEventListener('keydown', handleNavTreeKeydown);
+        document.addEventListener('keydown', (event) => {
+            if (event.defaultPrevented || event.ctrlKey || event.metaKey) return;
+            // The compare view replaces the three panes
+            if (event.altKey && !event.shiftKey && PANE_SHORTCUTS[event.code] && !compareState) {
+                event.preventDefault();
+                focusPane(PANE_SHORTCUTS[event.code]);
+            } else if (event.key === '/' && !event.altKey && !isEditableElement(event.target)) {
+                event.preventDefault();
+                globalSearchInput.focus();
+                globalSearchInput.select();
+            }
+        });
     }
     
     function highlightPolicyInSettingsList(policyId, contextHintForBoth = null) {
@@ -761,7 +3970,7 @@ document.addEventListener('DOMContentLoaded', () => {
             el.classList.remove('selected', 'bg-blue-100', 'border-blue-500');
         });
 
-        let selector = `.setting-item[data-policy-id="${policyId}"]`;
+        let selector = `.setting-item[data-policy-id="${policyId}"]:not([data-policy-set])`;
         if (isGlobalSearchActive && policiesMap.get(policyId)?.class === 'Both' && contextHintForBoth) {
             selector += `[data-context-hint="${contextHintForBoth}"]`;
         }
@@ -769,6 +3978,10 @@ document.addEventListener('DOMContentLoaded', () => {
         const currentPolicyElement = settingsListElement.querySelector(selector);
         if (currentPolicyElement) {
             currentPolicyElement.classList.add('selected', 'bg-blue-100', 'border-blue-500');
+        } else if (settingsListRows) {
+            // Not rendered yet: scroll the list window to it (the row marks itself as selected)
+            const index = settingsListRows.items.findIndex(item => !item.policySet && isSelectedSettingsItem(item.policy.id, item.contextHint));
+            if (index !== -1) scrollSettingsListToRow(index);
         }
     }
 
@@ -803,7 +4016,7 @@ document.addEventListener('DOMContentLoaded', () => {
         highlightPolicyInSettingsList(policyId, lastSelectedContext); 
 
         if (oldPolicyId !== policyId || oldContext !== lastSelectedContext) {
-            updateUrlHash();
+            updateUrlHash(true);
         }
     };
 
@@ -813,31 +4026,70 @@ document.addEventListener('DOMContentLoaded', () => {
             const option = document.createElement('option');
             option.value = set.id;
             option.textContent = set.displayName;
+            const details = [set.version && t('header.setVersion', { version: set.version }), set.releaseDate && t('header.setReleased', { date: set.releaseDate })].filter(Boolean);
+            if (details.length > 0) option.title = details.join(', ');
             policySetSelect.appendChild(option);
         });
     }
 
+    // Only the languages the selected set has data for are offered
+    function populateLanguageSelector(set) {
+        languageSelect.innerHTML = '';
+        getSetLanguages(set).forEach(lang => {
+            const option = document.createElement('option');
+            option.value = lang;
+            option.textContent = getLanguageName(lang);
+            languageSelect.appendChild(option);
+        });
+    }
+
     async function initialize() {
         isInitializing = true;
-        populatePolicySetSelector();
+        await loadUiCatalog(FALLBACK_LANGUAGE);
+        try {
+            await loadManifest();
+        } catch (error) {
+            console.error(error);
+            detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${error.message}</p>`;
+        }
 
         const hashParams = parseUrlHash();
         const langFromUrl = hashParams.lang;
         const policySetFromUrl = hashParams.policySet;
-        const policyIdFromUrl = hashParams.policy;
-        const contextFromUrl = hashParams.context;
-
-        const validLanguages = Array.from(languageSelect.options).map(opt => opt.value);
-        currentLang = (langFromUrl && validLanguages.includes(langFromUrl)) ? langFromUrl : languageSelect.value;
-        languageSelect.value = currentLang;
+        const isCompareFromUrl = hashParams.view === 'compare';
+        closeCompareView();
 
         const defaultPolicySet = POLICY_SETS.find(ps => ps.isDefault) || POLICY_SETS[0];
         if (!defaultPolicySet) {
-            detailsContentElement.innerHTML = '<p class="text-red-600 p-4">Error: No policy sets configured.</p>';
+            if (manifestLoaded) detailsContentElement.innerHTML = html`<p class="text-red-600 p-4">${t('error.noSets')}</p>`;
             isInitializing = false; return;
         }
         currentPolicySet = (policySetFromUrl && POLICY_SETS.find(ps => ps.id === policySetFromUrl)) ? policySetFromUrl : defaultPolicySet.id;
+
+        const selectedSet = POLICY_SETS.find(ps => ps.id === currentPolicySet);
+        populateLanguageSelector(selectedSet);
+        if (hashParams.lang2 !== null) secondLang = hashParams.lang2 || null;
+        const requestedLang = langFromUrl || currentLang || defaultLanguage;
+        currentLang = resolveLanguage(selectedSet, requestedLang);
+        if (requestedLang && currentLang !== requestedLang && langFromUrl) {
+            console.info(`Policy set '${selectedSet.displayName}' is not available in '${requestedLang}', showing '${currentLang}'.`);
+        }
+        languageSelect.value = currentLang;
+        await loadUiLanguage();
+        populateUiLanguageSelector();
+        populatePolicySetSelector();
         policySetSelect.value = currentPolicySet;
+        populateSecondLanguageSelector(selectedSet);
+        if (isOfflineSupported()) {
+            updateOfflineButton();
+            // Once per page load: flag kept data files the server has newer versions of
+            if (offlineStatus === null) readOfflineStatus(true).catch(error => console.warn(`Could not check the offline data: ${error.message}`));
+        }
+        if (hashParams.basket) {
+            // A shared basket is merged into the stored one
+            decodeBasketFromHash(hashParams.basket, currentPolicySet).forEach(entry => putBasketEntry(entry, false));
+            storeBasket();
+        }
         
         allData = {};
         globalSearchPolicyEntries = [];
@@ -845,36 +4097,16 @@ document.addEventListener('DOMContentLoaded', () => {
         lastSelectedPolicyId = null;
         lastSelectedContext = null;
         categoryClassCache.clear();
-        navTreeElement.innerHTML = '<p class="p-4 text-gray-500">Loading navigation...</p>';
-        settingsListElement.innerHTML = '<p class="p-4 text-gray-500">Loading settings...</p>';
+        navTreeElement.innerHTML = html`<p class="p-4 text-gray-500">${t('tree.loading')}</p>`;
+        settingsListElement.innerHTML = html`<p class="p-4 text-gray-500">${t('list.loading')}</p>`;
         clearDetails(false);
 
-        const data = await loadData(currentPolicySet, currentLang);
-        if (!data) { isInitializing = false; return; }
-        processFlatData(data);
-        renderNavTree(); // Also updates nav tree visibility based on language
-
-        let restoredFromUrlPolicy = false;
-        if (policyIdFromUrl && policiesMap.has(policyIdFromUrl)) {
-            const policy = policiesMap.get(policyIdFromUrl);
-            if (policy.categoryId && categoriesMap.has(policy.categoryId)) {
-                const effectiveContextForSelection = contextFromUrl || (policy.class === 'User' ? 'User' : (policy.class === 'Both' ? 'Machine' : policy.class));
-                isGlobalSearchActive = false; 
-                globalSearchInput.value = ''; 
-
-                selectCategoryFromTree(`${effectiveContextForSelection}_${policy.categoryId}`);
-                selectPolicy(policyIdFromUrl, effectiveContextForSelection); 
-                restoredFromUrlPolicy = true;
-            }
-        }
-
-        if (!restoredFromUrlPolicy) {
-            selectDefaultCategory();
-        }
-
+        // Before loading, so the set and language can still be changed when the data cannot be shown
         const debouncedGlobalSearch = debounce(performGlobalSearchAndUpdateView, 300);
         globalSearchInput.removeEventListener('input', debouncedGlobalSearch);
         globalSearchInput.addEventListener('input', debouncedGlobalSearch);
+        globalSearchAllSetsInput.removeEventListener('change', performGlobalSearchAndUpdateView);
+        globalSearchAllSetsInput.addEventListener('change', performGlobalSearchAndUpdateView);
 
         const debouncedMiddleSearch = debounce(applyFiltersOnMiddleSearch, 250);
         settingsSearchInput.removeEventListener('input', debouncedMiddleSearch);
@@ -882,11 +4114,115 @@ document.addEventListener('DOMContentLoaded', () => {
 
         languageSelect.removeEventListener('change', handleLanguageChange);
         languageSelect.addEventListener('change', handleLanguageChange);
+        secondLanguageSelect.removeEventListener('change', handleSecondLanguageChange);
+        secondLanguageSelect.addEventListener('change', handleSecondLanguageChange);
+        uiLanguageSelect.removeEventListener('change', handleUiLanguageChange);
+        uiLanguageSelect.addEventListener('change', handleUiLanguageChange);
         policySetSelect.removeEventListener('change', handlePolicySetChange);
         policySetSelect.addEventListener('change', handlePolicySetChange);
 
+        const data = await loadData(currentPolicySet, currentLang);
+        if (!data) { isInitializing = false; return; }
+        dataValidation = getDataValidation(data);
+        if (dataValidation.errors.length > 0) {
+            showDataErrors();
+            isInitializing = false; return;
+        }
+        renderDataDiagnosticsBar();
+        processFlatData(data);
+        buildSupportFacets();
+        buildFacetOptions(hashParams.facets);
+        buildSearchIndex();
+        await loadSecondLanguage();
+        matchPolOverlay();
+        matchBaseline();
+        renderBasket();
+        renderNavTree(); // Also updates nav tree visibility based on language
+
+        isGlobalSearchActive = false;
+        globalSearchTerm = '';
+        globalSearchQuery = null;
+        globalSearchInput.value = '';
+        settingsSearchInput.value = '';
+        if (isCompareFromUrl) selectDefaultCategory();
+        else await restoreViewState(hashParams);
+
         isInitializing = false;
-        if (!restoredFromUrlPolicy) updateUrlHash();
+        lastUrlHash = window.location.hash;
+        if (isCompareFromUrl) {
+            openCompareView(hashParams.base, hashParams.target, hashParams.policy);
+        } else {
+            updateUrlHash();
+        }
+    }
+
+    // --- View State from the URL ---
+    // Selects the category and policy, runs the global search and applies the in-category filter
+    // a hash describes; the policy set and languages must already be loaded.
+    async function restoreViewState(hashParams) {
+        isRestoringViewState = true;
+        try {
+            const policy = hashParams.policy ? policiesMap.get(hashParams.policy) : null;
+            let categoryId = hashParams.category && categoriesMap.has(hashParams.category) ? hashParams.category : null;
+            if (!categoryId && policy?.categoryId && categoriesMap.has(policy.categoryId)) categoryId = policy.categoryId;
+            let context = hashParams.context === 'Machine' || hashParams.context === 'User' ? hashParams.context : null;
+            if (!context && policy) context = policy.class === 'User' ? 'User' : 'Machine';
+            if (!context && categoryId) context = categoryContainsClass(categoryId, 'Machine') ? 'Machine' : 'User';
+            const query = (hashParams.q || '').trim();
+            const allSets = hashParams.allSets === '1';
+
+            if (isGlobalSearchActive && !query) {
+                globalSearchInput.value = '';
+                await performGlobalSearchAndUpdateView({ updateHash: false });
+            }
+            if (categoryId && query) {
+                // Shown again once the search is cleared
+                lastSelectedCategoryId = categoryId;
+                lastSelectedContext = context;
+                expandToCategory(categoryId, context);
+                highlightNavCategory(categoryId, context);
+            } else if (categoryId) {
+                expandToCategory(categoryId, context);
+                selectCategoryFromTree(`${context}_${categoryId}`);
+            } else if (!query && !lastSelectedCategoryId) {
+                selectDefaultCategory();
+            }
+            if (query && (!isGlobalSearchActive || query !== globalSearchTerm || allSets !== isAllSetsSearch)) {
+                globalSearchInput.value = query;
+                globalSearchAllSetsInput.checked = allSets;
+                await performGlobalSearchAndUpdateView({ updateHash: false });
+            }
+            const filter = hashParams.filter || '';
+            if (settingsSearchInput.value !== filter) {
+                settingsSearchInput.value = filter;
+                applyFiltersOnMiddleSearch();
+            }
+            if (policy) selectPolicy(policy.id, context);
+            else if (lastSelectedPolicyId) clearDetails(false);
+        } finally {
+            isRestoringViewState = false;
+        }
+    }
+
+    // Back/forward and edited hashes. Only another policy set, language or the compare view need
+    // initialize(); everything else is applied to the loaded data.
+    async function handleHistoryNavigation() {
+        if (isInitializing || window.location.hash === lastUrlHash) return;
+        lastUrlHash = window.location.hash;
+        const hashParams = parseUrlHash();
+        const needsInitialize = (hashParams.policySet && hashParams.policySet !== currentPolicySet) ||
+            (hashParams.lang && hashParams.lang !== currentLang) ||
+            (hashParams.lang2 || null) !== (secondLangData?.lang || null) ||
+            hashParams.view === 'compare' || compareState !== null;
+        if (needsInitialize) {
+            await initialize();
+            return;
+        }
+        if ((hashParams.facets || '') !== PolicyFacets.serializeSelection(facetSelection)) {
+            buildFacetOptions(hashParams.facets);
+            refreshPolOverlayViews();
+        }
+        await restoreViewState(hashParams);
     }
 
     function selectDefaultCategory() {
@@ -900,42 +4236,44 @@ document.addEventListener('DOMContentLoaded', () => {
             selectCategoryFromTree(defaultNodeTreeId);
         } else {
             if (categoriesMap.size > 0 && categoriesMap.has('ROOT')) {
-                 settingsListElement.innerHTML = `<p class="text-gray-500 p-4">No categories available in the policy set ('${currentPolicySet}').</p>`;
+                 settingsListElement.innerHTML = html`<p class="text-gray-500 p-4">${t('list.noCategoriesInSet', { set: currentPolicySet })}</p>`;
             }
             settingsSearchInput.disabled = true;
             clearDetails();
         }
     }
 
+    // Both keep the search and filter and add a history entry, so back returns to the previous view;
+    // initialize() loads what the new hash names (an open comparison is re-run in the new language)
     function handleLanguageChange(event) {
         const selectedLang = event.target.value;
         if (currentLang === selectedLang) return;
-        
-        // Update currentLang immediately for getVirtualRootName used during re-render
-        currentLang = selectedLang; 
-
-        const params = new URLSearchParams();
-        params.set('lang', selectedLang);
-        if (currentPolicySet) params.set('policySet', currentPolicySet);
-        if (lastSelectedPolicyId) {
-             params.set('policy', lastSelectedPolicyId);
-             if (lastSelectedContext) params.set('context', lastSelectedContext);
-        }
-        history.replaceState(null, '', window.location.pathname + window.location.search + (params.toString() ? '#' + params.toString() : ''));
-		isGlobalSearchActive = false;
-        initialize(); // Re-initialize will use the new currentLang
+        updateUrlHash(true, { lang: selectedLang });
+        initialize();
     }
 
     function handlePolicySetChange(event) {
         const selectedPolicySetId = event.target.value;
         if (currentPolicySet === selectedPolicySetId) return;
-        const params = new URLSearchParams();
-        if (currentLang) params.set('lang', currentLang);
-        params.set('policySet', selectedPolicySetId);
-        history.replaceState(null, '', window.location.pathname + window.location.search + (params.toString() ? '#' + params.toString() : ''));
+        updateUrlHash(true, { policySet: selectedPolicySetId });
         initialize();
     }
 
+    loadStoredUiLanguage();
+    setupLocalAdmxLoading();
+    setupCompareView();
+    setupPolOverlay();
+    setupBaseline();
+    setupBasket();
+    setupOfflinePanel();
+    setupRegistryLookup();
+    setupRegistryCollisions();
+    setupSettingsListWindowing();
+    setupDataDiagnostics();
+    setupKeyboardNavigation();
+    window.addEventListener('popstate', handleHistoryNavigation);
+    window.addEventListener('hashchange', handleHistoryNavigation);
+    searchWorker = createSearchWorker();
     initialize();
 });
 // --- END OF FILE app.js ---
\ No newline at end of file
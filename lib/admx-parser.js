@@ -0,0 +1,603 @@
+// --- START OF FILE lib/admx-parser.js ---
+// JavaScript port of Generate-AdmxJson.ps1. Turns ADMX/ADML files into the
+// { language, allCategories, allPolicies } shape consumed by processFlatData.
+// DOM-free so the same code runs in the browser and under Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AdmxParser = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LANGUAGE_FOLDER_PATTERN = /^[a-z]{2,3}-[A-Za-z]{2,4}(-[A-Za-z]{2})?$/;
+
+    // --- Minimal XML Reader ---
+    // ADMX/ADML only use elements, attributes, text, comments and the XML
+    // declaration, so a small tokenizer is enough and avoids DOMParser (not
+    // available in Node). Element names are stored without namespace prefix.
+
+    const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+    function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+            if (entity[0] === '#') {
+                const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+            }
+            return Object.prototype.hasOwnProperty.call(XML_ENTITIES, entity) ? XML_ENTITIES[entity] : match;
+        });
+    }
+
+    function localName(qualifiedName) {
+        const colon = qualifiedName.indexOf(':');
+        return colon === -1 ? qualifiedName : qualifiedName.slice(colon + 1);
+    }
+
+    function parseXml(xmlText) {
+        const documentNode = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [documentNode];
+        const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let pos = 0;
+
+        while (pos < xmlText.length) {
+            const current = stack[stack.length - 1];
+            const lt = xmlText.indexOf('<', pos);
+            if (lt === -1) {
+                current.text += decodeEntities(xmlText.slice(pos));
+                break;
+            }
+            if (lt > pos) current.text += decodeEntities(xmlText.slice(pos, lt));
+
+            if (xmlText.startsWith('<!--', lt)) {
+                const end = xmlText.indexOf('-->', lt + 4);
+                if (end === -1) throw new Error(`Unterminated comment at offset ${lt}.`);
+                pos = end + 3;
+            } else if (xmlText.startsWith('<![CDATA[', lt)) {
+                const end = xmlText.indexOf(']]>', lt + 9);
+                if (end === -1) throw new Error(`Unterminated CDATA section at offset ${lt}.`);
+                current.text += xmlText.slice(lt + 9, end);
+                pos = end + 3;
+            } else if (xmlText.startsWith('<?', lt)) {
+                const end = xmlText.indexOf('?>', lt + 2);
+                if (end === -1) throw new Error(`Unterminated processing instruction at offset ${lt}.`);
+                pos = end + 2;
+            } else if (xmlText.startsWith('<!', lt)) {
+                const end = xmlText.indexOf('>', lt + 2);
+                if (end === -1) throw new Error(`Unterminated declaration at offset ${lt}.`);
+                pos = end + 1;
+            } else if (xmlText[lt + 1] === '/') {
+                const end = xmlText.indexOf('>', lt + 2);
+                if (end === -1) throw new Error(`Unterminated end tag at offset ${lt}.`);
+                const closingName = localName(xmlText.slice(lt + 2, end).trim());
+                if (stack.length < 2 || current.name !== closingName) {
+                    throw new Error(`Unexpected closing tag </${closingName}> at offset ${lt}.`);
+                }
+                stack.pop();
+                pos = end + 1;
+            } else {
+                // Find the end of the start tag, skipping '>' inside quoted attribute values
+                let end = lt + 1;
+                let quote = null;
+                while (end < xmlText.length) {
+                    const ch = xmlText[end];
+                    if (quote) {
+                        if (ch === quote) quote = null;
+                    } else if (ch === '"' || ch === "'") {
+                        quote = ch;
+                    } else if (ch === '>') {
+                        break;
+                    }
+                    end++;
+                }
+                if (end >= xmlText.length) throw new Error(`Unterminated start tag at offset ${lt}.`);
+                let tagBody = xmlText.slice(lt + 1, end);
+                const selfClosing = tagBody.endsWith('/');
+                if (selfClosing) tagBody = tagBody.slice(0, -1);
+                const nameMatch = /^[^\s/>]+/.exec(tagBody);
+                if (!nameMatch) throw new Error(`Invalid start tag at offset ${lt}.`);
+
+                const element = { name: localName(nameMatch[0]), attributes: {}, children: [], text: '' };
+                attributePattern.lastIndex = nameMatch[0].length;
+                let attrMatch;
+                while ((attrMatch = attributePattern.exec(tagBody)) !== null) {
+                    const attrName = attrMatch[1];
+                    if (attrName === 'xmlns' || attrName.startsWith('xmlns:')) continue;
+                    element.attributes[localName(attrName)] = decodeEntities(attrMatch[3] !== undefined ? attrMatch[3] : attrMatch[4]);
+                }
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+                pos = end + 1;
+            }
+        }
+
+        if (stack.length > 1) throw new Error(`Unclosed element <${stack[stack.length - 1].name}>.`);
+        const rootElement = documentNode.children[0];
+        if (!rootElement) throw new Error('Document has no root element.');
+        return rootElement;
+    }
+
+    // --- XML Tree Helpers ---
+    function childElement(node, name) {
+        return node ? node.children.find(child => child.name === name) || null : null;
+    }
+
+    function childElements(node, name) {
+        return node ? node.children.filter(child => child.name === name) : [];
+    }
+
+    function pathElements(node, ...names) {
+        let nodes = node ? [node] : [];
+        names.forEach(name => {
+            nodes = nodes.flatMap(n => childElements(n, name));
+        });
+        return nodes;
+    }
+
+    function getAttr(node, name) {
+        return node && Object.prototype.hasOwnProperty.call(node.attributes, name) ? node.attributes[name] : null;
+    }
+
+    function innerText(node) {
+        if (!node) return '';
+        return node.text + node.children.map(innerText).join('');
+    }
+
+    // --- Text Decoding ---
+    // ADMX/ADML files are usually UTF-8, but some vendors ship UTF-16 with a BOM.
+    function decodeText(bytes) {
+        if (typeof bytes === 'string') return bytes.replace(/^\uFEFF/, '');
+        const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        let encoding = 'utf-8';
+        if (view[0] === 0xFF && view[1] === 0xFE) encoding = 'utf-16le';
+        else if (view[0] === 0xFE && view[1] === 0xFF) encoding = 'utf-16be';
+        return new TextDecoder(encoding).decode(view).replace(/^\uFEFF/, '');
+    }
+
+    // --- String and Name Resolution ---
+    function resolveString(rawString, stringTables, defaultValue = null) {
+        if (rawString === null || rawString === undefined) return defaultValue;
+        const stringMatch = /^\$\(string\.(.+)\)$/.exec(rawString);
+        if (stringMatch) {
+            const value = lookupString(stringMatch[1], stringTables);
+            if (value !== undefined) return value;
+            return defaultValue !== null ? defaultValue : rawString;
+        }
+        // windows:SUPPORTED_* references point straight at a string id in windows.adml
+        if (/^windows:SUPPORTED_/.test(rawString)) {
+            const value = lookupString(rawString.replace('windows:', ''), stringTables);
+            return value !== undefined ? value : rawString;
+        }
+        return rawString;
+    }
+
+    // String tables are searched in order, so the file's own ADML wins over the
+    // merged table of every ADML for the language.
+    function lookupString(stringId, stringTables) {
+        for (const table of stringTables) {
+            if (table && table.has(stringId)) return table.get(stringId);
+        }
+        return undefined;
+    }
+
+    function getNamespacePrefixMap(policyDefinitionsNode) {
+        const prefixMap = new Map();
+        const namespacesNode = childElement(policyDefinitionsNode, 'policyNamespaces');
+        const targetNode = childElement(namespacesNode, 'target');
+        if (targetNode) prefixMap.set(getAttr(targetNode, 'prefix'), getAttr(targetNode, 'namespace'));
+        childElements(namespacesNode, 'using').forEach(usingNode => {
+            prefixMap.set(getAttr(usingNode, 'prefix'), getAttr(usingNode, 'namespace'));
+        });
+        return prefixMap;
+    }
+
+    function resolvePrefixedName(prefixedName, prefixMap, defaultNamespaceUri, warnings) {
+        const match = /^([a-zA-Z0-9_.-]+):(.+)$/.exec(prefixedName);
+        if (!match) return `${defaultNamespaceUri}::${prefixedName}`;
+        if (prefixMap.has(match[1])) return `${prefixMap.get(match[1])}::${match[2]}`;
+        warnings.push(`Namespace prefix '${match[1]}' in '${prefixedName}' not found in prefix map.`);
+        return prefixedName;
+    }
+
+    function fileBaseName(path) {
+        const fileName = path.split(/[\\/]/).pop();
+        return fileName.replace(/\.[^.]+$/, '').toLowerCase();
+    }
+
+    // --- ADMX Parsing ---
+    function parseAdmx(xmlText, fileName, warnings = []) {
+        const policyDefinitions = parseXml(decodeText(xmlText));
+        if (policyDefinitions.name !== 'policyDefinitions') {
+            throw new Error(`'${fileName}' is not an ADMX file (root element <${policyDefinitions.name}>).`);
+        }
+        const prefixMap = getNamespacePrefixMap(policyDefinitions);
+        const targetNode = pathElements(policyDefinitions, 'policyNamespaces', 'target')[0];
+        const namespaceUri = getAttr(targetNode, 'namespace');
+        if (!namespaceUri) throw new Error(`Could not determine target namespace for '${fileName}'.`);
+
+        const supportedOnDefinitions = pathElements(policyDefinitions, 'supportedOn', 'definitions', 'definition')
+            .filter(node => {
+                if (getAttr(node, 'name')) return true;
+                warnings.push(`Skipping supportedOn definition in '${fileName}' because its 'name' attribute is missing or empty.`);
+                return false;
+            })
+            .map(node => ({ name: getAttr(node, 'name'), rawDisplayName: getAttr(node, 'displayName') }));
+
+        const categories = pathElements(policyDefinitions, 'categories', 'category')
+            .filter(node => {
+                if (getAttr(node, 'name')) return true;
+                warnings.push(`Skipping category in '${fileName}' because its 'name' attribute is missing or empty.`);
+                return false;
+            })
+            .map(node => {
+                const parentRef = getAttr(childElement(node, 'parentCategory'), 'ref');
+                return {
+                    name: getAttr(node, 'name'),
+                    rawDisplayName: getAttr(node, 'displayName'),
+                    parentUniqueId: parentRef ? resolvePrefixedName(parentRef, prefixMap, namespaceUri, warnings) : null,
+                };
+            });
+
+        const policies = pathElements(policyDefinitions, 'policies', 'policy')
+            .filter(node => {
+                if (getAttr(node, 'name')) return true;
+                warnings.push(`Skipping policy in '${fileName}' because its 'name' attribute is missing or empty.`);
+                return false;
+            })
+            .map(node => {
+                const name = getAttr(node, 'name');
+                const parentRef = getAttr(childElement(node, 'parentCategory'), 'ref');
+                if (!parentRef) warnings.push(`Policy '${namespaceUri}::${name}' is missing parentCategory reference in '${fileName}'.`);
+                const supportedOnRef = getAttr(childElement(node, 'supportedOn'), 'ref');
+                return {
+                    name,
+                    class: getAttr(node, 'class'),
+                    rawDisplayName: getAttr(node, 'displayName'),
+                    rawExplainText: getAttr(node, 'explainText'),
+                    supportedOnUniqueId: supportedOnRef ? resolvePrefixedName(supportedOnRef, prefixMap, namespaceUri, warnings) : null,
+                    supportedOnRef,
+                    presentationRef: getAttr(node, 'presentation'),
+                    categoryUniqueId: parentRef ? resolvePrefixedName(parentRef, prefixMap, namespaceUri, warnings) : null,
+                    node,
+                };
+            });
+
+        return { fileName, namespaceUri, prefixMap, supportedOnDefinitions, categories, policies };
+    }
+
+    // --- ADML Parsing ---
+    function parseAdml(xmlText, fileName) {
+        const resourcesRoot = parseXml(decodeText(xmlText));
+        if (resourcesRoot.name !== 'policyDefinitionResources') {
+            throw new Error(`'${fileName}' is not an ADML file (root element <${resourcesRoot.name}>).`);
+        }
+        const strings = new Map();
+        pathElements(resourcesRoot, 'resources', 'stringTable', 'string').forEach(node => {
+            strings.set(getAttr(node, 'id'), node.text);
+        });
+        const presentations = new Map();
+        pathElements(resourcesRoot, 'resources', 'presentationTable', 'presentation').forEach(node => {
+            presentations.set(getAttr(node, 'id'), node);
+        });
+        return { fileName, strings, presentations };
+    }
+
+    function parsePresentationNode(node, stringTables) {
+        return {
+            id: getAttr(node, 'id'),
+            elements: node.children.map(child => {
+                let labelText = child.text.trim();
+                if (!labelText) labelText = (childElement(child, 'label')?.text || '').trim();
+                const defaultValue = getAttr(child, 'defaultValue');
+                return {
+                    type: child.name,
+                    refId: getAttr(child, 'refId'),
+                    label: labelText ? resolveString(labelText, stringTables, labelText) : null,
+                    default: defaultValue,
+                };
+            }),
+        };
+    }
+
+    // --- Registry Information ---
+    function parseEnumItemValue(itemNode) {
+        const valueNode = childElement(itemNode, 'value');
+        if (!valueNode) return null;
+        const decimalNode = childElement(valueNode, 'decimal');
+        if (decimalNode) return getAttr(decimalNode, 'value');
+        const stringNode = childElement(valueNode, 'string');
+        if (stringNode) return innerText(stringNode).trim() || null;
+        return null;
+    }
+
+    function parseIntStrict(value) {
+        return /^[+-]?\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null;
+    }
+
+    function processRegistryInfo(policyNode, stringTables, warnings) {
+        const policyName = getAttr(policyNode, 'name');
+        const regInfo = {
+            key: getAttr(policyNode, 'key'),
+            valueName: null,
+            type: 'Unknown',
+            enabledValue: null,
+            disabledValue: null,
+            options: null,
+            elements: null,
+        };
+
+        const valueName = getAttr(policyNode, 'valueName');
+        if (valueName) {
+            regInfo.valueName = valueName;
+            const enabledDecimal = getAttr(childElement(childElement(policyNode, 'enabledValue'), 'decimal'), 'value');
+            const disabledDecimal = getAttr(childElement(childElement(policyNode, 'disabledValue'), 'decimal'), 'value');
+            if (enabledDecimal !== null && disabledDecimal !== null) {
+                regInfo.type = 'REG_DWORD';
+                regInfo.enabledValue = parseIntStrict(enabledDecimal);
+                regInfo.disabledValue = parseIntStrict(disabledDecimal);
+                if (regInfo.enabledValue !== null && regInfo.disabledValue !== null) {
+                    regInfo.options = [
+                        { value: regInfo.enabledValue, display: resolveString('$(string.Enabled)', stringTables, 'Enabled') },
+                        { value: regInfo.disabledValue, display: resolveString('$(string.Disabled)', stringTables, 'Disabled') },
+                    ];
+                } else {
+                    regInfo.enabledValue = null;
+                    regInfo.disabledValue = null;
+                }
+            }
+        }
+
+        const elementsNode = childElement(policyNode, 'elements');
+        if (elementsNode) {
+            const elementList = elementsNode.children.map(element => {
+                const elemInfo = {
+                    id: getAttr(element, 'id'),
+                    elementType: element.name,
+                    valueName: getAttr(element, 'valueName'),
+                    type: 'Unknown',
+                    options: null,
+                    minValue: getAttr(element, 'minValue'),
+                    maxValue: getAttr(element, 'maxValue'),
+                    maxLength: getAttr(element, 'maxLength'),
+                    required: getAttr(element, 'required') === 'true',
+                };
+                // Elements may write to their own key (lists nearly always do)
+                const elementKey = getAttr(element, 'key');
+                if (elementKey) elemInfo.key = elementKey;
+
+                switch (element.name) {
+                    case 'enum': {
+                        elemInfo.type = 'REG_DWORD';
+                        const enumOptions = [];
+                        const items = childElements(element, 'item');
+                        if (items.length === 0) warnings.push(`No <item> elements found inside <enum id='${elemInfo.id}'> for policy '${policyName}'.`);
+                        items.forEach(item => {
+                            const display = resolveString(getAttr(item, 'displayName'), stringTables, getAttr(item, 'displayName'));
+                            const rawValue = parseEnumItemValue(item);
+                            const itemValue = rawValue !== null ? parseIntStrict(rawValue) : null;
+                            if (itemValue !== null) {
+                                enumOptions.push({ value: itemValue, display });
+                            } else if (rawValue !== null) {
+                                warnings.push(`Enum item '${display}' for element '${elemInfo.id}' in policy '${policyName}' has a value '${rawValue}' that could not be parsed as an integer.`);
+                            } else {
+                                warnings.push(`Enum item '${display}' for element '${elemInfo.id}' in policy '${policyName}' is missing a supported value structure or the value was empty.`);
+                            }
+                        });
+                        if (enumOptions.length > 0) elemInfo.options = enumOptions;
+                        break;
+                    }
+                    case 'decimal': elemInfo.type = 'REG_DWORD'; break;
+                    case 'longDecimal': elemInfo.type = 'REG_QWORD'; break;
+                    case 'text': elemInfo.type = getAttr(element, 'expandable') === 'true' ? 'REG_EXPAND_SZ' : 'REG_SZ'; break;
+                    case 'boolean':
+                        elemInfo.type = 'REG_DWORD';
+                        elemInfo.options = [
+                            { value: 1, display: resolveString('$(string.True)', stringTables, 'True') },
+                            { value: 0, display: resolveString('$(string.False)', stringTables, 'False') },
+                        ];
+                        break;
+                    case 'multiText': elemInfo.type = 'REG_MULTI_SZ'; break;
+                    case 'list':
+                        elemInfo.type = 'REG_SZ';
+                        if (getAttr(element, 'valuePrefix') !== null) elemInfo.valuePrefix = getAttr(element, 'valuePrefix');
+                        if (getAttr(element, 'explicitValue') === 'true') elemInfo.explicitValue = true;
+                        if (getAttr(element, 'additive') === 'true') elemInfo.additive = true;
+                        break;
+                    default:
+                        warnings.push(`Unsupported element type '${element.name}' found in policy '${policyName}'.`);
+                }
+                return elemInfo;
+            });
+            if (elementList.length > 0) regInfo.elements = elementList;
+        }
+
+        // Drop null properties for cleaner JSON, like the PowerShell generator does
+        Object.keys(regInfo).forEach(prop => {
+            if (regInfo[prop] === null) delete regInfo[prop];
+        });
+        return regInfo;
+    }
+
+    // --- Build Flat Data ---
+    // admxDocs: results of parseAdmx; admlDocs: results of parseAdml for one language.
+    function buildPolicyData(admxDocs, admlDocs, language, warnings = []) {
+        const mergedStrings = new Map();
+        const admlByBaseName = new Map();
+        admlDocs.forEach(adml => {
+            adml.strings.forEach((value, id) => {
+                if (mergedStrings.has(id) && mergedStrings.get(id) !== value) {
+                    warnings.push(`Duplicate string ID '${id}' found in '${adml.fileName}'. Previous value will be overwritten.`);
+                }
+                mergedStrings.set(id, value);
+            });
+            admlByBaseName.set(fileBaseName(adml.fileName), adml);
+        });
+        const stringTablesFor = (admxDoc) => [admlByBaseName.get(fileBaseName(admxDoc.fileName))?.strings, mergedStrings];
+
+        // SupportedOn definitions are keyed by namespace so cross-file refs resolve
+        const supportedOnDefinitions = new Map();
+        admxDocs.forEach(admxDoc => {
+            admxDoc.supportedOnDefinitions.forEach(definition => {
+                const uniqueId = `${admxDoc.namespaceUri}::${definition.name}`;
+                if (!supportedOnDefinitions.has(uniqueId)) supportedOnDefinitions.set(uniqueId, { ...definition, admxDoc });
+            });
+        });
+
+        const categories = new Map();
+        admxDocs.forEach(admxDoc => {
+            admxDoc.categories.forEach(cat => {
+                const uniqueId = `${admxDoc.namespaceUri}::${cat.name}`;
+                if (categories.has(uniqueId)) warnings.push(`Duplicate category definition found for '${uniqueId}' in file '${admxDoc.fileName}'. Overwriting.`);
+                categories.set(uniqueId, {
+                    id: uniqueId,
+                    name: cat.name,
+                    displayName: resolveString(cat.rawDisplayName, stringTablesFor(admxDoc), cat.name),
+                    parent: null,
+                    children: [],
+                    policies: [],
+                    parentUniqueId: cat.parentUniqueId,
+                });
+            });
+        });
+        categories.forEach(cat => {
+            if (cat.parentUniqueId && categories.has(cat.parentUniqueId)) {
+                categories.get(cat.parentUniqueId).children.push(cat.id);
+                cat.parent = cat.parentUniqueId;
+            }
+        });
+
+        const policies = new Map();
+        admxDocs.forEach(admxDoc => {
+            const stringTables = stringTablesFor(admxDoc);
+            const adml = admlByBaseName.get(fileBaseName(admxDoc.fileName));
+            admxDoc.policies.forEach(pol => {
+                const uniqueId = `${admxDoc.namespaceUri}::${pol.name}`;
+                if (policies.has(uniqueId)) warnings.push(`Duplicate policy definition found for '${uniqueId}' in file '${admxDoc.fileName}'. Overwriting.`);
+
+                let supportedOn = 'Not specified';
+                if (pol.supportedOnUniqueId) {
+                    const definition = supportedOnDefinitions.get(pol.supportedOnUniqueId);
+                    if (definition) {
+                        supportedOn = resolveString(definition.rawDisplayName, stringTablesFor(definition.admxDoc), 'Not specified');
+                    } else {
+                        // Definition lives in an ADMX that was not loaded; its string id usually still matches
+                        const bareName = pol.supportedOnUniqueId.split('::').pop();
+                        supportedOn = lookupString(bareName, stringTables) ?? resolveString(pol.supportedOnRef, stringTables, 'Not specified');
+                    }
+                }
+
+                let categoryId = null;
+                if (pol.categoryUniqueId) {
+                    if (categories.has(pol.categoryUniqueId)) {
+                        categoryId = pol.categoryUniqueId;
+                        categories.get(categoryId).policies.push(uniqueId);
+                    } else {
+                        warnings.push(`Could not find parent category '${pol.categoryUniqueId}' for policy '${uniqueId}'.`);
+                    }
+                }
+
+                const policy = {
+                    id: uniqueId,
+                    name: pol.name,
+                    class: pol.class,
+                    displayName: resolveString(pol.rawDisplayName, stringTables, pol.name),
+                    explainText: resolveString(pol.rawExplainText, stringTables, 'No description.'),
+                    supportedOn,
+                    categoryId,
+                    registry: processRegistryInfo(pol.node, stringTables, warnings),
+                    presentation: null,
+                    admxFile: admxDoc.fileName.split(/[\\/]/).pop(),
+                };
+
+                const presentationMatch = /^\$\(presentation\.(.+)\)$/.exec(pol.presentationRef || '');
+                if (presentationMatch && adml?.presentations.has(presentationMatch[1])) {
+                    policy.presentation = parsePresentationNode(adml.presentations.get(presentationMatch[1]), stringTables);
+                }
+                if (policy.presentation === null) delete policy.presentation;
+                policies.set(uniqueId, policy);
+            });
+        });
+
+        const allCategories = Array.from(categories.values()).map(({ parentUniqueId, ...cat }) => cat);
+        const virtualRoot = {
+            id: 'ROOT',
+            name: 'ROOT',
+            displayName: resolveString('$(string.VirtualRootDisplayName)', [mergedStrings], 'Administrative Templates'),
+            parent: null,
+            children: allCategories.filter(cat => !cat.parent).map(cat => cat.id),
+            policies: [],
+        };
+
+        return {
+            schemaVersion: 1, // schema/admx-data.schema.json
+            language,
+            allCategories: [virtualRoot, ...allCategories],
+            allPolicies: Array.from(policies.values()),
+        };
+    }
+
+    // --- File Set Processing ---
+    // files: [{ path, content }] where content is a string or bytes. ADML files are
+    // expected in a language folder next to the ADMX files (PolicyDefinitions/en-US/*.adml).
+    function languageOfPath(path) {
+        const segments = path.split(/[\\/]/);
+        segments.pop();
+        const folder = segments.reverse().find(segment => LANGUAGE_FOLDER_PATTERN.test(segment));
+        return folder || null;
+    }
+
+    function generateFromFiles(files, options = {}) {
+        const warnings = [];
+        const admxDocs = [];
+        const admlDocsByLanguage = new Map();
+
+        files.forEach(file => {
+            const lowerPath = file.path.toLowerCase();
+            try {
+                if (lowerPath.endsWith('.admx')) {
+                    admxDocs.push(parseAdmx(file.content, file.path, warnings));
+                } else if (lowerPath.endsWith('.adml')) {
+                    const language = languageOfPath(file.path);
+                    if (!language) {
+                        warnings.push(`ADML file '${file.path}' is not inside a language folder. Skipping.`);
+                        return;
+                    }
+                    if (!admlDocsByLanguage.has(language)) admlDocsByLanguage.set(language, []);
+                    admlDocsByLanguage.get(language).push(parseAdml(file.content, file.path));
+                }
+            } catch (error) {
+                warnings.push(`Error processing '${file.path}': ${error.message}`);
+            }
+        });
+
+        if (admxDocs.length === 0) throw new Error('No ADMX files found.');
+
+        const requestedLanguages = options.languages && options.languages.length > 0
+            ? options.languages
+            : Array.from(admlDocsByLanguage.keys()).sort();
+        const dataByLanguage = {};
+        requestedLanguages.forEach(language => {
+            const admlDocs = admlDocsByLanguage.get(language);
+            if (!admlDocs) {
+                warnings.push(`No ADML files found for language '${language}'. Skipping.`);
+                return;
+            }
+            dataByLanguage[language] = buildPolicyData(admxDocs, admlDocs, language, warnings);
+        });
+
+        return { dataByLanguage, warnings, admxCount: admxDocs.length };
+    }
+
+    return {
+        parseXml,
+        decodeText,
+        parseAdmx,
+        parseAdml,
+        buildPolicyData,
+        generateFromFiles,
+        languageOfPath,
+    };
+});
+// --- END OF FILE lib/admx-parser.js ---
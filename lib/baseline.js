@@ -0,0 +1,109 @@
+// --- START OF FILE lib/baseline.js ---
+// Security baselines: the policies a baseline configures with their expected
+// state and element values, read from a JSON list or derived from a baseline
+// GPO's Registry.pol matches, and the pass/fail/missing result of comparing
+// them with the settings a GPO actually configures.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Baseline = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STATES = ['Enabled', 'Disabled', 'NotConfigured'];
+    const SCOPES = { machine: 'Machine', computer: 'Machine', user: 'User' };
+    const STATUSES = ['pass', 'fail', 'missing'];
+
+    // --- Reading ---
+    function normalizeState(value) {
+        const compact = String(value ?? '').replace(/[\s_-]+/g, '').toLowerCase();
+        return STATES.find(state => state.toLowerCase() === compact) || null;
+    }
+
+    function normalizeScope(value) {
+        return SCOPES[String(value ?? '').toLowerCase()] || null;
+    }
+
+    // Entries: { policyId, scope, state, values }; scope is null when the baseline leaves it to the policy's class.
+    // Accepts an array of entries or an object with an entries (or policies) array, such as the basket's JSON
+    // baseline. Entries use policyId (or id), state, an optional scope (Machine/Computer/User) and values.
+    function parseBaselineJson(json, fallbackName = '') {
+        const list = Array.isArray(json) ? json : (json?.entries || json?.policies);
+        if (!Array.isArray(list)) throw new Error('Expected a list of policies or an object with an "entries" list.');
+        const entries = [];
+        let skipped = 0;
+        list.forEach(item => {
+            const policyId = typeof item?.policyId === 'string' ? item.policyId : (typeof item?.id === 'string' ? item.id : null);
+            const state = normalizeState(item?.state ?? 'Enabled');
+            if (!policyId || !state) {
+                skipped++;
+                return;
+            }
+            const values = item.values && typeof item.values === 'object' && !Array.isArray(item.values) ? item.values : {};
+            entries.push({ policyId, scope: normalizeScope(item.scope), state, values });
+        });
+        const name = (!Array.isArray(json) && typeof json?.name === 'string' && json.name) || fallbackName;
+        const policySet = !Array.isArray(json) && typeof json?.policySet === 'string' ? json.policySet : null;
+        return { name, policySet, entries, skipped };
+    }
+
+    // Entries of a baseline GPO, from RegistryPol.matchRegistryPol matches
+    function fromRegistryPolMatches(matches, scope) {
+        return Array.from(matches.values()).map(match => ({ policyId: match.policy.id, scope, state: match.state, values: match.values }));
+    }
+
+    // --- Comparing ---
+    // Booleans are written as 1/0; lists and multi-line texts compare without regard to order
+    function normalizeValue(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        if (Array.isArray(value)) {
+            const items = value
+                .map(item => (item && typeof item === 'object' ? `${item.name}=${item.value ?? ''}` : String(item)))
+                .filter(item => item !== '');
+            return items.length > 0 ? items.sort().join('\n') : null;
+        }
+        return String(value).trim();
+    }
+
+    function sameValue(expected, actual) {
+        return normalizeValue(expected) === normalizeValue(actual);
+    }
+
+    // expected: { state, values }; actual: { state, values } as configured by the GPO, or null.
+    // Returns { status: 'pass' | 'fail' | 'missing', differences: [{ elementId, expected, actual }] };
+    // a differing state is reported with elementId null.
+    function evaluateSetting(expected, actual) {
+        const actualState = actual?.state && actual.state !== 'NotConfigured' ? actual.state : null;
+        if (!actualState) return { status: expected.state === 'NotConfigured' ? 'pass' : 'missing', differences: [] };
+        if (actualState !== expected.state) {
+            return { status: 'fail', differences: [{ elementId: null, expected: expected.state, actual: actualState }] };
+        }
+        const differences = [];
+        if (expected.state === 'Enabled') {
+            Object.entries(expected.values || {}).forEach(([elementId, value]) => {
+                if (normalizeValue(value) === null) return; // Unset in the baseline: anything goes
+                const actualValue = actual.values?.[elementId];
+                if (!sameValue(value, actualValue)) differences.push({ elementId, expected: value, actual: actualValue ?? null });
+            });
+        }
+        return { status: differences.length > 0 ? 'fail' : 'pass', differences };
+    }
+
+    // results: iterable of { status } -> { pass, fail, missing, total }; entries without a status are not counted
+    function summarize(results) {
+        const summary = { pass: 0, fail: 0, missing: 0, total: 0 };
+        for (const result of results) {
+            if (!STATUSES.includes(result?.status)) continue;
+            summary[result.status]++;
+            summary.total++;
+        }
+        return summary;
+    }
+
+    return { STATUSES, parseBaselineJson, fromRegistryPolMatches, normalizeValue, evaluateSetting, summarize };
+});
+// --- END OF FILE lib/baseline.js ---
@@ -0,0 +1,184 @@
+// --- START OF FILE lib/data-validator.js ---
+// Checks a policy data file (schema/admx-data.schema.json) before it is shown: the format
+// version, the shape of the lists, duplicate ids, references between categories and
+// policies, category cycles and policies the tree would never show. Used on load and by
+// tools/validate-data.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DataValidator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const ROOT_ID = 'ROOT';
+    const POLICY_CLASSES = ['Machine', 'User', 'Both'];
+
+    // English texts for the issue codes; the viewer shows its own translations (validation.<code>)
+    const MESSAGES = {
+        notAnObject: 'The file does not contain a JSON object.',
+        missingList: 'The "{field}" list is missing.',
+        invalidVersion: 'schemaVersion {version} is not a version number.',
+        unsupportedVersion: 'schemaVersion {version} is newer than this viewer supports ({supported}).',
+        missingCategoryId: 'Category #{index} has no id.',
+        missingPolicyId: 'Policy #{index} has no id.',
+        duplicateCategory: 'Category id "{id}" is used more than once.',
+        duplicatePolicy: 'Policy id "{id}" is used more than once.',
+        invalidList: 'Category "{id}": "{field}" is not a list.',
+        noRoot: 'There is no ROOT category, so the tree has no top level.',
+        categoryCycle: 'Categories form a cycle: {path}.',
+        unknownChild: 'Category "{id}" lists the unknown child category "{child}".',
+        unknownParent: 'Category "{id}" names the unknown parent "{parent}".',
+        parentMismatch: 'Category "{id}" is listed under "{listedIn}" but names "{parent}" as its parent.',
+        unreachableCategory: 'Category "{id}" cannot be reached from ROOT and is not shown.',
+        unknownPolicyRef: 'Category "{id}" lists the unknown policy "{policy}".',
+        unknownCategory: 'Policy "{id}" belongs to the unknown category "{category}" and is not shown.',
+        noCategory: 'Policy "{id}" has no category and is not shown.',
+        orphanPolicy: 'Policy "{id}" is not listed in its category "{category}" and is not shown.',
+        categoryMismatch: 'Policy "{id}" belongs to "{category}" but is listed in "{listedIn}".',
+        invalidClass: 'Policy "{id}" has the class "{value}" (expected Machine, User or Both).',
+    };
+
+    function formatIssue(issue) {
+        return (MESSAGES[issue.code] || issue.code).replace(/\{(\w+)\}/g, (match, name) => (issue.params[name] ?? match));
+    }
+
+    // --- Validation ---
+    // Returns { schemaVersion, errors, warnings } with issues { severity, code, params }.
+    // Errors mean the data cannot be shown (the tree would be empty, wrong or never finish);
+    // warnings are parts the tree leaves out.
+    function validateData(data) {
+        const errors = [];
+        const warnings = [];
+        const report = (severity, code, params = {}) => (severity === 'error' ? errors : warnings).push({ severity, code, params });
+        const result = () => ({ schemaVersion, errors, warnings });
+        let schemaVersion = SCHEMA_VERSION;
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            report('error', 'notAnObject');
+            return result();
+        }
+        // Files from before the version was written are version 1
+        if (data.schemaVersion === undefined) {
+            schemaVersion = 1;
+        } else if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+            report('error', 'invalidVersion', { version: String(data.schemaVersion) });
+        } else {
+            schemaVersion = data.schemaVersion;
+            if (schemaVersion > SCHEMA_VERSION) report('error', 'unsupportedVersion', { version: schemaVersion, supported: SCHEMA_VERSION });
+        }
+        ['allCategories', 'allPolicies'].forEach(field => {
+            if (!Array.isArray(data[field])) report('error', 'missingList', { field });
+        });
+        if (errors.length > 0) return result();
+
+        // Ids
+        const categories = new Map();
+        data.allCategories.forEach((category, index) => {
+            if (!category || typeof category.id !== 'string' || category.id === '') {
+                report('error', 'missingCategoryId', { index });
+                return;
+            }
+            if (categories.has(category.id)) report('error', 'duplicateCategory', { id: category.id });
+            else categories.set(category.id, category);
+            ['children', 'policies'].forEach(field => {
+                if (category[field] !== undefined && category[field] !== null && !Array.isArray(category[field])) report('error', 'invalidList', { id: category.id, field });
+            });
+        });
+        const policies = new Map();
+        data.allPolicies.forEach((policy, index) => {
+            if (!policy || typeof policy.id !== 'string' || policy.id === '') {
+                report('error', 'missingPolicyId', { index });
+                return;
+            }
+            if (policies.has(policy.id)) report('error', 'duplicatePolicy', { id: policy.id });
+            else policies.set(policy.id, policy);
+            if (!POLICY_CLASSES.includes(policy.class)) report('warning', 'invalidClass', { id: policy.id, value: String(policy.class) });
+        });
+        if (!categories.has(ROOT_ID)) report('error', 'noRoot');
+        const listOf = (category, field) => (Array.isArray(category[field]) ? category[field] : []);
+
+        // Cycles along the parent links (breadcrumbs) and the child lists (tree)
+        const reportedCycles = new Set();
+        const reportCycle = (path) => {
+            const key = [...path].sort().join('\n');
+            if (reportedCycles.has(key)) return;
+            reportedCycles.add(key);
+            report('error', 'categoryCycle', { path: [...path, path[0]].join(' → ') });
+        };
+        const parentChecked = new Set();
+        categories.forEach((category, id) => {
+            const chain = [];
+            let currentId = id;
+            while (typeof currentId === 'string' && categories.has(currentId) && !parentChecked.has(currentId)) {
+                const position = chain.indexOf(currentId);
+                if (position !== -1) {
+                    reportCycle(chain.slice(position));
+                    break;
+                }
+                chain.push(currentId);
+                currentId = categories.get(currentId).parent;
+            }
+            chain.forEach(chainId => parentChecked.add(chainId));
+        });
+        const reachable = new Set();
+        const visit = (id, path) => {
+            if (path.includes(id)) {
+                reportCycle(path.slice(path.indexOf(id)));
+                return;
+            }
+            if (reachable.has(id)) return;
+            reachable.add(id);
+            listOf(categories.get(id), 'children').forEach(childId => {
+                if (categories.has(childId)) visit(childId, [...path, id]);
+            });
+        };
+        if (categories.has(ROOT_ID)) visit(ROOT_ID, []);
+
+        // References
+        const listedIn = new Map(); // child category id -> category listing it
+        const policyListedIn = new Map(); // policy id -> categories listing it
+        categories.forEach((category, id) => {
+            listOf(category, 'children').forEach(childId => {
+                if (!categories.has(childId)) report('warning', 'unknownChild', { id, child: String(childId) });
+                else listedIn.set(childId, id);
+            });
+            listOf(category, 'policies').forEach(policyId => {
+                if (!policies.has(policyId)) {
+                    report('warning', 'unknownPolicyRef', { id, policy: String(policyId) });
+                    return;
+                }
+                if (!policyListedIn.has(policyId)) policyListedIn.set(policyId, []);
+                policyListedIn.get(policyId).push(id);
+            });
+        });
+        categories.forEach((category, id) => {
+            if (id === ROOT_ID) return;
+            const parent = category.parent ?? null;
+            if (parent !== null && !categories.has(parent)) report('warning', 'unknownParent', { id, parent: String(parent) });
+            // Top-level categories have no parent and are listed under ROOT
+            const expectedListing = parent === null ? ROOT_ID : parent;
+            if (listedIn.has(id) && listedIn.get(id) !== expectedListing && categories.has(expectedListing)) {
+                report('warning', 'parentMismatch', { id, parent: expectedListing, listedIn: listedIn.get(id) });
+            }
+            if (categories.has(ROOT_ID) && !reachable.has(id)) report('warning', 'unreachableCategory', { id });
+        });
+        policies.forEach((policy, id) => {
+            const categoryId = policy.categoryId ?? null;
+            const listings = policyListedIn.get(id) || [];
+            if (categoryId === null) report('warning', 'noCategory', { id });
+            else if (!categories.has(categoryId)) report('warning', 'unknownCategory', { id, category: String(categoryId) });
+            else if (listings.length === 0) report('warning', 'orphanPolicy', { id, category: categoryId });
+            listings.filter(listingId => listingId !== categoryId).forEach(listingId => {
+                report('warning', 'categoryMismatch', { id, category: String(categoryId), listedIn: listingId });
+            });
+        });
+        return result();
+    }
+
+    return { SCHEMA_VERSION, validateData, formatIssue };
+});
+// --- END OF FILE lib/data-validator.js ---
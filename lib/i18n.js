@@ -0,0 +1,72 @@
+// --- START OF FILE lib/i18n.js ---
+// UI message catalogs: lookup with a locale fallback chain, {name} interpolation
+// and plural forms. Catalogs are flat JSON objects (locales/<locale>.json) mapping
+// keys to a string, or for counted messages to plural forms keyed by
+// Intl.PluralRules category ("one", "other", ...) or exact count ("=0").
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const pluralRulesCache = new Map(); // locale -> Intl.PluralRules
+
+    // 'de-DE' -> ['de-DE', 'de', fallbackLocale]
+    function getLocaleChain(locale, fallbackLocale) {
+        const chain = [];
+        const add = (value) => { if (value && !chain.includes(value)) chain.push(value); };
+        add(locale);
+        if (locale && locale.includes('-')) add(locale.split('-')[0]);
+        add(fallbackLocale);
+        return chain;
+    }
+
+    function getPluralRules(locale) {
+        if (!pluralRulesCache.has(locale)) {
+            let rules;
+            try {
+                rules = new Intl.PluralRules(locale);
+            } catch (error) {
+                rules = new Intl.PluralRules('en');
+            }
+            pluralRulesCache.set(locale, rules);
+        }
+        return pluralRulesCache.get(locale);
+    }
+
+    // Replaces {name} with params.name; unknown placeholders are kept as written
+    function interpolate(template, params = {}) {
+        return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) && params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+    }
+
+    // Picks the plural form for params.count and interpolates it
+    function formatMessage(message, params = {}, locale = 'en') {
+        let template = message;
+        if (message && typeof message === 'object') {
+            const count = Number(params.count);
+            template = message[`=${count}`] ?? message[getPluralRules(locale).select(count)] ?? message.other;
+        }
+        if (typeof template !== 'string') return null;
+        return interpolate(template, params);
+    }
+
+    // catalogs: Map or object locale -> catalog. Returns the key itself when no catalog has it.
+    function translate(catalogs, locales, key, params) {
+        const getCatalog = (locale) => (catalogs instanceof Map ? catalogs.get(locale) : catalogs[locale]);
+        for (const locale of locales) {
+            const catalog = getCatalog(locale);
+            if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, key)) continue;
+            const text = formatMessage(catalog[key], params, locale);
+            if (text !== null) return text;
+        }
+        return key;
+    }
+
+    return { getLocaleChain, interpolate, formatMessage, translate };
+});
+// --- END OF FILE lib/i18n.js ---
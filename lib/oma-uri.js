@@ -0,0 +1,121 @@
+// --- START OF FILE lib/oma-uri.js ---
+// Intune (Policy CSP) mapping for ADMX policies: OMA-URIs for ADMX-backed
+// policies built into Windows, OMA-URIs for ingested third-party ADMX files and
+// the <enabled/><data id=... value=.../> payload.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./registry-export.js'));
+    } else {
+        root.OmaUri = factory(root.RegistryExport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RegistryExport) {
+    'use strict';
+
+    const SCOPE_PATHS = { Device: './Device/Vendor/MSFT/Policy', User: './User/Vendor/MSFT/Policy' };
+    // Separator between list and multi-string items inside a data value
+    const ITEM_SEPARATOR = '&#xF000;';
+
+    function getScopes(policy) {
+        if (policy.class === 'Machine') return ['Device'];
+        if (policy.class === 'User') return ['User'];
+        return ['Device', 'User'];
+    }
+
+    function getAdmxBaseName(policy) {
+        return (policy.admxFile || '').replace(/^.*[\\/]/, '').replace(/\.admx$/i, '');
+    }
+
+    // Category ids are 'namespace::name'; ingested paths use the names from the top category down
+    function getCategoryNamePath(policy, categoriesById) {
+        const names = [];
+        let categoryId = policy.categoryId;
+        while (categoryId && categoryId !== 'ROOT') {
+            const category = categoriesById.get(categoryId);
+            if (!category) break;
+            names.unshift(category.name || categoryId.split('::').pop());
+            categoryId = category.parent;
+        }
+        return names;
+    }
+
+    // ADMX files shipped with Windows: ./Device/Vendor/MSFT/Policy/Config/ADMX_<file>/<policy>
+    function getInboxUris(policy) {
+        const area = `ADMX_${getAdmxBaseName(policy)}`;
+        return getScopes(policy).map(scope => ({ scope, uri: `${SCOPE_PATHS[scope]}/Config/${area}/${policy.name}` }));
+    }
+
+    // Ingested ADMX files: ./Device/Vendor/MSFT/Policy/Config/<app>~Policy~<category path>/<policy>
+    function getIngestedUris(policy, categoriesById, appName) {
+        const area = [appName, 'Policy', ...getCategoryNamePath(policy, categoriesById)].join('~');
+        return getScopes(policy).map(scope => ({ scope, uri: `${SCOPE_PATHS[scope]}/Config/${area}/${policy.name}` }));
+    }
+
+    // Where the ADMX file itself is uploaded (String value = file contents)
+    function getIngestionUri(policy, appName) {
+        return `${SCOPE_PATHS.Device}/ConfigOperations/ADMXInstall/${appName}/Policy/${getAdmxBaseName(policy)}`;
+    }
+
+    function getDefaultAppName(policy) {
+        return getAdmxBaseName(policy) || 'App';
+    }
+
+    // --- Payload ---
+    function escapeXmlAttribute(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // The parsers record the ADMX element in elementType; <boolean> elements carry True (1) / False (0)
+    // options like an enum but take true/false. Older data files have no elementType and get the option value.
+    function isBooleanElement(element) {
+        return element.elementType === 'boolean';
+    }
+
+    // Example value used when the element has no value yet
+    function getPlaceholderValue(element) {
+        switch (RegistryExport.getElementKind(element)) {
+            case 'enum': return element.options[0].value;
+            case 'decimal': return element.minValue ?? 0;
+            default: return '';
+        }
+    }
+
+    function formatDataValue(element, value) {
+        const kind = RegistryExport.getElementKind(element);
+        if (kind === 'list' || kind === 'multiText') {
+            const items = (Array.isArray(value) ? value : String(value ?? '').split(/\r?\n/))
+                .filter(item => (typeof item === 'string' ? item !== '' : item?.name));
+            // Lists are value name / data pairs (1&#xF000;item1&#xF000;2&#xF000;item2), multiText just the strings
+            const parts = kind === 'multiText'
+                ? items
+                : items.flatMap((item, index) => (typeof item === 'string'
+                    ? [RegistryExport.getListValueName(element, item, index), item]
+                    : [item.name, item.value ?? '']));
+            return parts.map(escapeXmlAttribute).join(ITEM_SEPARATOR);
+        }
+        if (isBooleanElement(element)) return Number(value) === 1 || value === true ? 'true' : 'false';
+        return escapeXmlAttribute(value);
+    }
+
+    // state: 'Enabled' | 'Disabled'; values maps element id -> value as in RegistryExport
+    function buildPayload(policy, state, values = {}) {
+        if (state === 'Disabled') return '<disabled/>';
+        const lines = ['<enabled/>'];
+        (policy.registry?.elements || []).filter(Boolean).forEach(element => {
+            const value = values[element.id];
+            const hasValue = value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+            lines.push(`<data id="${escapeXmlAttribute(element.id)}" value="${formatDataValue(element, hasValue ? value : getPlaceholderValue(element))}"/>`);
+        });
+        return lines.join('\n');
+    }
+
+    return {
+        getScopes,
+        getInboxUris,
+        getIngestedUris,
+        getIngestionUri,
+        getDefaultAppName,
+        buildPayload,
+    };
+});
+// --- END OF FILE lib/oma-uri.js ---
@@ -0,0 +1,189 @@
+// --- START OF FILE lib/policy-data.js ---
+// Lookups over one policy data file without a DOM: policies and categories by id,
+// the GPMC breadcrumb, which categories hold Machine or User policies, the registry
+// values a policy writes and the global search. Used by app.js and tools/admx-query.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./search-query.js'), require('./search-index.js'), require('./registry-export.js'));
+    } else {
+        root.PolicyData = factory(root.SearchQuery, root.SearchIndex, root.RegistryExport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SearchQuery, SearchIndex, RegistryExport) {
+    'use strict';
+
+    const ROOT_ID = 'ROOT';
+    const CONTEXTS = ['Machine', 'User'];
+    // Names of the two halves of the tree, as GPMC shows them
+    const VIRTUAL_ROOT_NAMES = {
+        'de-DE': { Machine: 'Administrative Vorlagen: Computer', User: 'Administrative Vorlagen: Benutzer' },
+        'en-US': { Machine: 'Administrative Templates: Computer', User: 'Administrative Templates: User' },
+    };
+
+    // --- Indexing ---
+    // Lower-cased text for free-text terms: display name, description, registry names and option labels
+    function getPolicySearchText(policy) {
+        let regSearch = '';
+        if (policy.registry && typeof policy.registry === 'object') {
+            if (policy.registry.key) regSearch += `${policy.registry.key} `;
+            if (policy.registry.valueName) regSearch += `${policy.registry.valueName} `;
+            policy.registry.elements?.forEach(el => { if (el?.valueName) regSearch += `${el.valueName} `; });
+            policy.registry.options?.forEach(opt => { if (opt?.display) regSearch += `${opt.display} `; });
+        }
+        return `${policy.displayName || ''} ${policy.explainText || ''} ${regSearch}`.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // { categoriesById, policiesById } of a data file; categories and policies get their searchText
+    function indexData(data) {
+        const categoriesById = new Map();
+        const policiesById = new Map();
+        if (!data?.allCategories || !data?.allPolicies) return { categoriesById, policiesById };
+        data.allCategories.forEach(category => {
+            category.searchText = `${category.displayName || ''} ${category.id || ''}`.toLowerCase();
+            categoriesById.set(category.id, category);
+        });
+        data.allPolicies.forEach(policy => {
+            policy.searchText = getPolicySearchText(policy);
+            policiesById.set(policy.id, policy);
+        });
+        return { categoriesById, policiesById };
+    }
+
+    // --- Paths ---
+    function getVirtualRootName(context, lang) {
+        return VIRTUAL_ROOT_NAMES[lang]?.[context] || VIRTUAL_ROOT_NAMES['en-US'][context] || `Administrative Templates: ${context}`;
+    }
+
+    // Display names from the top-level category down to categoryId
+    function getCategoryPathSegments(categoriesById, categoryId) {
+        const segments = [];
+        const visited = new Set();
+        let currentId = categoryId;
+        while (currentId && currentId !== ROOT_ID && !visited.has(currentId)) {
+            const category = categoriesById.get(currentId);
+            if (!category) break;
+            visited.add(currentId);
+            segments.unshift(category.displayName);
+            currentId = category.parent;
+        }
+        return segments;
+    }
+
+    // Context-free category path, as category: search terms see it
+    function buildCategoryPathText(categoriesById, categoryId) {
+        return getCategoryPathSegments(categoriesById, categoryId).join(' > ');
+    }
+
+    // GPMC breadcrumb, e.g. 'Administrative Templates: Computer > Microsoft Edge > Startup'; '' for unknown policies
+    function getPolicyDisplayPath(model, policyId, context, lang) {
+        const policy = model.policiesById.get(policyId);
+        if (!policy || !policy.categoryId || !context) return '';
+        return [getVirtualRootName(context, lang), ...getCategoryPathSegments(model.categoriesById, policy.categoryId)].join(' > ');
+    }
+
+    // --- Scopes ---
+    // The tree halves a policy is listed in
+    function getPolicyContexts(policy) {
+        return policy.class === 'Both' ? CONTEXTS.slice() : CONTEXTS.filter(context => context === policy.class);
+    }
+
+    // Whether a category or one of its descendants holds a policy of targetClass ('Both' policies count for either).
+    // cache (Map) keeps the answers for one data file.
+    function categoryContainsClass(model, categoryId, targetClass, cache = new Map(), visiting = new Set()) {
+        const cacheKey = `${categoryId}:${targetClass}`;
+        if (cache.has(cacheKey)) return cache.get(cacheKey);
+        const category = model.categoriesById.get(categoryId);
+        if (!category || categoryId === ROOT_ID || categoryId.startsWith('VIRTUAL_') || visiting.has(categoryId)) return false;
+        visiting.add(categoryId);
+        const contains = (Array.isArray(category.policies) && category.policies.some(policyId => {
+            const policy = model.policiesById.get(policyId);
+            return policy && (policy.class === targetClass || policy.class === 'Both');
+        })) || (Array.isArray(category.children) && category.children.some(childId => categoryContainsClass(model, childId, targetClass, cache, visiting)));
+        visiting.delete(categoryId);
+        cache.set(cacheKey, contains);
+        return contains;
+    }
+
+    // --- Registry ---
+    // Values a policy writes: [{ elementId, key, valueName, type, list }]. The main value has elementId null
+    // (toggles without a stated type are REG_DWORD); list elements write numbered values under key, valueName null.
+    function getRegistryValues(policy) {
+        const reg = policy?.registry;
+        if (!reg?.key) return [];
+        const elements = (reg.elements || []).filter(Boolean);
+        const values = [];
+        const elementWritesMainValue = elements.some(el => el.valueName && el.valueName === reg.valueName && (el.key || reg.key) === reg.key);
+        if (reg.valueName && !elementWritesMainValue) {
+            values.push({ elementId: null, key: reg.key, valueName: reg.valueName, type: reg.type && reg.type !== 'Unknown' ? reg.type : 'REG_DWORD', list: false });
+        }
+        elements.forEach(element => {
+            const list = RegistryExport.getElementKind(element) === 'list';
+            if (!list && !element.valueName) return;
+            values.push({
+                elementId: element.id,
+                key: RegistryExport.getElementKey(policy, element),
+                valueName: list ? null : element.valueName,
+                type: element.type || null,
+                list,
+            });
+        });
+        return values;
+    }
+
+    // Plain summary of a policy as the details panel shows it, for the given tree halves (default: all of the policy's).
+    // paths and registry values carry their context; registry values also the hive.
+    function describePolicy(model, policy, contexts = null, lang = null) {
+        const shownContexts = contexts || getPolicyContexts(policy);
+        const registryValues = getRegistryValues(policy);
+        return {
+            id: policy.id,
+            name: policy.name,
+            displayName: policy.displayName || '',
+            class: policy.class,
+            categoryId: policy.categoryId ?? null,
+            admxFile: policy.admxFile || null,
+            supportedOn: policy.supportedOn || null,
+            explainText: policy.explainText || '',
+            paths: shownContexts.map(context => ({ context, path: getPolicyDisplayPath(model, policy.id, context, lang) })),
+            registry: shownContexts.flatMap(context => registryValues.map(value => ({ context, hive: RegistryExport.getHive(context).name, ...value }))),
+        };
+    }
+
+    // --- Search ---
+    // Documents for SearchIndex.buildIndex: the policies without their presentation, plus the category path
+    function buildSearchDocuments(policies, categoriesById) {
+        const categoryPaths = new Map();
+        return policies.map(({ presentation, ...policy }) => {
+            if (!categoryPaths.has(policy.categoryId)) categoryPaths.set(policy.categoryId, buildCategoryPathText(categoriesById, policy.categoryId));
+            return { ...policy, categoryPath: categoryPaths.get(policy.categoryId) };
+        });
+    }
+
+    function buildSearchIndex(model) {
+        return SearchIndex.buildIndex(buildSearchDocuments(Array.from(model.policiesById.values()), model.categoriesById));
+    }
+
+    // Global search with the viewer's query syntax: [{ policyId, contextHint, score, terms }] by relevance.
+    // Throws SearchQuery.SearchQueryError for malformed queries; pass index to search the same data repeatedly.
+    function searchPolicies(model, query, index = null) {
+        return SearchIndex.search(index || buildSearchIndex(model), SearchQuery.parse(query));
+    }
+
+    return {
+        ROOT_ID,
+        getPolicySearchText,
+        indexData,
+        getVirtualRootName,
+        getCategoryPathSegments,
+        buildCategoryPathText,
+        getPolicyDisplayPath,
+        getPolicyContexts,
+        categoryContainsClass,
+        getRegistryValues,
+        describePolicy,
+        buildSearchDocuments,
+        buildSearchIndex,
+        searchPolicies,
+    };
+});
+// --- END OF FILE lib/policy-data.js ---
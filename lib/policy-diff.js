@@ -0,0 +1,144 @@
+// --- START OF FILE lib/policy-diff.js ---
+// Compares two policy data files ({ allCategories, allPolicies }) by policy id
+// and reports added, removed and changed policies with field-level changes.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PolicyDiff = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Above this many word pairs the word diff falls back to replacing the whole text
+    const MAX_WORD_DIFF_CELLS = 1000000;
+
+    function formatOptions(options) {
+        if (!Array.isArray(options) || options.length === 0) return null;
+        return options.map(opt => `${opt?.display ?? '?'} = ${opt?.value ?? '?'}`).join('\n');
+    }
+
+    function normalizeValue(value) {
+        return value === undefined || value === '' ? null : value;
+    }
+
+    function pushChange(changes, field, label, before, after) {
+        const a = normalizeValue(before);
+        const b = normalizeValue(after);
+        if (a === b) return;
+        if (a !== null && b !== null && String(a) === String(b)) return;
+        changes.push({ field, label, before: a, after: b });
+    }
+
+    function diffElements(baseElements, targetElements, changes) {
+        const baseById = new Map((baseElements || []).filter(Boolean).map(el => [el.id, el]));
+        const targetById = new Map((targetElements || []).filter(Boolean).map(el => [el.id, el]));
+
+        baseById.forEach((baseEl, id) => {
+            if (!targetById.has(id)) {
+                changes.push({ field: `elements.${id}`, label: `Element '${id}'`, before: `${baseEl.valueName || id} (${baseEl.type || 'Unknown'})`, after: null });
+            }
+        });
+        targetById.forEach((targetEl, id) => {
+            const baseEl = baseById.get(id);
+            const prefix = `elements.${id}`;
+            if (!baseEl) {
+                changes.push({ field: prefix, label: `Element '${id}'`, before: null, after: `${targetEl.valueName || id} (${targetEl.type || 'Unknown'})` });
+                return;
+            }
+            pushChange(changes, `${prefix}.key`, `Element '${id}' key`, baseEl.key, targetEl.key);
+            pushChange(changes, `${prefix}.valueName`, `Element '${id}' value name`, baseEl.valueName, targetEl.valueName);
+            pushChange(changes, `${prefix}.type`, `Element '${id}' type`, baseEl.type, targetEl.type);
+            pushChange(changes, `${prefix}.minValue`, `Element '${id}' minimum`, baseEl.minValue, targetEl.minValue);
+            pushChange(changes, `${prefix}.maxValue`, `Element '${id}' maximum`, baseEl.maxValue, targetEl.maxValue);
+            pushChange(changes, `${prefix}.maxLength`, `Element '${id}' max length`, baseEl.maxLength, targetEl.maxLength);
+            pushChange(changes, `${prefix}.required`, `Element '${id}' required`, baseEl.required ? 'true' : 'false', targetEl.required ? 'true' : 'false');
+            pushChange(changes, `${prefix}.options`, `Element '${id}' options`, formatOptions(baseEl.options), formatOptions(targetEl.options));
+        });
+    }
+
+    function diffPolicy(base, target) {
+        const changes = [];
+        pushChange(changes, 'displayName', 'Display name', base.displayName, target.displayName);
+        pushChange(changes, 'explainText', 'Description', base.explainText, target.explainText);
+        pushChange(changes, 'supportedOn', 'Supported on', base.supportedOn, target.supportedOn);
+        pushChange(changes, 'class', 'Class', base.class, target.class);
+        pushChange(changes, 'categoryId', 'Category', base.categoryId, target.categoryId);
+        const baseReg = base.registry || {};
+        const targetReg = target.registry || {};
+        pushChange(changes, 'registry.key', 'Registry key', baseReg.key, targetReg.key);
+        pushChange(changes, 'registry.valueName', 'Value name', baseReg.valueName, targetReg.valueName);
+        pushChange(changes, 'registry.type', 'Value type', baseReg.type, targetReg.type);
+        pushChange(changes, 'registry.options', 'Options', formatOptions(baseReg.options), formatOptions(targetReg.options));
+        diffElements(baseReg.elements, targetReg.elements, changes);
+        return changes;
+    }
+
+    function byDisplayName(a, b) {
+        return (a.displayName || '').localeCompare(b.displayName || '');
+    }
+
+    function diffPolicySets(baseData, targetData) {
+        const basePolicies = new Map((baseData?.allPolicies || []).map(pol => [pol.id, pol]));
+        const targetPolicies = new Map((targetData?.allPolicies || []).map(pol => [pol.id, pol]));
+        const added = [];
+        const removed = [];
+        const changed = [];
+        let unchangedCount = 0;
+
+        basePolicies.forEach((basePolicy, id) => {
+            if (!targetPolicies.has(id)) removed.push(basePolicy);
+        });
+        targetPolicies.forEach((targetPolicy, id) => {
+            const basePolicy = basePolicies.get(id);
+            if (!basePolicy) {
+                added.push(targetPolicy);
+                return;
+            }
+            const changes = diffPolicy(basePolicy, targetPolicy);
+            if (changes.length > 0) changed.push({ id, displayName: targetPolicy.displayName, base: basePolicy, target: targetPolicy, changes });
+            else unchangedCount++;
+        });
+
+        added.sort(byDisplayName);
+        removed.sort(byDisplayName);
+        changed.sort(byDisplayName);
+        return { added, removed, changed, unchangedCount };
+    }
+
+    // Word-level diff for long text fields. Returns [{ type: 'same'|'added'|'removed', text }].
+    function diffWords(before, after) {
+        const a = (before || '').split(/(\s+)/);
+        const b = (after || '').split(/(\s+)/);
+        if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+            return [{ type: 'removed', text: before || '' }, { type: 'added', text: after || '' }].filter(seg => seg.text);
+        }
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        const segments = [];
+        const push = (type, text) => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) last.text += text;
+            else segments.push({ type, text });
+        };
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) { push('removed', a[i]); i++; }
+            else { push('added', b[j]); j++; }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+        return segments.filter(seg => seg.text);
+    }
+
+    return { diffPolicySets, diffPolicy, diffWords };
+});
+// --- END OF FILE lib/policy-diff.js ---
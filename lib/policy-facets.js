@@ -0,0 +1,130 @@
+// --- START OF FILE lib/policy-facets.js ---
+// Facets of a policy for the filter panel: class, registry value types, source ADMX file,
+// whether it has elements and whether it is a recommended (Edge "_recommended") policy.
+// A selection matches a policy when, for every facet with checked values, the policy
+// has at least one of them.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PolicyFacets = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FACETS = ['class', 'valueType', 'admxFile', 'elements', 'variant'];
+    const CLASS_ORDER = ['Machine', 'User', 'Both'];
+    const VALUE_TYPE_ORDER = ['REG_DWORD', 'REG_QWORD', 'REG_SZ', 'REG_EXPAND_SZ', 'REG_MULTI_SZ', 'list'];
+    const RECOMMENDED = /_recommended$/i;
+
+    // --- Facet Values ---
+    // Lists write their entries as numbered values under a subkey, so they get a type of their own
+    function getElementValueType(element) {
+        if (element.valueName == null && (element.type === 'REG_SZ' || element.type === 'REG_EXPAND_SZ')) return 'list';
+        return element.type || null;
+    }
+
+    function getValueTypes(policy) {
+        const registry = policy.registry || {};
+        const types = new Set();
+        (registry.elements || []).forEach(element => {
+            const type = getElementValueType(element);
+            if (type) types.add(type);
+        });
+        // The policy's own value; enabled/disabled toggles without a stated type are DWORDs
+        if (registry.valueName != null && types.size === 0) types.add(registry.type && registry.type !== 'Unknown' ? registry.type : 'REG_DWORD');
+        return Array.from(types);
+    }
+
+    function isRecommended(policy) {
+        return RECOMMENDED.test(policy.name || '') || RECOMMENDED.test(policy.categoryId || '');
+    }
+
+    // { facet: [values] } for one policy
+    function getPolicyFacetValues(policy) {
+        return {
+            class: policy.class ? [policy.class] : [],
+            valueType: getValueTypes(policy),
+            admxFile: policy.admxFile ? [policy.admxFile] : [],
+            elements: [(policy.registry?.elements || []).length > 0 ? 'yes' : 'no'],
+            variant: [isRecommended(policy) ? 'recommended' : 'mandatory'],
+        };
+    }
+
+    // --- Matching ---
+    // selection: Map of facet -> Set of checked values; skipFacet is left out (for its own counts)
+    function matchesSelection(facetValues, selection, skipFacet = null) {
+        for (const [facet, checked] of selection) {
+            if (facet === skipFacet || checked.size === 0) continue;
+            if (!facetValues[facet].some(value => checked.has(value))) return false;
+        }
+        return true;
+    }
+
+    function sortValues(facet, values) {
+        const order = facet === 'class' ? CLASS_ORDER : (facet === 'valueType' ? VALUE_TYPE_ORDER : null);
+        // Unknown values go after the known ones
+        const rank = value => {
+            const index = order ? order.indexOf(value) : -1;
+            return index < 0 ? Number.MAX_SAFE_INTEGER : index;
+        };
+        return values.sort((a, b) => rank(a) - rank(b) || String(a).localeCompare(String(b)));
+    }
+
+    // All values of each facet in a list of facet values: { facet: [values] }
+    function collectValues(facetValuesList) {
+        const collected = {};
+        FACETS.forEach(facet => {
+            const values = new Set();
+            facetValuesList.forEach(facetValues => facetValues[facet].forEach(value => values.add(value)));
+            collected[facet] = sortValues(facet, Array.from(values));
+        });
+        return collected;
+    }
+
+    // Counts per facet value, each facet counted with the other facets of the selection applied:
+    // { facet: Map of value -> count }
+    function countValues(facetValuesList, selection) {
+        const counts = {};
+        FACETS.forEach(facet => { counts[facet] = new Map(); });
+        facetValuesList.forEach(facetValues => {
+            FACETS.forEach(facet => {
+                if (!matchesSelection(facetValues, selection, facet)) return;
+                facetValues[facet].forEach(value => counts[facet].set(value, (counts[facet].get(value) || 0) + 1));
+            });
+        });
+        return counts;
+    }
+
+    // --- URL Hash ---
+    // "class:User,Both;valueType:list"; values are URI-encoded so commas and colons in file names survive
+    function serializeSelection(selection) {
+        return FACETS
+            .filter(facet => selection.get(facet)?.size > 0)
+            .map(facet => `${facet}:${Array.from(selection.get(facet)).map(encodeURIComponent).join(',')}`)
+            .join(';');
+    }
+
+    function parseSelection(text) {
+        const selection = new Map();
+        String(text || '').split(';').forEach(part => {
+            const separator = part.indexOf(':');
+            if (separator < 0) return;
+            const facet = part.slice(0, separator);
+            if (!FACETS.includes(facet)) return;
+            const values = part.slice(separator + 1).split(',').filter(Boolean).map(value => {
+                try {
+                    return decodeURIComponent(value);
+                } catch (error) {
+                    return value;
+                }
+            });
+            if (values.length > 0) selection.set(facet, new Set(values));
+        });
+        return selection;
+    }
+
+    return { FACETS, getPolicyFacetValues, matchesSelection, collectValues, countValues, serializeSelection, parseSelection };
+});
+// --- END OF FILE lib/policy-facets.js ---
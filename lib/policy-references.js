@@ -0,0 +1,115 @@
+// --- START OF FILE lib/policy-references.js ---
+// Finds what a policy description points to: other policies named by their policy
+// or registry value name ("AutomaticHttpsDefault") and web addresses. The viewer
+// links them and lists, for each policy, the policies whose descriptions name it.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PolicyReferences = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Web addresses, then words that could be names
+    const TOKEN = /(https?:\/\/[^\s"'<>]+)|([A-Za-z][A-Za-z0-9_]{3,})/g;
+    // Closing punctuation after an address belongs to the sentence: "(see https://aka.ms/x)."
+    const URL_TRAILING = /[.,;:!?)\]}]+$/;
+    // Address patterns such as 'https://[*.]contoso.edu/' are examples, not pages
+    const URL_PATTERN = /[*[\]]/;
+
+    // Ordinary words ("Enabled", "Windows") are not taken for names: a name has an inner capital, a digit or an underscore
+    function isNameLike(word) {
+        return /[a-z][A-Z]|[A-Za-z][0-9]|_/.test(word);
+    }
+
+    // --- Name Index ---
+    function buildNameIndex(policies) {
+        const names = new Map(); // policy name -> [policies]
+        const valueNames = new Map(); // registry value name -> [policies]
+        const add = (map, name, policy) => {
+            if (!name || !isNameLike(name)) return;
+            if (!map.has(name)) map.set(name, []);
+            if (!map.get(name).includes(policy)) map.get(name).push(policy);
+        };
+        policies.forEach(policy => {
+            add(names, policy.name, policy);
+            const reg = policy.registry || {};
+            add(valueNames, reg.valueName, policy);
+            (reg.elements || []).filter(Boolean).forEach(element => add(valueNames, element.valueName, policy));
+        });
+        return { names, valueNames };
+    }
+
+    function getOwnNames(policy) {
+        const reg = policy?.registry || {};
+        return [policy?.name, reg.valueName, ...(reg.elements || []).filter(Boolean).map(element => element.valueName)].filter(Boolean);
+    }
+
+    // The policy a word names, seen from the description of fromPolicy; a policy's own names are not links.
+    // Policy names win over value names, then policies from the same ADMX file.
+    function resolveName(nameIndex, word, fromPolicy = null) {
+        if (fromPolicy && getOwnNames(fromPolicy).includes(word)) return null;
+        const candidates = [...(nameIndex.names.get(word) || []), ...(nameIndex.valueNames.get(word) || [])]
+            .filter(policy => policy.id !== fromPolicy?.id);
+        if (candidates.length === 0) return null;
+        return candidates.find(policy => policy.name === word && policy.admxFile === fromPolicy?.admxFile)
+            || candidates.find(policy => policy.name === word)
+            || candidates.find(policy => policy.admxFile === fromPolicy?.admxFile)
+            || candidates[0];
+    }
+
+    // --- Descriptions ---
+    // Segments: { type: 'text', text } | { type: 'url', text, href } | { type: 'policy', text, policy }
+    function parseDescription(text, nameIndex, fromPolicy = null) {
+        const source = String(text || '');
+        const segments = [];
+        const pushText = (value) => {
+            if (value === '') return;
+            const last = segments[segments.length - 1];
+            if (last?.type === 'text') last.text += value;
+            else segments.push({ type: 'text', text: value });
+        };
+        let position = 0;
+        TOKEN.lastIndex = 0;
+        let match;
+        while ((match = TOKEN.exec(source)) !== null) {
+            let token = match[0];
+            let segment = null;
+            if (match[1]) {
+                token = token.replace(URL_TRAILING, '');
+                if (!URL_PATTERN.test(token) && /^https?:\/\/[^/]+\.[^/]/.test(token)) segment = { type: 'url', text: token, href: token };
+            } else if (nameIndex && isNameLike(token)) {
+                const policy = resolveName(nameIndex, token, fromPolicy);
+                if (policy) segment = { type: 'policy', text: token, policy };
+            }
+            if (!segment) continue;
+            pushText(source.slice(position, match.index));
+            segments.push(segment);
+            position = match.index + token.length;
+            TOKEN.lastIndex = position;
+        }
+        pushText(source.slice(position));
+        return segments;
+    }
+
+    // Policies whose descriptions name each policy: Map of policy id -> [policies], in data order
+    function buildReferencedBy(policies, nameIndex) {
+        const referencedBy = new Map();
+        policies.forEach(policy => {
+            const targets = new Set();
+            parseDescription(policy.explainText, nameIndex, policy).forEach(segment => {
+                if (segment.type === 'policy') targets.add(segment.policy.id);
+            });
+            targets.forEach(targetId => {
+                if (!referencedBy.has(targetId)) referencedBy.set(targetId, []);
+                referencedBy.get(targetId).push(policy);
+            });
+        });
+        return referencedBy;
+    }
+
+    return { isNameLike, buildNameIndex, resolveName, parseDescription, buildReferencedBy };
+});
+// --- END OF FILE lib/policy-references.js ---
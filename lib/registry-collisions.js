@@ -0,0 +1,167 @@
+// --- START OF FILE lib/registry-collisions.js ---
+// Policies of one data file that write the same registry location: mandatory and
+// recommended twins (Edge\X and Edge\Recommended\X), policies writing the same value
+// with the same or with conflicting types and options, and list elements whose key or
+// subkeys other policies write into. Policies that only share a key (Edge\X and Edge\Y)
+// do not collide. The details panel lists them per policy, the collision report and
+// tools/admx-query.js for the whole set.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./policy-data.js'));
+    } else {
+        root.RegistryCollisions = factory(root.PolicyData);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PolicyData) {
+    'use strict';
+
+    // Strongest first: a pair of policies is listed under the strongest kind it has
+    const KINDS = ['conflict', 'sameValue', 'twin'];
+    // Edge\Recommended\X holds the recommended twin of Edge\X
+    const RECOMMENDED_SEGMENT = /\\Recommended(?=\\|$)/i;
+
+    // --- Locations ---
+    // Registry values of a policy with the option values they can take, sorted for comparison
+    function getLocations(policy) {
+        const reg = policy.registry || {};
+        const elements = (reg.elements || []).filter(Boolean);
+        return PolicyData.getRegistryValues(policy).map(value => {
+            const element = value.elementId === null ? null : elements.find(el => el.id === value.elementId);
+            const options = (element ? element.options : reg.options) || [];
+            return { ...value, options: options.filter(Boolean).map(option => String(option.value)).sort() };
+        });
+    }
+
+    // Registry names are not case-sensitive; list elements own their whole key
+    function locationId(key, location) {
+        return `${key.toLowerCase()}\\${location.list ? '*' : location.valueName.toLowerCase()}`;
+    }
+
+    function sharedContexts(a, b) {
+        const contextsB = PolicyData.getPolicyContexts(b);
+        return PolicyData.getPolicyContexts(a).filter(context => contextsB.includes(context));
+    }
+
+    // 'type' or 'options' when two policies write one value differently, else null
+    function compareLocations(a, b) {
+        if ((a.type || '') !== (b.type || '')) return 'type';
+        if (a.options.join('\n') !== b.options.join('\n')) return 'options';
+        return null;
+    }
+
+    // --- Pairs ---
+    // Every collision between two policies at one location:
+    // [{ kind, reason, location: { key, valueName, list }, contexts, policies: [a, b], locations: [locationA, locationB] }].
+    // reason: 'type' or 'options' (conflict at a value), 'listKey' (conflict: a value in a list element's key),
+    // 'subkey' (conflict: a value or list below a list element's key) or null.
+    function findCollisionPairs(policies) {
+        const byLocation = new Map(); // exact location -> [{ policy, location }]
+        const byTwinLocation = new Map(); // location with \Recommended dropped -> [{ policy, location, recommended }]
+        const entries = []; // every { policy, location }
+        const add = (map, id, entry) => {
+            if (!map.has(id)) map.set(id, []);
+            map.get(id).push(entry);
+        };
+        policies.forEach(policy => {
+            getLocations(policy).forEach(location => {
+                const entry = { policy, location };
+                add(byLocation, locationId(location.key, location), entry);
+                const recommended = RECOMMENDED_SEGMENT.test(location.key);
+                add(byTwinLocation, locationId(location.key.replace(RECOMMENDED_SEGMENT, ''), location), { ...entry, recommended });
+                entries.push(entry);
+            });
+        });
+
+        const pairs = [];
+        // The location reported is the first policy's
+        const addPair = (kind, reason, first, second) => {
+            if (first.policy === second.policy) return;
+            const contexts = sharedContexts(first.policy, second.policy);
+            if (contexts.length === 0) return;
+            pairs.push({
+                kind,
+                reason,
+                location: { key: first.location.key, valueName: first.location.valueName, list: first.location.list },
+                contexts,
+                policies: [first.policy, second.policy],
+                locations: [first.location, second.location],
+            });
+        };
+        const eachPair = (entries, callback) => {
+            for (let i = 0; i < entries.length; i++) {
+                for (let j = i + 1; j < entries.length; j++) callback(entries[i], entries[j]);
+            }
+        };
+        byLocation.forEach(entries => eachPair(entries, (a, b) => {
+            const reason = compareLocations(a.location, b.location);
+            addPair(reason ? 'conflict' : 'sameValue', reason, a, b);
+        }));
+        // A list element replaces all values in its key, and disabling it deletes the key with its subkeys
+        entries.filter(entry => entry.location.list).forEach(list => {
+            const listKey = list.location.key.toLowerCase();
+            entries.forEach(other => {
+                const otherKey = other.location.key.toLowerCase();
+                if (otherKey === listKey && !other.location.list) addPair('conflict', 'listKey', list, other);
+                else if (otherKey.startsWith(`${listKey}\\`)) addPair('conflict', 'subkey', list, other);
+            });
+        });
+        // The mandatory policy comes first
+        byTwinLocation.forEach(entries => {
+            const mandatory = entries.filter(entry => !entry.recommended);
+            const recommended = entries.filter(entry => entry.recommended);
+            mandatory.forEach(a => recommended.forEach(b => addPair('twin', null, a, b)));
+        });
+        return pairs;
+    }
+
+    // --- Per Policy ---
+    // Map of policy id -> [{ policy, kind, reasons, contexts, locations }] for the other policy of each pair;
+    // locations are the other policy's values involved. Sorted by kind, then display name.
+    function buildCollisionIndex(policies) {
+        const byPolicy = new Map(); // policy id -> Map(other policy id -> entry)
+        const addEntry = (policy, other, pair, location) => {
+            if (!byPolicy.has(policy.id)) byPolicy.set(policy.id, new Map());
+            const entries = byPolicy.get(policy.id);
+            if (!entries.has(other.id)) entries.set(other.id, { policy: other, kind: pair.kind, reasons: [], contexts: [], locations: [] });
+            const entry = entries.get(other.id);
+            if (KINDS.indexOf(pair.kind) < KINDS.indexOf(entry.kind)) entry.kind = pair.kind;
+            if (pair.reason && !entry.reasons.includes(pair.reason)) entry.reasons.push(pair.reason);
+            pair.contexts.forEach(context => { if (!entry.contexts.includes(context)) entry.contexts.push(context); });
+            if (!entry.locations.includes(location)) entry.locations.push(location);
+        };
+        findCollisionPairs(policies).forEach(pair => {
+            const [a, b] = pair.policies;
+            addEntry(a, b, pair, pair.locations[1]);
+            addEntry(b, a, pair, pair.locations[0]);
+        });
+        const index = new Map();
+        byPolicy.forEach((entries, policyId) => {
+            index.set(policyId, Array.from(entries.values()).sort((x, y) =>
+                KINDS.indexOf(x.kind) - KINDS.indexOf(y.kind) || (x.policy.displayName || '').localeCompare(y.policy.displayName || '')));
+        });
+        return index;
+    }
+
+    // --- Report ---
+    // Collisions of a whole set, one row per location: [{ kind, reasons, location, contexts, policies }]
+    // with the strongest kind among the location's policies; conflicts first, then by key and value name.
+    // Twins are by design and only included with includeTwins (one row per mandatory location).
+    function buildCollisionReport(policies, includeTwins = false) {
+        const rows = new Map();
+        findCollisionPairs(policies).forEach(pair => {
+            if (pair.kind === 'twin' && !includeTwins) return;
+            const id = `${pair.kind === 'twin' ? 'twin' : 'value'}|${locationId(pair.location.key, pair.location)}`;
+            if (!rows.has(id)) rows.set(id, { kind: pair.kind, reasons: [], location: pair.location, contexts: [], policies: [] });
+            const row = rows.get(id);
+            if (KINDS.indexOf(pair.kind) < KINDS.indexOf(row.kind)) row.kind = pair.kind;
+            if (pair.reason && !row.reasons.includes(pair.reason)) row.reasons.push(pair.reason);
+            pair.contexts.forEach(context => { if (!row.contexts.includes(context)) row.contexts.push(context); });
+            pair.policies.forEach(policy => { if (!row.policies.includes(policy)) row.policies.push(policy); });
+        });
+        const sortKey = row => `${row.location.key}\\${row.location.valueName ?? ''}`.toLowerCase();
+        return Array.from(rows.values()).sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || sortKey(a).localeCompare(sortKey(b)));
+    }
+
+    return { KINDS, getLocations, findCollisionPairs, buildCollisionIndex, buildCollisionReport };
+});
+// --- END OF FILE lib/registry-collisions.js ---
@@ -0,0 +1,322 @@
+// --- START OF FILE lib/registry-export.js ---
+// Turns a policy plus a chosen state (Enabled/Disabled/NotConfigured) and
+// element values into registry operations, and formats those operations as a
+// .reg file, a PowerShell script or LGPO.exe text.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RegistryExport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const POLICY_STATES = ['Enabled', 'Disabled', 'NotConfigured'];
+    const HIVES = {
+        Machine: { name: 'HKEY_LOCAL_MACHINE', short: 'HKLM' },
+        User: { name: 'HKEY_CURRENT_USER', short: 'HKCU' },
+    };
+
+    function getHive(context) {
+        return HIVES[context] || HIVES.Machine;
+    }
+
+    // --- Element Helpers ---
+    // List elements are the only string elements without a value name of their own
+    function isListElement(element) {
+        return element?.valueName == null && (element?.type === 'REG_SZ' || element?.type === 'REG_EXPAND_SZ');
+    }
+
+    // Element kinds as the configurator sees them
+    function getElementKind(element) {
+        if (element.options?.length > 0) return 'enum';
+        if (element.type === 'REG_MULTI_SZ') return 'multiText';
+        if (isListElement(element)) return 'list';
+        if (element.type === 'REG_DWORD' || element.type === 'REG_QWORD') return 'decimal';
+        return 'text';
+    }
+
+    // Data files produced before list keys were captured have no element key;
+    // ADMX lists then use a subkey named after the policy (Edge/Chromium convention).
+    function getListKey(policy, element) {
+        if (element.key) return element.key;
+        const baseName = (policy.name || '').replace(/_recommended$/i, '');
+        return `${policy.registry?.key || ''}\\${baseName}`;
+    }
+
+    function getElementKey(policy, element) {
+        return getElementKind(element) === 'list' ? getListKey(policy, element) : (element.key || policy.registry?.key || '');
+    }
+
+    function getListValueName(element, item, index) {
+        if (element.valuePrefix !== undefined) return `${element.valuePrefix}${index + 1}`;
+        // Without a valuePrefix the ADMX default is value name == data; legacy data
+        // files do not record the attribute, so they fall back to numbered names.
+        return element.key ? item : String(index + 1);
+    }
+
+    function toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) return parseInt(value, 10);
+        return NaN;
+    }
+
+    function normalizeListItems(value) {
+        if (!Array.isArray(value)) return [];
+        return value.filter(item => (typeof item === 'string' ? item.trim() !== '' : item && item.name));
+    }
+
+    // --- Validation ---
+    function validateElementValue(element, value) {
+        const label = element.valueName || element.id;
+        const kind = getElementKind(element);
+        const isEmpty = value === undefined || value === null || value === '' || (Array.isArray(value) && normalizeListItems(value).length === 0);
+        if (isEmpty) return element.required ? `'${label}' is required.` : null;
+        if (kind === 'decimal') {
+            const number = toNumber(value);
+            if (Number.isNaN(number)) return `'${label}' must be a whole number.`;
+            const min = element.minValue != null ? toNumber(element.minValue) : 0;
+            const max = element.maxValue != null ? toNumber(element.maxValue) : (element.type === 'REG_QWORD' ? Number.MAX_SAFE_INTEGER : 0xFFFFFFFF);
+            if (number < min || number > max) return `'${label}' must be between ${min} and ${max}.`;
+        }
+        if (kind === 'enum' && !element.options.some(opt => String(opt.value) === String(value))) {
+            return `'${label}' must be one of the listed options.`;
+        }
+        if (kind === 'text' && element.maxLength != null && String(value).length > toNumber(element.maxLength)) {
+            return `'${label}' must be at most ${element.maxLength} characters.`;
+        }
+        return null;
+    }
+
+    // --- Registry Operations ---
+    // Operations: { op: 'setValue', key, valueName, type, data } | { op: 'deleteValue', key, valueName }
+    //             { op: 'deleteAllValues', key } | { op: 'deleteKey', key }
+    // values maps element id -> value (number/string, string[] for lists and
+    // multiText, [{ name, value }] for explicitValue lists, boolean for booleans).
+    function buildRegistryActions(policy, state, values = {}) {
+        const reg = policy?.registry || {};
+        const elements = (reg.elements || []).filter(Boolean);
+        const actions = [];
+        const errors = [];
+        if (!POLICY_STATES.includes(state)) throw new Error(`Unknown policy state '${state}'.`);
+        if (!reg.key) return { actions, errors: ['This policy has no registry key.'] };
+
+        const elementWritesMainValue = elements.some(el => el.valueName && el.valueName === reg.valueName && (el.key || reg.key) === reg.key);
+
+        if (state === 'Enabled') {
+            if (reg.valueName && !elementWritesMainValue) {
+                actions.push({ op: 'setValue', key: reg.key, valueName: reg.valueName, type: 'REG_DWORD', data: reg.enabledValue ?? 1 });
+            }
+            elements.forEach(element => {
+                const value = values[element.id];
+                const error = validateElementValue(element, value);
+                if (error) {
+                    errors.push(error);
+                    return;
+                }
+                const kind = getElementKind(element);
+                const key = getElementKey(policy, element);
+                if (kind === 'list') {
+                    const items = normalizeListItems(value);
+                    if (!element.additive) actions.push({ op: 'deleteAllValues', key });
+                    items.forEach((item, index) => {
+                        if (element.explicitValue) {
+                            actions.push({ op: 'setValue', key, valueName: item.name, type: element.type, data: String(item.value ?? '') });
+                        } else {
+                            actions.push({ op: 'setValue', key, valueName: getListValueName(element, item, index), type: element.type, data: item });
+                        }
+                    });
+                    return;
+                }
+                if (value === undefined || value === null || value === '') {
+                    actions.push({ op: 'deleteValue', key, valueName: element.valueName });
+                    return;
+                }
+                if (typeof value === 'boolean') {
+                    actions.push({ op: 'setValue', key, valueName: element.valueName, type: 'REG_DWORD', data: value ? 1 : 0 });
+                } else if (kind === 'decimal' || kind === 'enum') {
+                    actions.push({ op: 'setValue', key, valueName: element.valueName, type: element.type === 'REG_QWORD' ? 'REG_QWORD' : 'REG_DWORD', data: toNumber(value) });
+                } else if (kind === 'multiText') {
+                    const lines = Array.isArray(value) ? value : String(value).split(/\r?\n/);
+                    actions.push({ op: 'setValue', key, valueName: element.valueName, type: 'REG_MULTI_SZ', data: lines.filter(line => line !== '') });
+                } else {
+                    actions.push({ op: 'setValue', key, valueName: element.valueName, type: element.type === 'REG_EXPAND_SZ' ? 'REG_EXPAND_SZ' : 'REG_SZ', data: String(value) });
+                }
+            });
+        } else if (state === 'Disabled') {
+            if (reg.valueName) {
+                if (reg.disabledValue !== undefined && reg.disabledValue !== null) {
+                    actions.push({ op: 'setValue', key: reg.key, valueName: reg.valueName, type: 'REG_DWORD', data: reg.disabledValue });
+                } else {
+                    actions.push({ op: 'deleteValue', key: reg.key, valueName: reg.valueName });
+                }
+            }
+            elements.forEach(element => {
+                const key = getElementKey(policy, element);
+                if (getElementKind(element) === 'list') actions.push({ op: 'deleteAllValues', key });
+                else if (element.valueName && element.valueName !== reg.valueName) actions.push({ op: 'deleteValue', key, valueName: element.valueName });
+            });
+        } else {
+            if (reg.valueName) actions.push({ op: 'deleteValue', key: reg.key, valueName: reg.valueName });
+            elements.forEach(element => {
+                const key = getElementKey(policy, element);
+                if (getElementKind(element) === 'list') actions.push({ op: 'deleteKey', key });
+                else if (element.valueName && element.valueName !== reg.valueName) actions.push({ op: 'deleteValue', key, valueName: element.valueName });
+            });
+        }
+        return { actions, errors };
+    }
+
+    // --- .reg Formatting ---
+    function escapeRegString(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    function toHexBytes(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(',');
+    }
+
+    function utf16leBytes(text) {
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes.push(code & 0xFF, code >> 8);
+        }
+        return bytes;
+    }
+
+    function formatRegData(action) {
+        switch (action.type) {
+            case 'REG_DWORD': return `dword:${(action.data >>> 0).toString(16).padStart(8, '0')}`;
+            case 'REG_QWORD': {
+                let value = BigInt(action.data);
+                if (value < 0n) value += 1n << 64n;
+                const bytes = [];
+                for (let i = 0; i < 8; i++) bytes.push(Number((value >> BigInt(8 * i)) & 0xFFn));
+                return `hex(b):${toHexBytes(bytes)}`;
+            }
+            case 'REG_MULTI_SZ': return `hex(7):${toHexBytes([...utf16leBytes(action.data.join('\0')), 0, 0, 0, 0])}`;
+            case 'REG_EXPAND_SZ': return `hex(2):${toHexBytes([...utf16leBytes(action.data), 0, 0])}`;
+            default: return `"${escapeRegString(action.data)}"`;
+        }
+    }
+
+    function formatRegValueName(valueName) {
+        return valueName === '' ? '@' : `"${escapeRegString(valueName)}"`;
+    }
+
+    function toRegFile(actions, context) {
+        const hive = getHive(context).name;
+        const lines = ['Windows Registry Editor Version 5.00', ''];
+        let currentKey = null;
+        const openKey = (key) => {
+            if (currentKey === key) return;
+            if (currentKey !== null) lines.push('');
+            lines.push(`[${hive}\\${key}]`);
+            currentKey = key;
+        };
+        actions.forEach(action => {
+            if (action.op === 'deleteKey' || action.op === 'deleteAllValues') {
+                // .reg files cannot clear a key's values, so the key is deleted (and recreated by later writes)
+                if (currentKey !== null) lines.push('');
+                lines.push(`[-${hive}\\${action.key}]`);
+                currentKey = null;
+                if (action.op === 'deleteAllValues') openKey(action.key);
+            } else if (action.op === 'deleteValue') {
+                openKey(action.key);
+                lines.push(`${formatRegValueName(action.valueName)}=-`);
+            } else {
+                openKey(action.key);
+                lines.push(`${formatRegValueName(action.valueName)}=${formatRegData(action)}`);
+            }
+        });
+        lines.push('');
+        return lines.join('\r\n');
+    }
+
+    // --- PowerShell Formatting ---
+    function psQuote(text) {
+        return `'${String(text).replace(/'/g, "''")}'`;
+    }
+
+    const PS_TYPES = { REG_DWORD: 'DWord', REG_QWORD: 'QWord', REG_SZ: 'String', REG_EXPAND_SZ: 'ExpandString', REG_MULTI_SZ: 'MultiString' };
+
+    function formatPsValue(action) {
+        if (action.type === 'REG_MULTI_SZ') return `@(${action.data.map(psQuote).join(', ')})`;
+        if (action.type === 'REG_DWORD' || action.type === 'REG_QWORD') return String(action.data);
+        return psQuote(action.data);
+    }
+
+    function toPowerShell(actions, context) {
+        const hive = getHive(context).short;
+        const lines = [];
+        const ensuredKeys = new Set();
+        const pathOf = (key) => psQuote(`${hive}:\\${key}`);
+        actions.forEach(action => {
+            const path = pathOf(action.key);
+            switch (action.op) {
+                case 'deleteKey':
+                    lines.push(`Remove-Item -Path ${path} -Recurse -Force -ErrorAction SilentlyContinue`);
+                    ensuredKeys.delete(action.key);
+                    break;
+                case 'deleteAllValues':
+                    lines.push(`if (Test-Path ${path}) { Remove-ItemProperty -Path ${path} -Name * -Force -ErrorAction SilentlyContinue }`);
+                    break;
+                case 'deleteValue':
+                    lines.push(`Remove-ItemProperty -Path ${path} -Name ${psQuote(action.valueName)} -Force -ErrorAction SilentlyContinue`);
+                    break;
+                default:
+                    if (!ensuredKeys.has(action.key)) {
+                        lines.push(`if (-not (Test-Path ${path})) { New-Item -Path ${path} -Force | Out-Null }`);
+                        ensuredKeys.add(action.key);
+                    }
+                    lines.push(`Set-ItemProperty -Path ${path} -Name ${psQuote(action.valueName)} -Value ${formatPsValue(action)} -Type ${PS_TYPES[action.type] || 'String'}`);
+            }
+        });
+        return lines.join('\r\n') + (lines.length > 0 ? '\r\n' : '');
+    }
+
+    // --- LGPO Text Formatting ---
+    // Records for 'LGPO.exe /t': scope, key, value name and action, separated by blank lines
+    const LGPO_SCOPES = { Machine: 'Computer', User: 'User' };
+    const LGPO_TYPES = { REG_DWORD: 'DWORD', REG_QWORD: 'QWORD', REG_SZ: 'SZ', REG_EXPAND_SZ: 'EXSZ', REG_MULTI_SZ: 'MULTISZ' };
+
+    function formatLgpoAction(action) {
+        switch (action.op) {
+            case 'deleteValue': return 'DELETE';
+            case 'deleteAllValues':
+            case 'deleteKey': return 'DELETEALLVALUES';
+            default: {
+                const data = action.type === 'REG_MULTI_SZ' ? action.data.join('\\0') : action.data;
+                return `${LGPO_TYPES[action.type] || 'SZ'}:${data}`;
+            }
+        }
+    }
+
+    function toLgpoText(actions, context) {
+        const scope = LGPO_SCOPES[context] || LGPO_SCOPES.Machine;
+        return actions.map(action => [
+            scope,
+            action.key,
+            action.op === 'deleteAllValues' || action.op === 'deleteKey' ? '*' : action.valueName,
+            formatLgpoAction(action),
+            '',
+        ].join('\r\n')).join('\r\n');
+    }
+
+    return {
+        POLICY_STATES,
+        getHive,
+        getElementKind,
+        getElementKey,
+        getListKey,
+        getListValueName,
+        validateElementValue,
+        buildRegistryActions,
+        toRegFile,
+        toPowerShell,
+        toLgpoText,
+    };
+});
+// --- END OF FILE lib/registry-export.js ---
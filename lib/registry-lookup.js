@@ -0,0 +1,245 @@
+// --- START OF FILE lib/registry-lookup.js ---
+// Reverse lookup from registry locations to the policies that write them.
+// Accepts registry paths in the usual spellings (HKLM\..., HKEY_LOCAL_MACHINE\...,
+// HKLM:\..., Computer\HKEY_..., reg.exe '/v name') and .reg file exports.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./registry-export.js'));
+    } else {
+        root.RegistryLookup = factory(root.RegistryExport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RegistryExport) {
+    'use strict';
+
+    const HIVE_SCOPES = {
+        hkey_local_machine: 'Machine',
+        hklm: 'Machine',
+        hkey_current_user: 'User',
+        hkcu: 'User',
+        hkey_users: 'User',
+        hku: 'User',
+    };
+
+    // --- Index ---
+    function lowerPath(key, valueName) {
+        return `${key}\\${valueName ?? ''}`.toLowerCase();
+    }
+
+    function appliesToScope(policy, scope) {
+        return !scope || policy.class === scope || policy.class === 'Both';
+    }
+
+    // scope ('Machine'/'User'/null) limits the index to policies of that class (and 'Both')
+    function buildRegistryIndex(policies, scope = null) {
+        const values = new Map(); // 'key\valuename' -> [{ policy, element }]
+        const listKeys = new Map(); // 'key\' -> [{ policy, element }]
+        const keys = new Map(); // 'key\' -> [policy] for every key a policy writes to
+        const add = (map, path, target) => {
+            if (!map.has(path)) map.set(path, []);
+            if (!map.get(path).includes(target)) map.get(path).push(target);
+        };
+        policies.forEach(policy => {
+            const reg = policy.registry;
+            if (!reg?.key || !appliesToScope(policy, scope)) return;
+            add(keys, lowerPath(reg.key, ''), policy);
+            if (reg.valueName) add(values, lowerPath(reg.key, reg.valueName), { policy, element: null });
+            (reg.elements || []).filter(Boolean).forEach(element => {
+                const key = RegistryExport.getElementKey(policy, element);
+                add(keys, lowerPath(key, ''), policy);
+                if (RegistryExport.getElementKind(element) === 'list') add(listKeys, lowerPath(key, ''), { policy, element });
+                else if (element.valueName) add(values, lowerPath(key, element.valueName), { policy, element });
+            });
+        });
+        return { values, listKeys, keys };
+    }
+
+    // Policies writing this value: [{ policy, element }] (element null for a policy's main value).
+    // Any value under a list element's key belongs to that list.
+    function findValueTargets(index, key, valueName) {
+        const valueTargets = valueName ? index.values.get(lowerPath(key, valueName)) : null;
+        return valueTargets || index.listKeys.get(lowerPath(key, '')) || [];
+    }
+
+    // --- Path Parsing ---
+    // Returns { scope, key, valueName } or null for text that is not a registry path;
+    // scope is null when the path has no hive
+    function parseRegistryPath(text) {
+        let path = String(text).trim().replace(/^reg(\.exe)?\s+(query|add|delete)\s+/i, '');
+        let valueName = null;
+        const valueSwitch = /\s\/v\s+(?:"([^"]*)"|(\S+))/i.exec(path);
+        if (valueSwitch) valueName = valueSwitch[1] ?? valueSwitch[2];
+        // Drop reg.exe switches (/v, /t, /d, /f, ...) after the key
+        const firstSwitch = path.search(/\s\/[a-z?]+(\s|$)/i);
+        if (firstSwitch !== -1) path = path.slice(0, firstSwitch);
+        path = path.trim().replace(/^["']|["']$/g, '');
+        path = path.replace(/^(microsoft\.powershell\.core\\)?registry::/i, '').replace(/^computer\\/i, '');
+        const segments = path.split('\\').filter(segment => segment !== '');
+        if (segments.length === 0) return null;
+
+        const hiveName = segments[0].replace(/:$/, '').toLowerCase();
+        const scope = HIVE_SCOPES[hiveName] || null;
+        if (scope) {
+            segments.shift();
+            // HKEY_USERS\<SID>\Software\... is the same key as HKEY_CURRENT_USER\Software\...
+            if ((hiveName === 'hkey_users' || hiveName === 'hku') && /^(S-\d|\.default)/i.test(segments[0] || '')) segments.shift();
+        } else if (/^hkey_|^hk[a-z]{1,2}:?$/i.test(segments[0])) {
+            return null; // HKCR, HKCC, ... never hold policies
+        }
+        if (segments.length === 0) return null;
+        return { scope, key: segments.join('\\'), valueName };
+    }
+
+    // --- .reg Parsing ---
+    function decodeUtf16Hex(bytes) {
+        let text = '';
+        for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes[i] | (bytes[i + 1] << 8));
+        return text;
+    }
+
+    function parseRegData(raw) {
+        if (raw === '-') return { type: null, data: null, deleted: true };
+        if (raw.startsWith('"')) {
+            const text = raw.slice(1, raw.lastIndexOf('"')).replace(/\\(.)/g, '$1');
+            return { type: 'REG_SZ', data: text, deleted: false };
+        }
+        const dword = /^dword:([0-9a-f]{1,8})$/i.exec(raw);
+        if (dword) return { type: 'REG_DWORD', data: parseInt(dword[1], 16), deleted: false };
+        const hex = /^hex(?:\(([0-9a-f]+)\))?:(.*)$/i.exec(raw);
+        if (hex) {
+            const typeCode = hex[1] === undefined ? 3 : parseInt(hex[1], 16);
+            const bytes = hex[2].split(',').map(part => part.trim()).filter(Boolean).map(part => parseInt(part, 16));
+            switch (typeCode) {
+                case 2: return { type: 'REG_EXPAND_SZ', data: decodeUtf16Hex(bytes).replace(/\0+$/, ''), deleted: false };
+                case 7: return { type: 'REG_MULTI_SZ', data: decodeUtf16Hex(bytes).replace(/\0+$/, '').split('\0'), deleted: false };
+                case 0xb: {
+                    let value = 0n;
+                    bytes.slice(0, 8).forEach((byte, i) => { value |= BigInt(byte) << BigInt(8 * i); });
+                    return { type: 'REG_QWORD', data: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(), deleted: false };
+                }
+                case 4: return { type: 'REG_DWORD', data: bytes.slice(0, 4).reduce((sum, byte, i) => sum + byte * 2 ** (8 * i), 0), deleted: false };
+                default: return { type: typeCode === 3 ? 'REG_BINARY' : `REG_TYPE_${typeCode}`, data: bytes, deleted: false };
+            }
+        }
+        return { type: 'Unknown', data: raw, deleted: false };
+    }
+
+    function isRegFile(text) {
+        return /^\s*(Windows Registry Editor Version 5\.00|REGEDIT4)/i.test(text);
+    }
+
+    // Returns [{ scope, key, valueName, type, data, deleted, line }]; valueName is null
+    // for key sections without values and for deleted keys ([-HKEY_...]).
+    function parseRegFile(text) {
+        const entries = [];
+        const errors = [];
+        // Hex data continues on the next line after a trailing backslash
+        const lines = [];
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const previous = lines[lines.length - 1];
+            if (previous?.continued) {
+                previous.text += rawLine.trim();
+            } else {
+                lines.push({ text: rawLine.trim(), number: index + 1 });
+            }
+            const last = lines[lines.length - 1];
+            last.continued = last.text.endsWith('\\') && !last.text.startsWith('[');
+            if (last.continued) last.text = last.text.slice(0, -1);
+        });
+        let current = null;
+        let skipSection = false;
+        const closeSection = () => {
+            if (current && !current.hasValues) entries.push({ scope: current.scope, key: current.key, valueName: null, type: null, data: null, deleted: current.deleted, line: current.line });
+        };
+        lines.forEach(({ text: line, number }, index) => {
+            if (line === '' || line.startsWith(';') || index === 0 && isRegFile(line)) return;
+            const section = /^\[(-?)(.*)\]$/.exec(line);
+            if (section) {
+                closeSection();
+                const parsed = parseRegistryPath(section[2]);
+                current = parsed ? { scope: parsed.scope, key: parsed.key, deleted: section[1] === '-', hasValues: false, line: number } : null;
+                skipSection = !parsed;
+                if (!parsed) errors.push(`Line ${number}: '${section[2]}' is not a policy registry key.`);
+                return;
+            }
+            if (skipSection) return;
+            const value = /^(@|"((?:[^"\\]|\\.)*)")\s*=\s*(.*)$/.exec(line);
+            if (!value || !current) {
+                errors.push(`Line ${number}: could not read '${line.slice(0, 80)}'.`);
+                return;
+            }
+            current.hasValues = true;
+            const valueName = value[1] === '@' ? '' : value[2].replace(/\\(.)/g, '$1');
+            entries.push({ scope: current.scope, key: current.key, valueName, ...parseRegData(value[3].trim()), line: number });
+        });
+        closeSection();
+        return { entries, errors };
+    }
+
+    // --- Lookup ---
+    // Turns pasted text (a .reg export or one registry path per line) into
+    // [{ scope, key, valueName, type, data, deleted, matches: [{ policy, element, via }] }].
+    // via is 'value' (the policy writes this value), 'list' (a value of a list element's key)
+    // or 'key' (only the key is known and the policy writes below it).
+    function lookupRegistryText(text, policies) {
+        const indexes = new Map();
+        const indexFor = (scope) => {
+            if (!indexes.has(scope)) indexes.set(scope, buildRegistryIndex(policies, scope));
+            return indexes.get(scope);
+        };
+        const resolve = (entry, candidates) => {
+            const seen = new Set();
+            const matches = [];
+            candidates.forEach(({ policy, element, via }) => {
+                if (seen.has(policy.id)) return;
+                seen.add(policy.id);
+                matches.push({ policy, element, via });
+            });
+            return { ...entry, matches };
+        };
+        const valueCandidates = (index, key, valueName) => findValueTargets(index, key, valueName)
+            .map(target => ({ ...target, via: target.element && RegistryExport.getElementKind(target.element) === 'list' ? 'list' : 'value' }));
+        const keyCandidates = (index, key) => [
+            ...(index.listKeys.get(lowerPath(key, '')) || []).map(target => ({ ...target, via: 'list' })),
+            ...(index.keys.get(lowerPath(key, '')) || []).map(policy => ({ policy, element: null, via: 'key' })),
+        ];
+
+        if (isRegFile(text)) {
+            const { entries, errors } = parseRegFile(text);
+            const results = entries.map(entry => {
+                const index = indexFor(entry.scope);
+                return resolve(entry, entry.valueName === null ? keyCandidates(index, entry.key) : valueCandidates(index, entry.key, entry.valueName));
+            });
+            return { results, errors };
+        }
+
+        const results = [];
+        const errors = [];
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            if (line.trim() === '') return;
+            const parsed = parseRegistryPath(line);
+            if (!parsed) {
+                errors.push(`Line ${lineIndex + 1}: '${line.trim().slice(0, 80)}' is not a policy registry path.`);
+                return;
+            }
+            const index = indexFor(parsed.scope);
+            const entry = { scope: parsed.scope, type: null, data: null, deleted: false, line: lineIndex + 1 };
+            if (parsed.valueName !== null) {
+                results.push(resolve({ ...entry, key: parsed.key, valueName: parsed.valueName }, valueCandidates(index, parsed.key, parsed.valueName)));
+                return;
+            }
+            // Without '/v' the last segment is either a value name or a (list) subkey
+            const lastSeparator = parsed.key.lastIndexOf('\\');
+            const asValue = lastSeparator > 0 ? valueCandidates(index, parsed.key.slice(0, lastSeparator), parsed.key.slice(lastSeparator + 1)) : [];
+            if (asValue.length > 0) {
+                results.push(resolve({ ...entry, key: parsed.key.slice(0, lastSeparator), valueName: parsed.key.slice(lastSeparator + 1) }, asValue));
+            } else {
+                results.push(resolve({ ...entry, key: parsed.key, valueName: null }, keyCandidates(index, parsed.key)));
+            }
+        });
+        return { results, errors };
+    }
+
+    return { buildRegistryIndex, findValueTargets, parseRegistryPath, parseRegFile, lookupRegistryText };
+});
+// --- END OF FILE lib/registry-lookup.js ---
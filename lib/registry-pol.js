@@ -0,0 +1,270 @@
+// --- START OF FILE lib/registry-pol.js ---
+// Reader and writer for Registry.pol files (PReg format, as written by Group
+// Policy) and matching of the contained registry values back to ADMX policies.
+//
+// File layout: 'PReg' signature, version 1, then entries of the form
+//   [key;valueName;type;size;data]
+// where the brackets, semicolons and strings are UTF-16LE and type/size are
+// little-endian DWORDs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./registry-export.js'), require('./registry-lookup.js'));
+    } else {
+        root.RegistryPol = factory(root.RegistryExport, root.RegistryLookup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RegistryExport, RegistryLookup) {
+    'use strict';
+
+    const PREG_SIGNATURE = 0x67655250; // 'PReg'
+    const PREG_VERSION = 1;
+    const REG_TYPES = {
+        0: 'REG_NONE',
+        1: 'REG_SZ',
+        2: 'REG_EXPAND_SZ',
+        3: 'REG_BINARY',
+        4: 'REG_DWORD',
+        5: 'REG_DWORD_BIG_ENDIAN',
+        7: 'REG_MULTI_SZ',
+        11: 'REG_QWORD',
+    };
+    const REG_TYPE_CODES = Object.fromEntries(Object.entries(REG_TYPES).map(([code, name]) => [name, Number(code)]));
+
+    // --- Parsing ---
+    function decodeUtf16(bytes) {
+        let text = '';
+        for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes[i] | (bytes[i + 1] << 8));
+        return text;
+    }
+
+    function decodeData(type, bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        switch (type) {
+            case 'REG_SZ':
+            case 'REG_EXPAND_SZ':
+                return decodeUtf16(bytes).replace(/\0+$/, '');
+            case 'REG_MULTI_SZ':
+                return decodeUtf16(bytes).replace(/\0+$/, '').split('\0');
+            case 'REG_DWORD':
+                return bytes.length >= 4 ? view.getUint32(0, true) : null;
+            case 'REG_DWORD_BIG_ENDIAN':
+                return bytes.length >= 4 ? view.getUint32(0, false) : null;
+            case 'REG_QWORD': {
+                if (bytes.length < 8) return null;
+                const value = view.getBigUint64(0, true);
+                return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+            }
+            default:
+                return bytes;
+        }
+    }
+
+    // Group Policy encodes deletions and similar instructions as '**' value names
+    function classifyValueName(valueName) {
+        const lower = valueName.toLowerCase();
+        if (lower.startsWith('**del.')) return { action: 'deleteValue', valueName: valueName.slice(6) };
+        if (lower.startsWith('**delvals')) return { action: 'deleteAllValues', valueName: '' };
+        if (lower === '**deletevalues') return { action: 'deleteValues', valueName: '' };
+        if (lower === '**deletekeys') return { action: 'deleteKeys', valueName: '' };
+        if (lower.startsWith('**soft.')) return { action: 'softSet', valueName: valueName.slice(7) };
+        if (lower.startsWith('**')) return { action: 'other', valueName };
+        return { action: 'set', valueName };
+    }
+
+    // Returns [{ key, valueName, action, type, data, rawValueName }] in file order.
+    function parseRegistryPol(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 8 || view.getUint32(0, true) !== PREG_SIGNATURE) {
+            throw new Error('Not a Registry.pol file (PReg signature missing).');
+        }
+        const version = view.getUint32(4, true);
+        if (version !== PREG_VERSION) throw new Error(`Unsupported Registry.pol version ${version}.`);
+
+        let offset = 8;
+        const readChar = () => {
+            if (offset + 2 > bytes.length) throw new Error(`Corrupt Registry.pol file (unexpected end at byte ${offset}).`);
+            const code = view.getUint16(offset, true);
+            offset += 2;
+            return code;
+        };
+        const expectChar = (ch) => {
+            const position = offset;
+            if (readChar() !== ch.charCodeAt(0)) throw new Error(`Corrupt Registry.pol file (expected '${ch}' at byte ${position}).`);
+        };
+        const readString = () => {
+            let text = '';
+            for (let code = readChar(); code !== 0; code = readChar()) text += String.fromCharCode(code);
+            return text;
+        };
+        const readDword = () => {
+            if (offset + 4 > bytes.length) throw new Error(`Corrupt Registry.pol file (unexpected end at byte ${offset}).`);
+            const value = view.getUint32(offset, true);
+            offset += 4;
+            return value;
+        };
+
+        const entries = [];
+        while (offset < bytes.length) {
+            expectChar('[');
+            const key = readString();
+            expectChar(';');
+            const rawValueName = readString();
+            expectChar(';');
+            const typeCode = readDword();
+            expectChar(';');
+            const size = readDword();
+            expectChar(';');
+            if (offset + size > bytes.length) throw new Error(`Corrupt Registry.pol file (data of '${key}\\${rawValueName}' exceeds the file).`);
+            const data = bytes.subarray(offset, offset + size);
+            offset += size;
+            expectChar(']');
+
+            const type = REG_TYPES[typeCode] || `REG_TYPE_${typeCode}`;
+            const { action, valueName } = classifyValueName(rawValueName);
+            entries.push({ key, valueName, action, type, data: decodeData(type, data), rawValueName });
+        }
+        return entries;
+    }
+
+    // --- Writing ---
+    function encodeUtf16(text) {
+        const bytes = new Uint8Array(text.length * 2);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[i * 2] = code & 0xFF;
+            bytes[i * 2 + 1] = code >> 8;
+        }
+        return bytes;
+    }
+
+    function encodeData(type, data) {
+        switch (type) {
+            case 'REG_DWORD': {
+                const bytes = new Uint8Array(4);
+                new DataView(bytes.buffer).setUint32(0, Number(data) >>> 0, true);
+                return bytes;
+            }
+            case 'REG_QWORD': {
+                const bytes = new Uint8Array(8);
+                new DataView(bytes.buffer).setBigUint64(0, BigInt.asUintN(64, BigInt(data)), true);
+                return bytes;
+            }
+            case 'REG_MULTI_SZ': return encodeUtf16(`${data.join('\0')}\0\0`);
+            default: return encodeUtf16(`${data}\0`);
+        }
+    }
+
+    // Group Policy writes a single space as the data of its '**' instructions
+    const INSTRUCTION_DATA = { type: 'REG_SZ', data: ' ' };
+
+    // Serializes registry operations (see RegistryExport.buildRegistryActions) into
+    // Registry.pol bytes. Deleting a key is written as deleting all of its values.
+    function toRegistryPol(actions) {
+        const dword = (value) => {
+            const bytes = new Uint8Array(4);
+            new DataView(bytes.buffer).setUint32(0, value, true);
+            return bytes;
+        };
+        const chunks = [dword(PREG_SIGNATURE), dword(PREG_VERSION)];
+        actions.forEach(action => {
+            let valueName = action.valueName;
+            let { type, data } = action;
+            if (action.op === 'deleteValue') {
+                valueName = `**del.${action.valueName}`;
+                ({ type, data } = INSTRUCTION_DATA);
+            } else if (action.op === 'deleteAllValues' || action.op === 'deleteKey') {
+                valueName = '**delvals.';
+                ({ type, data } = INSTRUCTION_DATA);
+            }
+            const dataBytes = encodeData(type, data);
+            chunks.push(
+                encodeUtf16('['), encodeUtf16(`${action.key}\0`), encodeUtf16(';'),
+                encodeUtf16(`${valueName}\0`), encodeUtf16(';'),
+                dword(REG_TYPE_CODES[type] ?? REG_TYPE_CODES.REG_SZ), encodeUtf16(';'),
+                dword(dataBytes.length), encodeUtf16(';'),
+                dataBytes, encodeUtf16(']'));
+        });
+        const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    // --- Matching ---
+    function sameData(data, expected) {
+        return expected !== undefined && expected !== null && data !== null && String(data) === String(expected);
+    }
+
+    function deriveState(policy, result) {
+        const reg = policy.registry;
+        if (result.mainEntry) {
+            const { action, data } = result.mainEntry;
+            if (action === 'deleteValue') return 'Disabled';
+            if (sameData(data, reg.disabledValue) && !sameData(data, reg.enabledValue)) return 'Disabled';
+            return 'Enabled';
+        }
+        const hasSetValues = result.entries.some(entry => entry.action === 'set' || entry.action === 'softSet');
+        return hasSetValues ? 'Enabled' : 'Disabled';
+    }
+
+    // Matches parsed entries to policies. scope ('Machine'/'User') limits the
+    // candidates to policies of that class (and 'Both').
+    // Returns { matches: Map(policyId -> { policy, state, values, entries }), unmatched: [entry] }.
+    function matchRegistryPol(entries, policies, scope = null) {
+        const index = RegistryLookup.buildRegistryIndex(policies, scope);
+        const results = new Map();
+        const unmatched = [];
+        const resultFor = (policy) => {
+            if (!results.has(policy.id)) results.set(policy.id, { policy, state: null, values: {}, entries: [], mainEntry: null });
+            return results.get(policy.id);
+        };
+
+        entries.forEach(entry => {
+            if (entry.action === 'other') return; // **SecureKey and friends carry no policy data
+            const targets = RegistryLookup.findValueTargets(index, entry.key, entry.valueName);
+            if (targets.length === 0) {
+                unmatched.push(entry);
+                return;
+            }
+            const isSet = entry.action === 'set' || entry.action === 'softSet';
+            targets.forEach(({ policy, element }) => {
+                const result = resultFor(policy);
+                result.entries.push(entry);
+                if (!element) {
+                    // A main value that one of the elements also writes is read as that element
+                    if (!policy.registry.elements?.some(el => el?.valueName === entry.valueName)) result.mainEntry = entry;
+                } else if (RegistryExport.getElementKind(element) === 'list') {
+                    if (!Array.isArray(result.values[element.id])) result.values[element.id] = [];
+                    if (isSet) {
+                        result.values[element.id].push(element.explicitValue ? { name: entry.valueName, value: entry.data } : entry.data);
+                    }
+                } else if (isSet) {
+                    result.values[element.id] = entry.data;
+                }
+            });
+        });
+
+        results.forEach(result => {
+            result.state = deriveState(result.policy, result);
+            delete result.mainEntry;
+        });
+        return { matches: results, unmatched };
+    }
+
+    // Display text for an entry's data
+    function formatEntryData(entry) {
+        if (entry.action === 'deleteValue') return '(delete value)';
+        if (entry.action === 'deleteAllValues') return '(delete all values)';
+        if (entry.action === 'deleteValues' || entry.action === 'deleteKeys') return `(${entry.rawValueName.slice(2)}: ${entry.data})`;
+        if (Array.isArray(entry.data)) return entry.data.join(' | ');
+        if (entry.data instanceof Uint8Array) return Array.from(entry.data, b => b.toString(16).padStart(2, '0')).join(' ');
+        return String(entry.data ?? '');
+    }
+
+    return { REG_TYPES, parseRegistryPol, toRegistryPol, matchRegistryPol, formatEntryData };
+});
+// --- END OF FILE lib/registry-pol.js ---
@@ -0,0 +1,130 @@
+// --- START OF FILE lib/rich-text.js ---
+// Safe HTML for the viewer: the html`` tag escapes every interpolated value unless it
+// was built by html`` itself or marked with raw(), so text from data files, imported
+// files or the search box never becomes markup. Also splits policy descriptions into
+// blocks (paragraphs, bullet lists, example values) that app.js renders as elements.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RichText = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    // "* item", "- item", "• item"; "1. item" and "1) item" for numbered lists
+    const BULLET = /^\s*[-*•]\s+/;
+    const NUMBER = /^\s*\d+[.)]\s+/;
+    // The line before an example value in Microsoft's descriptions, in English and German
+    const EXAMPLE_LABEL = /^\s*(?:(compact example value|kompakter beispielwert)|example value|beispielwert)\s*:\s*$/i;
+
+    // --- Escaping ---
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // Markup that is inserted as written; only html`` and raw() create it
+    class SafeHtml {
+        constructor(markup) {
+            this.markup = String(markup);
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    // For markup the viewer built itself, e.g. SearchIndex.highlightText output
+    function raw(markup) {
+        return markup instanceof SafeHtml ? markup : new SafeHtml(markup);
+    }
+
+    // null, undefined and false leave nothing; lists are joined
+    function toHtml(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(toHtml).join('');
+        return escapeHtml(value);
+    }
+
+    // Template tag: element.innerHTML = html`<p>${text}</p>` escapes text
+    function html(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, string, i) => markup + string + (i < values.length ? toHtml(values[i]) : ''), ''));
+    }
+
+    // --- Descriptions ---
+    // JSON objects and arrays, indented; anything else null
+    function formatJson(text) {
+        const source = String(text || '').trim();
+        if (!/^[[{]/.test(source)) return null;
+        try {
+            return JSON.stringify(JSON.parse(source), null, 2);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function splitListItems(lines, marker) {
+        const items = [];
+        lines.forEach(line => {
+            if (marker.test(line)) items.push(line.replace(marker, ''));
+            // Lines without a marker continue the item above
+            else items[items.length - 1] += `\n${line}`;
+        });
+        return items;
+    }
+
+    // Blocks of a description: { type: 'paragraph', text } | { type: 'list', ordered, items: [text] } |
+    // { type: 'code', text, json }. Paragraphs are separated by blank lines and keep their line breaks;
+    // list items may be separated by blank lines too. The text after "Example value:" is code, and
+    // JSON is indented, except after "Compact example value:", which shows the one-line form to copy.
+    function parseBlocks(text) {
+        const chunks = String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+            .map(chunk => chunk.replace(/^\s*\n|\s+$/g, ''))
+            .filter(chunk => chunk.trim() !== '');
+        const blocks = [];
+        let pendingExample = null; // { compact } after a label that stood on its own
+        chunks.forEach(chunk => {
+            const lines = chunk.split('\n');
+            const label = lines[0].match(EXAMPLE_LABEL);
+            if (label) {
+                blocks.push({ type: 'paragraph', text: lines[0].trim() });
+                pendingExample = { compact: Boolean(label[1]) };
+                if (lines.length === 1) return;
+                lines.shift();
+                chunk = lines.join('\n');
+            }
+            if (pendingExample) {
+                const json = formatJson(chunk);
+                blocks.push({ type: 'code', text: json !== null && !pendingExample.compact ? json : chunk.trim(), json: json !== null });
+                pendingExample = null;
+                return;
+            }
+            // A list may follow a lead-in line without a blank line between them ("and 6 optional members:")
+            const listStart = lines.findIndex(line => BULLET.test(line) || NUMBER.test(line));
+            if (listStart > 0) {
+                blocks.push({ type: 'paragraph', text: lines.slice(0, listStart).join('\n') });
+                lines.splice(0, listStart);
+            }
+            const marker = listStart === -1 ? null : (BULLET.test(lines[0]) ? BULLET : NUMBER);
+            if (marker) {
+                const items = splitListItems(lines, marker);
+                const ordered = marker === NUMBER;
+                const last = blocks[blocks.length - 1];
+                if (last?.type === 'list' && last.ordered === ordered) last.items.push(...items);
+                else blocks.push({ type: 'list', ordered, items });
+                return;
+            }
+            const json = formatJson(chunk);
+            if (json !== null) blocks.push({ type: 'code', text: json, json: true });
+            else blocks.push({ type: 'paragraph', text: chunk });
+        });
+        return blocks;
+    }
+
+    return { escapeHtml, raw, html, SafeHtml, formatJson, parseBlocks };
+});
+// --- END OF FILE lib/rich-text.js ---
@@ -0,0 +1,280 @@
+// --- START OF FILE lib/search-index.js ---
+// Inverted index over policies for the global search: prefix and typo-tolerant
+// word matching, relevance ranking and highlighted snippets. Queries are
+// SearchQuery ASTs; field terms (key:, class:, ...) are checked with
+// SearchQuery.matchesPolicy, free-text terms through the index.
+// Runs in lib/search-worker.js, or on the main thread when workers are unavailable.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./search-query.js'));
+    } else {
+        root.SearchIndex = factory(root.SearchQuery);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SearchQuery) {
+    'use strict';
+
+    // Field bits and their weight in the relevance score
+    const FIELDS = {
+        title: { bit: 1, weight: 10 },
+        valueName: { bit: 2, weight: 8 },
+        name: { bit: 4, weight: 6 },
+        category: { bit: 8, weight: 3 },
+        options: { bit: 16, weight: 2 },
+        key: { bit: 32, weight: 2 },
+        description: { bit: 64, weight: 1 },
+    };
+    const MATCH_QUALITY = { exact: 1, prefix: 0.6, fuzzy: 0.3 };
+    // A term that is exactly one of the policy's registry value names puts it on top
+    const EXACT_VALUE_NAME_BONUS = 100;
+    const PHRASE_IN_TITLE_BONUS = 20;
+    const MIN_PREFIX_LENGTH = 2;
+    const MIN_FUZZY_LENGTH = 4;
+    // Keys are indexed without their hive: "HKLM:\SOFTWARE\..." and "Computer\HKEY_LOCAL_MACHINE\..." search the path
+    const HIVE_PREFIX = /^(?:computer\\)?(?:hkey_[a-z_]+|hk(?:lm|cu|u|cr|cc)):?\\/;
+
+    function tokenize(text) {
+        return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    }
+
+    function getFieldTexts(policy) {
+        const reg = policy.registry || {};
+        const elements = (reg.elements || []).filter(Boolean);
+        return {
+            title: policy.displayName,
+            valueName: [reg.valueName, ...elements.map(el => el.valueName)].filter(Boolean).join(' '),
+            name: policy.name,
+            category: policy.categoryPath,
+            options: [...(reg.options || []), ...elements.flatMap(el => el.options || [])].map(opt => opt?.display).filter(Boolean).join(' '),
+            key: [reg.key, ...elements.map(el => el.key)].filter(Boolean).join(' '),
+            description: policy.explainText,
+        };
+    }
+
+    // --- Building ---
+    // policies need categoryPath (text for category: terms) next to the usual policy fields
+    function buildIndex(policies) {
+        const postings = new Map(); // token -> Map(docIndex -> field bits)
+        const valueNames = policies.map(() => new Set());
+        policies.forEach((policy, docIndex) => {
+            const fieldTexts = getFieldTexts(policy);
+            Object.entries(FIELDS).forEach(([field, { bit }]) => {
+                tokenize(fieldTexts[field]).forEach(token => {
+                    if (!postings.has(token)) postings.set(token, new Map());
+                    const docs = postings.get(token);
+                    docs.set(docIndex, (docs.get(docIndex) || 0) | bit);
+                });
+            });
+            const reg = policy.registry || {};
+            [reg.valueName, ...(reg.elements || []).map(el => el?.valueName)]
+                .filter(Boolean)
+                .forEach(valueName => valueNames[docIndex].add(valueName.toLowerCase()));
+        });
+        const vocabulary = Array.from(postings.keys()).sort();
+        return { policies, postings, vocabulary, valueNames };
+    }
+
+    // --- Token Expansion ---
+    // Optimal string alignment distance, abandoned once it exceeds maxDistance
+    function editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function lowerBound(sortedTokens, prefix) {
+        let low = 0;
+        let high = sortedTokens.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sortedTokens[middle] < prefix) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    // Vocabulary tokens a query token stands for: [{ token, quality }]
+    function expandToken(index, queryToken, allowInexact) {
+        const expansions = [];
+        if (index.postings.has(queryToken)) expansions.push({ token: queryToken, quality: MATCH_QUALITY.exact });
+        if (!allowInexact) return expansions;
+        if (queryToken.length >= MIN_PREFIX_LENGTH) {
+            for (let i = lowerBound(index.vocabulary, queryToken); i < index.vocabulary.length && index.vocabulary[i].startsWith(queryToken); i++) {
+                if (index.vocabulary[i] !== queryToken) expansions.push({ token: index.vocabulary[i], quality: MATCH_QUALITY.prefix });
+            }
+        }
+        if (queryToken.length >= MIN_FUZZY_LENGTH) {
+            const maxDistance = queryToken.length >= 8 ? 2 : 1;
+            index.vocabulary.forEach(token => {
+                // Typos rarely hit the first letter; skipping those keeps the scan cheap
+                if (token[0] !== queryToken[0] || token === queryToken || token.startsWith(queryToken)) return;
+                if (editDistance(queryToken, token, maxDistance) <= maxDistance) expansions.push({ token, quality: MATCH_QUALITY.fuzzy });
+            });
+        }
+        return expansions;
+    }
+
+    // A word in the title and the description outranks one only in the title
+    function fieldScore(bits) {
+        return Object.values(FIELDS).reduce((sum, { bit, weight }) => (bits & bit ? sum + weight : sum), 0);
+    }
+
+    // Docs matching a free-text term: Map(docIndex -> { score, tokens })
+    function matchFreeTextTerm(index, term) {
+        const value = term.value.replace(HIVE_PREFIX, '');
+        const queryTokens = tokenize(value);
+        let result = null;
+        queryTokens.forEach(queryToken => {
+            const tokenMatches = new Map();
+            expandToken(index, queryToken, !term.phrase).forEach(({ token, quality }) => {
+                index.postings.get(token).forEach((bits, docIndex) => {
+                    const score = fieldScore(bits) * quality;
+                    const existing = tokenMatches.get(docIndex);
+                    if (!existing) tokenMatches.set(docIndex, { score, tokens: [token] });
+                    else {
+                        existing.score = Math.max(existing.score, score);
+                        existing.tokens.push(token);
+                    }
+                });
+            });
+            // Every word of the term has to match
+            if (result === null) {
+                result = tokenMatches;
+                return;
+            }
+            const combined = new Map();
+            result.forEach((match, docIndex) => {
+                const other = tokenMatches.get(docIndex);
+                if (other) combined.set(docIndex, { score: match.score + other.score, tokens: match.tokens.concat(other.tokens) });
+            });
+            result = combined;
+        });
+        result = result || new Map();
+
+        if (term.phrase) {
+            result.forEach((match, docIndex) => {
+                const policy = index.policies[docIndex];
+                if (!(policy.searchText || '').includes(value)) result.delete(docIndex);
+                else if ((policy.displayName || '').toLowerCase().includes(value)) match.score += PHRASE_IN_TITLE_BONUS;
+            });
+        }
+        index.valueNames.forEach((names, docIndex) => {
+            const match = result.get(docIndex);
+            if (match && names.has(term.value)) match.score += EXACT_VALUE_NAME_BONUS;
+        });
+        return result;
+    }
+
+    // --- Searching ---
+    function collectPositiveTerms(ast, negated = false, terms = []) {
+        if (ast.type === 'term') {
+            if (!negated && !ast.field) terms.push(ast);
+        } else if (ast.type === 'not') {
+            collectPositiveTerms(ast.item, !negated, terms);
+        } else {
+            ast.items.forEach(item => collectPositiveTerms(item, negated, terms));
+        }
+        return terms;
+    }
+
+    // Returns [{ policyId, contextHint, score, terms }] ordered by relevance;
+    // 'Both' policies are evaluated (and listed) once per scope.
+    function search(index, ast) {
+        if (!ast) return [];
+        const termMatches = new Map();
+        const matchesFor = (term) => {
+            if (!termMatches.has(term)) termMatches.set(term, matchFreeTextTerm(index, term));
+            return termMatches.get(term);
+        };
+        const evaluate = (node, docIndex, context) => {
+            switch (node.type) {
+                case 'and': return node.items.every(item => evaluate(item, docIndex, context));
+                case 'or': return node.items.some(item => evaluate(item, docIndex, context));
+                case 'not': return !evaluate(node.item, docIndex, context);
+                default:
+                    if (!node.field) return matchesFor(node).has(docIndex);
+                    return SearchQuery.matchesPolicy(node, index.policies[docIndex], context);
+            }
+        };
+        const positiveTerms = collectPositiveTerms(ast);
+        const results = [];
+        index.policies.forEach((policy, docIndex) => {
+            const scopes = policy.class === 'Both' ? ['Machine', 'User'] : [policy.class];
+            scopes.forEach(scope => {
+                const context = { getCategoryPath: p => p.categoryPath, scope };
+                if (!evaluate(ast, docIndex, context)) return;
+                let score = 0;
+                const tokens = new Set();
+                positiveTerms.forEach(term => {
+                    const match = matchesFor(term).get(docIndex);
+                    if (!match) return;
+                    score += match.score;
+                    match.tokens.forEach(token => tokens.add(token));
+                });
+                results.push({ policyId: policy.id, contextHint: scope, score, terms: Array.from(tokens), displayName: policy.displayName || '' });
+            });
+        });
+        results.sort((a, b) => b.score - a.score || a.displayName.localeCompare(b.displayName) || a.contextHint.localeCompare(b.contextHint));
+        return results.map(({ displayName, ...result }) => result);
+    }
+
+    // --- Highlighting ---
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // Word ranges in text whose lowercase form is one of the matched tokens
+    function findTokenRanges(text, terms) {
+        const wanted = new Set(terms);
+        const ranges = [];
+        const wordPattern = /[\p{L}\p{N}_]+/gu;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (wanted.has(match[0].toLowerCase())) ranges.push([match.index, match.index + match[0].length]);
+        }
+        return ranges;
+    }
+
+    // Escaped HTML with matched words wrapped in <mark>
+    function highlightText(text, terms) {
+        const source = String(text || '');
+        let html = '';
+        let last = 0;
+        findTokenRanges(source, terms).forEach(([start, end]) => {
+            html += `${escapeHtml(source.slice(last, start))}<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+            last = end;
+        });
+        return html + escapeHtml(source.slice(last));
+    }
+
+    // Highlighted excerpt around the first matched word, or null when nothing matched
+    function buildSnippet(text, terms, radius = 60) {
+        const source = String(text || '').replace(/\s+/g, ' ');
+        const first = findTokenRanges(source, terms)[0];
+        if (!first) return null;
+        const start = Math.max(0, source.lastIndexOf(' ', Math.max(0, first[0] - radius)) + 1);
+        const endSpace = source.indexOf(' ', first[1] + radius);
+        const end = endSpace === -1 ? source.length : endSpace;
+        return `${start > 0 ? '… ' : ''}${highlightText(source.slice(start, end), terms)}${end < source.length ? ' …' : ''}`;
+    }
+
+    return { tokenize, buildIndex, search, highlightText, buildSnippet, escapeHtml };
+});
+// --- END OF FILE lib/search-index.js ---
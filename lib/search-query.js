@@ -0,0 +1,255 @@
+// --- START OF FILE lib/search-query.js ---
+// Structured query language for the global search box.
+//
+//   proxy                       free text (display name, description, registry)
+//   "proxy server"              quoted phrase
+//   key:Software\Policies\...   field qualifiers: key, value, class, type, admx,
+//                               supported, category; other prefixes (C:\Windows,
+//                               HKLM:\..., "Example value:") are plain text, and
+//                               SearchIndex drops the hive of registry paths
+//   -proxy / NOT proxy          negation
+//   a b / a AND b / a OR b      AND (implicit) / OR, grouped with parentheses
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SearchQuery = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FIELDS = ['key', 'value', 'class', 'type', 'admx', 'supported', 'category'];
+
+    class SearchQueryError extends Error {
+        constructor(message, position) {
+            super(message);
+            this.name = 'SearchQueryError';
+            this.position = position;
+        }
+    }
+
+    // --- Tokenizer ---
+    // Optimal string alignment distance: 'keys' and 'categroy' are one edit away from a field
+    function editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    // A misspelled field name is reported; drive letters, hives and words ending a sentence are not
+    function isFieldTypo(candidate) {
+        return candidate.length >= 3 && FIELDS.some(field => editDistance(candidate, field) === 1);
+    }
+
+    function tokenize(query) {
+        const tokens = [];
+        let pos = 0;
+        while (pos < query.length) {
+            const ch = query[pos];
+            if (/\s/.test(ch)) { pos++; continue; }
+            if (ch === '(' || ch === ')') {
+                tokens.push({ kind: ch, position: pos });
+                pos++;
+                continue;
+            }
+
+            const start = pos;
+            let negated = false;
+            if (ch === '-' && pos + 1 < query.length && !/[\s)]/.test(query[pos + 1])) {
+                negated = true;
+                pos++;
+            }
+
+            let field = null;
+            const fieldMatch = /^([a-zA-Z]+):/.exec(query.slice(pos));
+            if (fieldMatch) {
+                const candidate = fieldMatch[1].toLowerCase();
+                const rest = query.slice(pos + fieldMatch[0].length);
+                // 'value:' at the end of a word is text ("Example value:"), as are URLs (https://...)
+                const isText = rest === '' || /^\s/.test(rest) || rest.startsWith('//');
+                if (!isText && FIELDS.includes(candidate)) {
+                    field = candidate;
+                    pos += fieldMatch[0].length;
+                } else if (!isText && isFieldTypo(candidate)) {
+                    throw new SearchQueryError(`Unknown field '${fieldMatch[1]}:'. Known fields: ${FIELDS.map(f => f + ':').join(', ')}`, pos);
+                }
+            }
+
+            let value;
+            let phrase = false;
+            if (query[pos] === '"') {
+                const end = query.indexOf('"', pos + 1);
+                if (end === -1) throw new SearchQueryError('Unterminated quoted phrase.', pos);
+                value = query.slice(pos + 1, end);
+                phrase = true;
+                pos = end + 1;
+            } else {
+                const valueMatch = /^[^\s()"]*/.exec(query.slice(pos));
+                value = valueMatch[0];
+                pos += value.length;
+            }
+
+            if (value === '' && !phrase) {
+                if (field) throw new SearchQueryError(`Missing value after '${field}:'.`, start);
+                throw new SearchQueryError(`Unexpected character '${query[pos]}'.`, pos);
+            }
+
+            if (!negated && !field && !phrase && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+                tokens.push({ kind: value, position: start });
+            } else {
+                tokens.push({ kind: 'term', field, value, phrase, negated, position: start });
+            }
+        }
+        return tokens;
+    }
+
+    // --- Parser ---
+    // orExpr := andExpr (OR andExpr)* ; andExpr := unary ([AND] unary)* ;
+    // unary := NOT unary | primary ; primary := '(' orExpr ')' | term
+    function parse(query) {
+        const tokens = tokenize(query);
+        let index = 0;
+        const peek = () => tokens[index];
+        const endPosition = query.length;
+
+        function parseOr() {
+            const items = [parseAnd()];
+            while (peek()?.kind === 'OR') {
+                index++;
+                items.push(parseAnd());
+            }
+            return items.length === 1 ? items[0] : { type: 'or', items };
+        }
+
+        function parseAnd() {
+            const items = [parseUnary()];
+            while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+                if (peek().kind === 'AND') index++;
+                items.push(parseUnary());
+            }
+            return items.length === 1 ? items[0] : { type: 'and', items };
+        }
+
+        function parseUnary() {
+            const token = peek();
+            if (token?.kind === 'NOT') {
+                index++;
+                return { type: 'not', item: parseUnary() };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = peek();
+            if (!token) throw new SearchQueryError('Query ends unexpectedly.', endPosition);
+            if (token.kind === '(') {
+                index++;
+                if (peek()?.kind === ')') throw new SearchQueryError('Empty parentheses.', token.position);
+                const inner = parseOr();
+                if (peek()?.kind !== ')') throw new SearchQueryError("Missing closing ')'.", token.position);
+                index++;
+                return inner;
+            }
+            if (token.kind === 'term') {
+                index++;
+                const term = { type: 'term', field: token.field, value: token.value.toLowerCase(), phrase: token.phrase };
+                return token.negated ? { type: 'not', item: term } : term;
+            }
+            if (token.kind === ')') throw new SearchQueryError("Unexpected ')'.", token.position);
+            throw new SearchQueryError(`'${token.kind}' must be followed by a search term.`, token.position);
+        }
+
+        if (tokens.length === 0) return null;
+        const ast = parseOr();
+        if (index < tokens.length) {
+            const token = tokens[index];
+            throw new SearchQueryError(token.kind === ')' ? "Unexpected ')'." : `Unexpected '${token.kind}'.`, token.position);
+        }
+        return ast;
+    }
+
+    // --- Evaluation ---
+    function normalizeType(type) {
+        return String(type || '').toLowerCase().replace(/^reg_/, '');
+    }
+
+    function registryTypes(policy) {
+        const reg = policy.registry || {};
+        const types = (reg.elements || []).map(el => el?.type).filter(Boolean);
+        // Policies without elements and an 'Unknown' type are toggles written as REG_DWORD
+        if (reg.type && reg.type !== 'Unknown') types.push(reg.type);
+        else if (!reg.elements?.length && reg.valueName) types.push('REG_DWORD');
+        return types;
+    }
+
+    function fieldValues(policy, field, context) {
+        const reg = policy.registry || {};
+        switch (field) {
+            case 'key': return [reg.key, ...(reg.elements || []).map(el => el?.key)];
+            case 'value': return [reg.valueName, ...(reg.elements || []).map(el => el?.valueName)];
+            case 'admx': return [policy.admxFile];
+            case 'supported': return [policy.supportedOn];
+            case 'category': return [context.getCategoryPath ? context.getCategoryPath(policy) : policy.categoryId];
+            default: return [policy.searchText];
+        }
+    }
+
+    function matchesTerm(term, policy, context) {
+        if (term.field === 'class') {
+            const policyClass = (policy.class || '').toLowerCase();
+            const wanted = term.value === 'computer' ? 'machine' : term.value;
+            if (wanted === 'both') return policyClass === 'both';
+            if (policyClass !== 'both') return policyClass === wanted;
+            // 'Both' policies are listed once per scope; context.scope is the one being tested
+            if (context.scope) return context.scope.toLowerCase() === wanted;
+            return wanted === 'machine' || wanted === 'user';
+        }
+        if (term.field === 'type') {
+            const wanted = normalizeType(term.value);
+            return registryTypes(policy).some(type => normalizeType(type) === wanted);
+        }
+        return fieldValues(policy, term.field, context)
+            .some(candidate => candidate && String(candidate).toLowerCase().includes(term.value));
+    }
+
+    function evaluate(ast, matchTerm) {
+        switch (ast.type) {
+            case 'and': return ast.items.every(item => evaluate(item, matchTerm));
+            case 'or': return ast.items.some(item => evaluate(item, matchTerm));
+            case 'not': return !evaluate(ast.item, matchTerm);
+            default: return matchTerm(ast);
+        }
+    }
+
+    // context.getCategoryPath(policy) supplies the text for category: terms;
+    // context.scope ('Machine'/'User') narrows class: terms for 'Both' policies
+    function matchesPolicy(ast, policy, context = {}) {
+        if (!ast) return true;
+        return evaluate(ast, term => matchesTerm(term, policy, context));
+    }
+
+    // Evaluates only free-text terms against a plain string (used for category names)
+    function matchesText(ast, text) {
+        if (!ast) return true;
+        const lowerText = (text || '').toLowerCase();
+        return evaluate(ast, term => !term.field && lowerText.includes(term.value));
+    }
+
+    function hasFieldTerms(ast) {
+        if (!ast) return false;
+        if (ast.type === 'term') return ast.field !== null;
+        if (ast.type === 'not') return hasFieldTerms(ast.item);
+        return ast.items.some(hasFieldTerms);
+    }
+
+    return { FIELDS, SearchQueryError, parse, matchesPolicy, matchesText, hasFieldTerms };
+});
+// --- END OF FILE lib/search-query.js ---
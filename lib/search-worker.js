@@ -0,0 +1,33 @@
+// --- START OF FILE lib/search-worker.js ---
+// Web Worker holding the global search indexes (lib/search-index.js), one per
+// policy set and language, so building and querying them does not block the UI.
+//
+// Messages in:  { type: 'index', key, policies }, { type: 'dispose', key }
+//               and { type: 'search', id, key, query }
+// Messages out: { type: 'results', id, results }  or  { type: 'error', id, message }
+
+importScripts('search-query.js', 'search-index.js');
+
+const indexes = new Map(); // key ('policySet|lang') -> index
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.type === 'index') {
+        indexes.set(message.key, SearchIndex.buildIndex(message.policies));
+        return;
+    }
+    if (message.type === 'dispose') {
+        indexes.delete(message.key);
+        return;
+    }
+    if (message.type === 'search') {
+        try {
+            const index = indexes.get(message.key);
+            if (!index) throw new Error(`Search index '${message.key}' has not been built.`);
+            self.postMessage({ type: 'results', id: message.id, results: SearchIndex.search(index, SearchQuery.parse(message.query)) });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: message.id, message: error.message });
+        }
+    }
+});
+// --- END OF FILE lib/search-worker.js ---
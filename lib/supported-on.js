@@ -0,0 +1,122 @@
+// --- START OF FILE lib/supported-on.js ---
+// Reads the supportedOn text of a policy ("Microsoft Edge version 90, Windows 7 or later",
+// "At least Windows Server 2016, Windows 10 Version 1607", German ADML wording too) into
+// product requirements with minimum (and for obsolete policies maximum) versions.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SupportedOn = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // filter: 'version' products are filtered by "available in version X",
+    // 'release' products by a checklist of the minimum releases policies require
+    const PRODUCTS = {
+        edge: { name: 'Microsoft Edge', filter: 'version' },
+        edgeUpdate: { name: 'Microsoft Edge Update', filter: 'version' },
+        ie: { name: 'Internet Explorer', filter: 'version' },
+        windows: { name: 'Windows', filter: 'release' },
+        windowsServer: { name: 'Windows Server', filter: 'release' },
+    };
+    const WINDOWS_RELEASE_ORDER = ['2000', 'XP', 'Vista', '7', '8', '8.1', '10', '11'];
+    const UNSPECIFIED = /^(not specified|nicht angegeben)$/i;
+
+    // --- Versions ---
+    function compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    // Feature updates: 1507..1909, then 20H1 = 2004, 20H2 = 2010, ...
+    function getFeatureUpdateNumber(update) {
+        if (!update) return 0;
+        const halfYear = /^(\d{2})H([12])$/i.exec(update);
+        if (halfYear) return Number(halfYear[1]) * 100 + (halfYear[2] === '1' ? 4 : 10);
+        return /^\d{4}$/.test(update) ? Number(update) : 0;
+    }
+
+    // --- Parsing ---
+    function parseWindows(segment) {
+        const server = /\bWindows Server(?:,?\s+(?:version|Version)\s+(\w+)|\s+(\d{4})(\s+R2)?)?/.exec(segment);
+        if (server) {
+            const year = server[2] ? Number(server[2]) : 2000 + Math.floor(getFeatureUpdateNumber(server[1]) / 100);
+            const release = server[1] ? `Version ${server[1].toUpperCase()}` : `${server[2] || ''}${server[3] ? ' R2' : ''}`.trim();
+            return { product: 'windowsServer', min: release || null, max: null, release: `Windows Server ${release}`.trim(), order: year * 10 + (server[3] ? 5 : 0) };
+        }
+        const client = /\bWindows\s+(2000|XP|Vista|8\.1|RT 8\.1|7|8|10|11)\b(?:,?\s+(?:version|Version)\s+(\w+))?/.exec(segment);
+        if (!client) return null;
+        const base = client[1].replace(/^RT /, '');
+        const update = client[2] ? client[2].toUpperCase() : null;
+        return {
+            product: 'windows',
+            min: update ? `${base} ${update}` : base,
+            max: null,
+            release: `Windows ${base}${update ? ` Version ${update}` : ''}`,
+            order: WINDOWS_RELEASE_ORDER.indexOf(base) * 10000 + getFeatureUpdateNumber(update),
+        };
+    }
+
+    function parseSegment(segment) {
+        const edgeUpdate = /Microsoft Edge[\s-]Update\s+(\d+(?:\.\d+)*)/i.exec(segment);
+        if (edgeUpdate) return { product: 'edgeUpdate', min: edgeUpdate[1], max: null };
+        const edge = /Microsoft Edge(?:\s+version)?\s+(\d+)(?:\s*-\s*(\d+))?/i.exec(segment);
+        if (edge) return { product: 'edge', min: edge[1], max: edge[2] || null };
+        const ie = /Internet Explorer\s+(\d+)(?:\.\d+)?/i.exec(segment);
+        if (ie) return { product: 'ie', min: ie[1], max: null };
+        return parseWindows(segment);
+    }
+
+    // Returns { status: 'parsed' | 'unparsed' | 'unspecified', requirements: [{ product, min, max, release?, order? }], unrecognized: [text] }.
+    // Parts no pattern matches are listed in unrecognized; the text counts as parsed when at least one part matched.
+    function parseSupportedOn(text) {
+        const source = String(text ?? '').trim();
+        if (source === '' || UNSPECIFIED.test(source)) return { status: 'unspecified', requirements: [], unrecognized: [] };
+        const normalized = source
+            .replace(/\s+(?:or|and|oder|und)\s+(?:later|newer|höher|neuer|später)\b/gi, '')
+            .replace(/^(?:at least|mindestens|requires?)\s+/i, '');
+        const segments = [];
+        normalized.split(/\s*[,;]\s*|\s+(?:or|and|oder|und)\s+/i).forEach(segment => {
+            const trimmed = segment.replace(/^(?:at least|mindestens)\s+/i, '').trim();
+            if (!trimmed) return;
+            // "Windows 10, Version 1607" belongs together
+            if (/^version\s+\w+$/i.test(trimmed) && segments.length > 0) segments[segments.length - 1] += ` ${trimmed}`;
+            else segments.push(trimmed);
+        });
+        const requirements = [];
+        const unrecognized = [];
+        segments.forEach(segment => {
+            const requirement = parseSegment(segment);
+            if (!requirement) {
+                unrecognized.push(segment);
+                return;
+            }
+            if (!requirements.some(other => other.product === requirement.product && other.min === requirement.min)) requirements.push(requirement);
+        });
+        return { status: requirements.length > 0 ? 'parsed' : 'unparsed', requirements, unrecognized };
+    }
+
+    // --- Filtering ---
+    // true/false for a version-filtered product, null when the policy states nothing about it
+    function isAvailableIn(support, product, version) {
+        const matching = support.requirements.filter(requirement => requirement.product === product);
+        if (matching.length === 0) return null;
+        return matching.some(requirement => compareVersions(requirement.min, version) <= 0 &&
+            (requirement.max === null || compareVersions(version, requirement.max) <= 0));
+    }
+
+    // Key of a release-filtered requirement, e.g. 'windows|10 1607'
+    function getReleaseKey(requirement) {
+        return `${requirement.product}|${requirement.min ?? ''}`;
+    }
+
+    return { PRODUCTS, compareVersions, parseSupportedOn, isAvailableIn, getReleaseKey };
+});
+// --- END OF FILE lib/supported-on.js ---
@@ -0,0 +1,81 @@
+// --- START OF FILE lib/zip-reader.js ---
+// Small ZIP archive reader for loading zipped PolicyDefinitions folders.
+// Supports stored and deflated entries; inflation uses DecompressionStream in
+// the browser and zlib under Node.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ZipReader = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+    const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+    const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+    async function defaultInflateRaw(bytes) {
+        if (typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        if (typeof require === 'function') {
+            return new Uint8Array(require('zlib').inflateRawSync(bytes));
+        }
+        throw new Error('No deflate implementation available to extract ZIP entries.');
+    }
+
+    function findEndOfCentralDirectory(view) {
+        // The record is at least 22 bytes and may be followed by a comment of up to 64 KB
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+        for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return offset;
+        }
+        throw new Error('Not a ZIP archive (end of central directory not found).');
+    }
+
+    // Returns [{ path, content: Uint8Array }] for every file entry accepted by filter(path).
+    async function readZipEntries(buffer, { filter = () => true, inflateRaw = defaultInflateRaw } = {}) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocdOffset = findEndOfCentralDirectory(view);
+        const entryCount = view.getUint16(eocdOffset + 10, true);
+        let offset = view.getUint32(eocdOffset + 16, true);
+        const utf8 = new TextDecoder('utf-8');
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error(`Corrupt ZIP archive (bad central directory entry ${i}).`);
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const path = utf8.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/') || !filter(path)) continue;
+            if (view.getUint32(localHeaderOffset, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+                throw new Error(`Corrupt ZIP archive (bad local header for '${path}').`);
+            }
+            const dataStart = localHeaderOffset + 30 + view.getUint16(localHeaderOffset + 26, true) + view.getUint16(localHeaderOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) {
+                entries.push({ path, content: data });
+            } else if (method === 8) {
+                entries.push({ path, content: await inflateRaw(data) });
+            } else {
+                throw new Error(`Unsupported compression method ${method} for '${path}'.`);
+            }
+        }
+        return entries;
+    }
+
+    return { readZipEntries };
+});
+// --- END OF FILE lib/zip-reader.js ---
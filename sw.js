@@ -0,0 +1,105 @@
+// --- START OF FILE sw.js ---
+// Service worker for offline use. The app shell is cached on install and refreshed in the
+// background. Policy data files picked under "Offline…" are stored in their own cache by the
+// page (see the Offline Data section in app.js) and served from there; other data files
+// always come from the network.
+
+const SHELL_CACHE = 'admx-viewer-shell-v11';
+const DATA_CACHE = 'admx-viewer-data';
+// Bump SHELL_CACHE when this list changes
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'app.webmanifest',
+    'css/utilities.css',
+    'icons/icon.svg',
+    'lib/admx-parser.js',
+    'lib/baseline.js',
+    'lib/data-validator.js',
+    'lib/i18n.js',
+    'lib/oma-uri.js',
+    'lib/policy-data.js',
+    'lib/policy-diff.js',
+    'lib/policy-facets.js',
+    'lib/policy-references.js',
+    'lib/registry-collisions.js',
+    'lib/registry-export.js',
+    'lib/registry-lookup.js',
+    'lib/registry-pol.js',
+    'lib/rich-text.js',
+    'lib/search-index.js',
+    'lib/search-query.js',
+    'lib/search-worker.js',
+    'lib/supported-on.js',
+    'lib/zip-reader.js',
+    'locales/de-DE.json',
+    'locales/en-US.json',
+    'manifest.json',
+];
+// Asked for on every start so new sets and languages show up while online
+const NETWORK_FIRST = ['manifest.json', 'locales/'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE && key !== DATA_CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+function getScopePath(url) {
+    return url.pathname.slice(new URL(self.registration.scope).pathname.length);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Cached copy right away, refreshed for the next start
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function dataCacheFirst(request) {
+    const cached = await caches.open(DATA_CACHE).then(cache => cache.match(request));
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    const path = getScopePath(url);
+    if (NETWORK_FIRST.some(prefix => path.startsWith(prefix))) {
+        event.respondWith(networkFirst(request));
+    } else if (/\.json$/i.test(path)) {
+        // Policy data files; the page asks with cache: 'no-store' when it refreshes its offline copies
+        if (request.cache !== 'no-store') event.respondWith(dataCacheFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+// --- END OF FILE sw.js ---
@@ -0,0 +1,136 @@
+// --- START OF FILE test/admx-query.test.js ---
+// tools/admx-query.js run as a command against the bundled Microsoft Edge data files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'tools', 'admx-query.js');
+const HOMEPAGE = 'Microsoft.Policies.Edge::HomepageLocation';
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args, '--set', 'edge'], { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('search prints a table with the best match first', () => {
+    const { status, stdout } = run('search', 'HomepageLocation', '--limit', '2');
+    assert.equal(status, 0);
+    const lines = stdout.trim().split('\n');
+    assert.match(lines[0], /^Scope\s+Display name\s+Registry\s+Id$/);
+    assert.equal(lines.length, 4);
+    assert.match(lines[2], /^Machine\s+Configure the home page URL\s+HKEY_LOCAL_MACHINE\\Software\\Policies\\Microsoft\\Edge\\HomepageLocation\s+Microsoft\.Policies\.Edge::HomepageLocation$/);
+    assert.match(lines[3], /^User\s+.*HKEY_CURRENT_USER\\/);
+});
+
+test('search --json gives descriptions with scores', () => {
+    const { status, stdout } = run('search', 'proxy', '--json', '--context', 'User', '--limit', '0');
+    assert.equal(status, 0);
+    const results = JSON.parse(stdout);
+    assert.ok(results.length > 0);
+    assert.ok(results.every(result => result.paths.length === 1 && result.paths[0].context === 'User' && typeof result.score === 'number'));
+});
+
+test('search without hits says so', () => {
+    const { status, stdout } = run('search', 'zzzzqqqq');
+    assert.equal(status, 0);
+    assert.equal(stdout.trim(), 'No policies found.');
+});
+
+test('search treats drive letters and other prefixes as text', () => {
+    const { status, stdout } = run('search', 'C:\\Windows', '--json', '--limit', '0');
+    assert.equal(status, 0);
+    assert.ok(JSON.parse(stdout).some(result => result.id === 'Microsoft.Policies.Edge::DownloadDirectory'));
+    const hive = run('search', 'HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge\\HomepageLocation', '--json', '--limit', '0');
+    assert.equal(hive.status, 0);
+    assert.equal(JSON.parse(hive.stdout)[0].id, HOMEPAGE);
+    const regedit = JSON.parse(run('search', 'Computer\\HKEY_LOCAL_MACHINE\\Software\\Policies\\Microsoft\\Edge', '--json', '--limit', '200').stdout);
+    assert.ok(regedit.length === 200 && regedit.every(result => result.registry.some(value => /^Software\\Policies\\Microsoft\\Edge/i.test(value.key))));
+    assert.match(run('search', 'keys:Edge').stderr, /^Error: Unknown field 'keys:'/m);
+});
+
+test('get accepts ids and names', () => {
+    const byId = run('get', HOMEPAGE, '--json');
+    const byName = run('get', 'homepagelocation', '--json');
+    assert.equal(byId.status, 0);
+    assert.deepEqual(JSON.parse(byName.stdout), JSON.parse(byId.stdout));
+    const [description] = JSON.parse(byId.stdout);
+    assert.equal(description.id, HOMEPAGE);
+    assert.equal(description.supportedOn, 'Microsoft Edge version 77, Windows 7 or later');
+    assert.deepEqual(description.registry.map(value => `${value.hive}\\${value.key}\\${value.valueName}`), [
+        'HKEY_LOCAL_MACHINE\\Software\\Policies\\Microsoft\\Edge\\HomepageLocation',
+        'HKEY_CURRENT_USER\\Software\\Policies\\Microsoft\\Edge\\HomepageLocation',
+    ]);
+});
+
+test('get prints the details as text', () => {
+    const { status, stdout } = run('get', 'HomepageLocation', '--context', 'Machine');
+    assert.equal(status, 0);
+    assert.match(stdout, /^Id:\s+Microsoft\.Policies\.Edge::HomepageLocation$/m);
+    assert.match(stdout, /^Path:\s+Administrative Templates: Computer > Microsoft Edge > Startup, home page and new tab page$/m);
+    assert.match(stdout, /^Registry:\s+HKEY_LOCAL_MACHINE\\Software\\Policies\\Microsoft\\Edge\\HomepageLocation \(REG_SZ\)$/m);
+    assert.doesNotMatch(stdout, /HKEY_CURRENT_USER/);
+});
+
+test('path follows the data language', () => {
+    const { status, stdout } = run('path', 'HomepageLocation', '--lang', 'de-DE');
+    assert.equal(status, 0);
+    assert.deepEqual(stdout.trim().split('\n'), [
+        'Administrative Vorlagen: Computer > Microsoft Edge > Start, Startseite und neue Tabseite',
+        'Administrative Vorlagen: Benutzer > Microsoft Edge > Start, Startseite und neue Tabseite',
+    ]);
+});
+
+test('registry lists list keys', () => {
+    const { status, stdout } = run('registry', 'ExtensionInstallForcelist', '--context', 'User');
+    assert.equal(status, 0);
+    assert.match(stdout, /^HKEY_CURRENT_USER\s+Software\\Policies\\Microsoft\\Edge\\ExtensionInstallForcelist\s+\(list\)\s+REG_SZ\s+ExtensionInstallForcelistDesc/m);
+});
+
+test('--format reg writes a .reg file per hive section', () => {
+    const { status, stdout } = run('get', 'HomepageIsNewTabPage', '--format', 'reg', '--state', 'Disabled');
+    assert.equal(status, 0);
+    assert.deepEqual(stdout.split('\r\n'), [
+        'Windows Registry Editor Version 5.00',
+        '',
+        '[HKEY_LOCAL_MACHINE\\Software\\Policies\\Microsoft\\Edge]',
+        '"HomepageIsNewTabPage"=dword:00000000',
+        '',
+        '[HKEY_CURRENT_USER\\Software\\Policies\\Microsoft\\Edge]',
+        '"HomepageIsNewTabPage"=dword:00000000',
+        '',
+    ]);
+});
+
+test('--format reg reports values it cannot write', () => {
+    const { status, stderr } = run('get', 'Pol_UpdateCheckSuppressedPeriod', '--format', 'reg');
+    assert.equal(status, 0);
+    assert.match(stderr, /^WARNING: Microsoft\.Policies\.Update::Pol_UpdateCheckSuppressedPeriod: 'UpdatesSuppressedStartHour' is required\.$/m);
+});
+
+test('collisions lists twins only with --twins', () => {
+    assert.equal(run('collisions').stdout.trim(), 'No registry location is written by more than one policy.');
+    const { status, stdout } = run('collisions', '--twins', '--context', 'User', '--json');
+    assert.equal(status, 0);
+    const rows = JSON.parse(stdout);
+    const homepage = rows.find(row => row.location.valueName === 'HomepageLocation');
+    assert.deepEqual(homepage, {
+        kind: 'twin',
+        reasons: [],
+        location: { key: 'Software\\Policies\\Microsoft\\Edge', valueName: 'HomepageLocation', list: false },
+        contexts: ['User'],
+        policies: [HOMEPAGE, `${HOMEPAGE}_recommended`],
+    });
+});
+
+test('errors exit with 1', () => {
+    assert.match(run('get', 'NoSuchPolicy').stderr, /^Error: Unknown policy 'NoSuchPolicy'\.$/m);
+    assert.equal(run('get', 'NoSuchPolicy').status, 1);
+    assert.equal(run('search', 'proxy (').status, 1);
+    assert.equal(run('get', 'Pol_UpdateCheckSuppressedPeriod', '--context', 'User').status, 1);
+    assert.equal(run('frobnicate', 'x').status, 1);
+    assert.equal(run('search', 'proxy', '--format', 'xml').status, 1);
+    assert.equal(run('collisions', '--format', 'reg').status, 1);
+});
+// --- END OF FILE test/admx-query.test.js ---
@@ -0,0 +1,42 @@
+// --- START OF FILE test/oma-uri.test.js ---
+// lib/oma-uri.js: Intune payloads for the bundled Microsoft Edge data file and hand-made elements.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const OmaUri = require('../lib/oma-uri.js');
+
+const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'edge_policies_en_US.json'), 'utf8').replace(/^\uFEFF/, ''));
+const policiesById = new Map(data.allPolicies.map(policy => [policy.id, policy]));
+
+function payloadLines(policy, values) {
+    return OmaUri.buildPayload(policy, 'Enabled', values).split('\n');
+}
+
+function policyWith(element) {
+    return { id: 'Contoso::Test', name: 'Test', class: 'Machine', registry: { key: 'Software\\Policies\\Contoso', elements: [element] } };
+}
+
+test('enums with the values 1 and 0 keep their option values', () => {
+    const policy = policiesById.get('Microsoft.Policies.Update::Pol_DefaultAllowInstallation');
+    assert.deepEqual(payloadLines(policy, { Part_InstallPolicy: 0 }), ['<enabled/>', '<data id="Part_InstallPolicy" value="0"/>']);
+});
+
+test('boolean elements take true or false', () => {
+    const options = [{ value: 1, display: 'True' }, { value: 0, display: 'False' }];
+    const policy = policyWith({ id: 'Flag', elementType: 'boolean', valueName: 'Flag', type: 'REG_DWORD', options });
+    assert.equal(payloadLines(policy, { Flag: 0 })[1], '<data id="Flag" value="false"/>');
+    assert.equal(payloadLines(policy, { Flag: true })[1], '<data id="Flag" value="true"/>');
+});
+
+test('lists are value name / data pairs', () => {
+    const policy = policiesById.get('Microsoft.Policies.Edge::RestoreOnStartupURLs');
+    assert.equal(payloadLines(policy, { RestoreOnStartupURLsDesc: ['https://contoso.com', 'https://a.com/?x&y'] })[1],
+        '<data id="RestoreOnStartupURLsDesc" value="1&#xF000;https://contoso.com&#xF000;2&#xF000;https://a.com/?x&amp;y"/>');
+    const prefixed = policyWith({ id: 'Sites', elementType: 'list', valueName: null, key: 'Software\\Policies\\Contoso\\Sites', valuePrefix: 'Site', type: 'REG_SZ' });
+    assert.equal(payloadLines(prefixed, { Sites: ['a', 'b'] })[1], '<data id="Sites" value="Site1&#xF000;a&#xF000;Site2&#xF000;b"/>');
+    const explicit = policyWith({ id: 'Map', elementType: 'list', valueName: null, key: 'Software\\Policies\\Contoso\\Map', explicitValue: true, type: 'REG_SZ' });
+    assert.equal(payloadLines(explicit, { Map: [{ name: 'x', value: '1' }] })[1], '<data id="Map" value="x&#xF000;1"/>');
+});
+// --- END OF FILE test/oma-uri.test.js ---
@@ -0,0 +1,122 @@
+// --- START OF FILE test/policy-data.test.js ---
+// lib/policy-data.js against the bundled Microsoft Edge data files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PolicyData = require('../lib/policy-data.js');
+
+function loadModel(fileName) {
+    const text = fs.readFileSync(path.join(__dirname, '..', fileName), 'utf8').replace(/^\uFEFF/, '');
+    return PolicyData.indexData(JSON.parse(text));
+}
+
+const english = loadModel('edge_policies_en_US.json');
+const german = loadModel('edge_policies_de_DE.json');
+const HOMEPAGE = 'Microsoft.Policies.Edge::HomepageLocation';
+const FORCELIST = 'Microsoft.Policies.Edge::ExtensionInstallForcelist';
+const SUPPRESSED_PERIOD = 'Microsoft.Policies.Update::Pol_UpdateCheckSuppressedPeriod';
+
+test('indexes every category and policy by id', () => {
+    assert.ok(english.categoriesById.has(PolicyData.ROOT_ID));
+    assert.ok(english.policiesById.size > 0);
+    assert.equal(english.policiesById.get(HOMEPAGE).displayName, 'Configure the home page URL');
+    assert.equal(german.policiesById.size, english.policiesById.size);
+});
+
+test('indexData without lists gives empty maps', () => {
+    const model = PolicyData.indexData(null);
+    assert.equal(model.categoriesById.size, 0);
+    assert.equal(model.policiesById.size, 0);
+});
+
+test('search text holds the display name, description and registry names in lower case', () => {
+    const searchText = english.policiesById.get(HOMEPAGE).searchText;
+    assert.ok(searchText.startsWith('configure the home page url '));
+    assert.ok(searchText.includes('software\\policies\\microsoft\\edge homepagelocation'));
+});
+
+test('breadcrumbs start at the tree half in the data language', () => {
+    assert.equal(PolicyData.getPolicyDisplayPath(english, HOMEPAGE, 'Machine', 'en-US'),
+        'Administrative Templates: Computer > Microsoft Edge > Startup, home page and new tab page');
+    assert.equal(PolicyData.getPolicyDisplayPath(english, HOMEPAGE, 'User', 'en-US'),
+        'Administrative Templates: User > Microsoft Edge > Startup, home page and new tab page');
+    assert.equal(PolicyData.getPolicyDisplayPath(german, HOMEPAGE, 'User', 'de-DE'),
+        'Administrative Vorlagen: Benutzer > Microsoft Edge > Start, Startseite und neue Tabseite');
+    assert.equal(PolicyData.getPolicyDisplayPath(english, 'Unknown::Policy', 'Machine', 'en-US'), '');
+    assert.equal(PolicyData.getVirtualRootName('Machine', 'fr-FR'), 'Administrative Templates: Computer');
+});
+
+test('category paths leave out the tree half', () => {
+    const policy = english.policiesById.get(SUPPRESSED_PERIOD);
+    assert.equal(PolicyData.buildCategoryPathText(english.categoriesById, policy.categoryId), 'Microsoft Edge Update > Preferences');
+});
+
+test('Machine-only categories are not shown under User', () => {
+    const cache = new Map();
+    const edgeUpdate = 'Microsoft.Policies.Update::Cat_EdgeUpdate';
+    assert.equal(PolicyData.categoryContainsClass(english, edgeUpdate, 'Machine', cache), true);
+    assert.equal(PolicyData.categoryContainsClass(english, edgeUpdate, 'User', cache), false);
+    assert.equal(cache.get(`${edgeUpdate}:User`), false);
+    assert.equal(PolicyData.categoryContainsClass(english, 'Microsoft.Policies.Edge::microsoft_edge', 'User'), true);
+    assert.equal(PolicyData.categoryContainsClass(english, PolicyData.ROOT_ID, 'Machine'), false);
+});
+
+test('Both policies are listed in both tree halves', () => {
+    assert.deepEqual(PolicyData.getPolicyContexts(english.policiesById.get(HOMEPAGE)), ['Machine', 'User']);
+    assert.deepEqual(PolicyData.getPolicyContexts(english.policiesById.get(SUPPRESSED_PERIOD)), ['Machine']);
+});
+
+test('registry values cover the main value, element values and list keys', () => {
+    assert.deepEqual(PolicyData.getRegistryValues(english.policiesById.get(HOMEPAGE)), [
+        { elementId: 'HomepageLocation', key: 'Software\\Policies\\Microsoft\\Edge', valueName: 'HomepageLocation', type: 'REG_SZ', list: false },
+    ]);
+    assert.deepEqual(PolicyData.getRegistryValues(english.policiesById.get(FORCELIST)), [
+        { elementId: 'ExtensionInstallForcelistDesc', key: 'Software\\Policies\\Microsoft\\Edge\\ExtensionInstallForcelist', valueName: null, type: 'REG_SZ', list: true },
+    ]);
+    assert.deepEqual(PolicyData.getRegistryValues(english.policiesById.get(SUPPRESSED_PERIOD)).map(value => value.valueName),
+        ['UpdatesSuppressedStartHour', 'UpdatesSuppressedStartMin', 'UpdatesSuppressedDurationMin']);
+    const toggle = PolicyData.getRegistryValues(english.policiesById.get('Microsoft.Policies.Edge::HomepageIsNewTabPage'));
+    assert.deepEqual(toggle.map(value => [value.elementId, value.type]), [[null, 'REG_DWORD']]);
+});
+
+test('describePolicy gives paths and hives per tree half', () => {
+    const description = PolicyData.describePolicy(english, english.policiesById.get(HOMEPAGE), null, 'en-US');
+    assert.equal(description.class, 'Both');
+    assert.deepEqual(description.paths.map(entry => entry.context), ['Machine', 'User']);
+    assert.deepEqual(description.registry.map(value => value.hive), ['HKEY_LOCAL_MACHINE', 'HKEY_CURRENT_USER']);
+    const userOnly = PolicyData.describePolicy(english, english.policiesById.get(HOMEPAGE), ['User'], 'en-US');
+    assert.deepEqual(userOnly.registry.map(value => value.hive), ['HKEY_CURRENT_USER']);
+});
+
+test('an exact registry value name is the top search result, once per tree half', () => {
+    const results = PolicyData.searchPolicies(english, 'HomepageLocation');
+    assert.deepEqual(results.slice(0, 2).map(result => [result.policyId, result.contextHint]), [[HOMEPAGE, 'Machine'], [HOMEPAGE, 'User']]);
+});
+
+test('search understands field qualifiers and negation', () => {
+    const index = PolicyData.buildSearchIndex(english);
+    const machineOnly = PolicyData.searchPolicies(english, 'class:Machine', index);
+    assert.ok(machineOnly.length > 0);
+    assert.ok(machineOnly.every(result => result.contextHint === 'Machine'));
+    const forcelist = PolicyData.searchPolicies(english, 'ExtensionInstallForcelist -class:User', index);
+    assert.deepEqual([forcelist[0].policyId, forcelist[0].contextHint], [FORCELIST, 'Machine']);
+    assert.ok(forcelist.every(result => result.contextHint === 'Machine'));
+    const edgeUpdateProxy = PolicyData.searchPolicies(english, 'key:Microsoft\\EdgeUpdate proxy', index);
+    assert.ok(edgeUpdateProxy.length > 0);
+    assert.ok(edgeUpdateProxy.every(result => result.policyId.startsWith('Microsoft.Policies.Update::')));
+    assert.ok(PolicyData.searchPolicies(english, 'proxy -deprecated', index)
+        .every(result => !english.policiesById.get(result.policyId).searchText.includes('deprecated')));
+    assert.deepEqual(PolicyData.searchPolicies(english, 'zzzzqqqq', index), []);
+});
+
+test('search matches German text in German data', () => {
+    const results = PolicyData.searchPolicies(german, 'Startseite');
+    assert.ok(results.some(result => result.policyId === HOMEPAGE));
+});
+
+test('malformed queries throw a SearchQueryError', () => {
+    assert.throws(() => PolicyData.searchPolicies(english, 'proxy ('), { name: 'SearchQueryError' });
+});
+// --- END OF FILE test/policy-data.test.js ---
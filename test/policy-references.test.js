@@ -0,0 +1,63 @@
+// --- START OF FILE test/policy-references.test.js ---
+// lib/policy-references.js against the bundled Microsoft Edge data file.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PolicyReferences = require('../lib/policy-references.js');
+
+const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'edge_policies_en_US.json'), 'utf8').replace(/^\uFEFF/, ''));
+const policiesById = new Map(data.allPolicies.map(policy => [policy.id, policy]));
+const nameIndex = PolicyReferences.buildNameIndex(data.allPolicies);
+
+function links(policyId) {
+    const policy = policiesById.get(policyId);
+    return PolicyReferences.parseDescription(policy.explainText, nameIndex, policy)
+        .filter(segment => segment.type !== 'text')
+        .map(segment => (segment.type === 'policy' ? `${segment.text} -> ${segment.policy.id}` : `${segment.text} -> ${segment.href}`));
+}
+
+test('policy names in a description link to those policies', () => {
+    assert.deepEqual(links('Microsoft.Policies.Edge::HttpAllowlist'), [
+        'AutomaticHttpsDefault -> Microsoft.Policies.Edge::AutomaticHttpsDefault',
+        'HttpsUpgradesEnabled -> Microsoft.Policies.Edge::HttpsUpgradesEnabled',
+    ]);
+});
+
+test('a description does not link to its own policy', () => {
+    assert.ok(links('Microsoft.Policies.Edge::HomepageLocation').every(link => !link.startsWith('HomepageLocation ')));
+});
+
+test('names resolve within the same ADMX file first', () => {
+    const fromWebView = { id: 'Test::WebView', admxFile: 'msedgewebview2.admx' };
+    assert.equal(PolicyReferences.resolveName(nameIndex, 'HttpAllowlist', fromWebView).id, 'Microsoft.Policies.WebView2::HttpAllowlist');
+    const fromEdge = { id: 'Test::Edge', admxFile: 'msedge.admx' };
+    assert.equal(PolicyReferences.resolveName(nameIndex, 'HttpAllowlist', fromEdge).id, 'Microsoft.Policies.Edge::HttpAllowlist');
+    assert.equal(PolicyReferences.resolveName(nameIndex, 'HttpAllowlist', policiesById.get('Microsoft.Policies.Edge::HttpAllowlist')), null);
+});
+
+test('ordinary words are not names', () => {
+    assert.equal(PolicyReferences.isNameLike('Enabled'), false);
+    assert.equal(PolicyReferences.isNameLike('ProxyMode'), true);
+    assert.equal(PolicyReferences.isNameLike('Pol_ProxyMode'), true);
+    assert.deepEqual(PolicyReferences.parseDescription('Enabled Windows policies', nameIndex), [{ type: 'text', text: 'Enabled Windows policies' }]);
+});
+
+test('web addresses lose closing punctuation and address patterns stay text', () => {
+    const segments = PolicyReferences.parseDescription('See (https://go.microsoft.com/fwlink/?linkid=2095039). Not https://[*.]contoso.edu/ though.', nameIndex);
+    assert.deepEqual(segments, [
+        { type: 'text', text: 'See (' },
+        { type: 'url', text: 'https://go.microsoft.com/fwlink/?linkid=2095039', href: 'https://go.microsoft.com/fwlink/?linkid=2095039' },
+        { type: 'text', text: '). Not https://[*.]contoso.edu/ though.' },
+    ]);
+});
+
+test('referenced-by lists every policy naming a policy', () => {
+    const referencedBy = PolicyReferences.buildReferencedBy(data.allPolicies, nameIndex);
+    assert.deepEqual((referencedBy.get('Microsoft.Policies.Edge::AutomaticHttpsDefault') || []).map(policy => policy.id), [
+        'Microsoft.Policies.Edge::HttpAllowlist',
+        'Microsoft.Policies.WebView2::HttpAllowlist',
+    ]);
+});
+// --- END OF FILE test/policy-references.test.js ---
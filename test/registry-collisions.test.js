@@ -0,0 +1,115 @@
+// --- START OF FILE test/registry-collisions.test.js ---
+// lib/registry-collisions.js against small hand-made policies and the bundled Microsoft Edge data file.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RegistryCollisions = require('../lib/registry-collisions.js');
+
+const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'edge_policies_en_US.json'), 'utf8').replace(/^\uFEFF/, ''));
+
+const KEY = 'Software\\Policies\\Contoso';
+
+function policy(name, registry, policyClass = 'Both') {
+    return { id: `Contoso::${name}`, name, class: policyClass, displayName: name, registry: { key: KEY, ...registry } };
+}
+
+function dword(id, valueName, options = null) {
+    return { id, valueName, type: 'REG_DWORD', options };
+}
+
+function summary(entries) {
+    return entries.map(entry => `${entry.kind} ${entry.policy.name}${entry.reasons.length > 0 ? ` (${entry.reasons.join(', ')})` : ''}`);
+}
+
+test('policies writing one value collide, conflicting when types or options differ', () => {
+    const policies = [
+        policy('Plain', { valueName: 'Mode', type: 'REG_DWORD' }),
+        policy('PlainAgain', { valueName: 'mode', type: 'REG_DWORD' }),
+        policy('AsString', { valueName: 'Mode', type: 'REG_SZ' }),
+        policy('Elsewhere', { valueName: 'Other', type: 'REG_DWORD' }),
+    ];
+    const index = RegistryCollisions.buildCollisionIndex(policies);
+    assert.deepEqual(summary(index.get('Contoso::Plain')), ['conflict AsString (type)', 'sameValue PlainAgain']);
+    assert.deepEqual(summary(index.get('Contoso::AsString')), ['conflict Plain (type)', 'conflict PlainAgain (type)']);
+    assert.equal(index.has('Contoso::Elsewhere'), false);
+});
+
+test('options are compared as sets', () => {
+    const options = values => values.map(value => ({ value, display: String(value) }));
+    const policies = [
+        policy('First', { elements: [dword('Mode', 'Mode', options([1, 2]))] }),
+        policy('Reordered', { elements: [dword('Mode', 'Mode', options([2, 1]))] }),
+        policy('Other', { elements: [dword('Mode', 'Mode', options([1, 3]))] }),
+    ];
+    assert.deepEqual(summary(RegistryCollisions.buildCollisionIndex(policies).get('Contoso::First')), ['conflict Other (options)', 'sameValue Reordered']);
+});
+
+test('a value inside a list element key conflicts with the list', () => {
+    const policies = [
+        policy('Sites', { elements: [{ id: 'SitesList', valueName: null, key: `${KEY}\\Sites`, type: 'REG_SZ' }] }),
+        policy('SitesFlag', { key: `${KEY}\\Sites`, valueName: 'Enabled', type: 'REG_DWORD' }),
+    ];
+    const [entry] = RegistryCollisions.buildCollisionIndex(policies).get('Contoso::SitesFlag');
+    assert.deepEqual(summary([entry]), ['conflict Sites (listKey)']);
+    assert.equal(entry.locations[0].list, true);
+});
+
+test('values and lists below a list element key conflict with the list, siblings do not', () => {
+    const policies = [
+        policy('Sites', { elements: [{ id: 'SitesList', valueName: null, key: `${KEY}\\Sites`, type: 'REG_SZ' }] }),
+        policy('SiteOptions', { key: `${KEY}\\Sites\\Options`, valueName: 'Mode', type: 'REG_DWORD' }),
+        policy('NestedList', { elements: [{ id: 'NestedList', valueName: null, key: `${KEY}\\Sites\\Blocked`, type: 'REG_SZ' }] }),
+        policy('Sibling', { key: `${KEY}\\SitesOther`, valueName: 'Mode', type: 'REG_DWORD' }),
+        policy('Parent', { valueName: 'Mode', type: 'REG_DWORD' }),
+    ];
+    const index = RegistryCollisions.buildCollisionIndex(policies);
+    assert.deepEqual(summary(index.get('Contoso::Sites')), ['conflict NestedList (subkey)', 'conflict SiteOptions (subkey)']);
+    assert.equal(index.has('Contoso::Sibling'), false);
+    assert.equal(index.has('Contoso::Parent'), false);
+    const [row] = RegistryCollisions.buildCollisionReport(policies);
+    assert.deepEqual([row.kind, row.reasons, row.location.key, row.policies.length], ['conflict', ['subkey'], `${KEY}\\Sites`, 3]);
+});
+
+test('policies that never share a tree half do not collide', () => {
+    const policies = [
+        policy('MachineOnly', { valueName: 'Mode', type: 'REG_DWORD' }, 'Machine'),
+        policy('UserOnly', { valueName: 'Mode', type: 'REG_SZ' }, 'User'),
+        policy('Both', { valueName: 'Mode', type: 'REG_SZ' }),
+    ];
+    const index = RegistryCollisions.buildCollisionIndex(policies);
+    assert.deepEqual(summary(index.get('Contoso::MachineOnly')), ['conflict Both (type)']);
+    assert.deepEqual(index.get('Contoso::MachineOnly')[0].contexts, ['Machine']);
+});
+
+test('Edge policies and their recommended twins', () => {
+    const index = RegistryCollisions.buildCollisionIndex(data.allPolicies);
+    const [twin] = index.get('Microsoft.Policies.Edge::HomepageLocation');
+    assert.equal(twin.kind, 'twin');
+    assert.equal(twin.policy.id, 'Microsoft.Policies.Edge::HomepageLocation_recommended');
+    assert.deepEqual(twin.locations.map(location => `${location.key}\\${location.valueName}`), ['Software\\Policies\\Microsoft\\Edge\\Recommended\\HomepageLocation']);
+    assert.equal(index.get('Microsoft.Policies.Edge::RestoreOnStartupURLs')[0].locations[0].list, true);
+});
+
+test('the report leaves out twins unless asked', () => {
+    assert.deepEqual(RegistryCollisions.buildCollisionReport(data.allPolicies), []);
+    const rows = RegistryCollisions.buildCollisionReport(data.allPolicies, true);
+    assert.equal(rows.length, 106);
+    assert.ok(rows.every(row => row.kind === 'twin' && row.policies.length === 2 && !/\\Recommended/.test(row.location.key)));
+});
+
+test('the report puts conflicts first, one row per location', () => {
+    const rows = RegistryCollisions.buildCollisionReport([
+        policy('A', { valueName: 'Alpha', type: 'REG_DWORD' }),
+        policy('B', { valueName: 'Alpha', type: 'REG_DWORD' }),
+        policy('C', { valueName: 'Zulu', type: 'REG_DWORD' }),
+        policy('D', { valueName: 'Zulu', type: 'REG_DWORD' }),
+        policy('E', { valueName: 'Zulu', type: 'REG_SZ' }),
+    ]);
+    assert.deepEqual(rows.map(row => [row.kind, row.location.valueName, row.policies.map(item => item.name).join('')]), [
+        ['conflict', 'Zulu', 'CDE'],
+        ['sameValue', 'Alpha', 'AB'],
+    ]);
+});
+// --- END OF FILE test/registry-collisions.test.js ---
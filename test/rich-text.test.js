@@ -0,0 +1,77 @@
+// --- START OF FILE test/rich-text.test.js ---
+// lib/rich-text.js: escaping in html`` and the blocks of policy descriptions.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RichText = require('../lib/rich-text.js');
+
+const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'edge_policies_en_US.json'), 'utf8').replace(/^\uFEFF/, ''));
+const policiesById = new Map(data.allPolicies.map(policy => [policy.id, policy]));
+
+function blocks(policyId) {
+    return RichText.parseBlocks(policiesById.get(policyId).explainText);
+}
+
+test('html`` escapes interpolated values', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    assert.equal(String(RichText.html`<span title="${name}">${name}</span>`),
+        '<span title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</span>');
+    assert.equal(RichText.escapeHtml(`Tom & Jerry's`), 'Tom &amp; Jerry&#39;s');
+});
+
+test('html`` keeps its own markup, raw() markup and lists', () => {
+    const item = RichText.html`<li>${'a<b'}</li>`;
+    assert.equal(String(RichText.html`<ul>${[item, item]}</ul>`), '<ul><li>a&lt;b</li><li>a&lt;b</li></ul>');
+    assert.equal(String(RichText.html`${RichText.raw('<mark>x</mark>')}${null}${undefined}${false}${0}`), '<mark>x</mark>0');
+});
+
+test('descriptions split into paragraphs at blank lines', () => {
+    const result = RichText.parseBlocks('First line\nsecond line\n\n\nNext paragraph');
+    assert.deepEqual(result, [
+        { type: 'paragraph', text: 'First line\nsecond line' },
+        { type: 'paragraph', text: 'Next paragraph' },
+    ]);
+});
+
+test('bullets separated by blank lines form one list', () => {
+    const list = blocks('Microsoft.Policies.Edge::ConfigureFriendlyURLFormat_recommended').filter(block => block.type === 'list');
+    assert.equal(list.length, 2);
+    assert.equal(list[0].ordered, false);
+    assert.deepEqual(list[0].items.map(item => item.split(' = ')[0]), ['Not configured', '1', '3', '4']);
+});
+
+test('a list after a lead-in line keeps item continuation lines', () => {
+    const result = blocks('Microsoft.Policies.Edge::WebAppInstallForceList');
+    const index = result.findIndex(block => block.type === 'list');
+    assert.deepEqual(result[index - 1], { type: 'paragraph', text: 'and 6 optional members:' });
+    assert.equal(result[index].items[0], 'default_launch_container\n(for how the web app opens—a new tab is the default)');
+    assert.equal(result[index].items.length, 6);
+});
+
+test('numbered items form an ordered list', () => {
+    const list = blocks('Microsoft.Policies.Edge::SerialAskForUrls').find(block => block.type === 'list');
+    assert.equal(list.ordered, true);
+    assert.equal(list.items[2], "User's settings.");
+});
+
+test('example values are code, JSON examples indented', () => {
+    const plain = blocks('Microsoft.Policies.Edge::HttpAllowlist').slice(-2);
+    assert.deepEqual(plain, [
+        { type: 'paragraph', text: 'Example value:' },
+        { type: 'code', text: 'testserver.example.com\n[*.]example.org', json: false },
+    ]);
+    const json = blocks('Microsoft.Policies.Edge::AutoSelectCertificateForUrls').pop();
+    assert.equal(json.json, true);
+    assert.ok(json.text.startsWith('{\n  "pattern": "https://www.contoso.com",\n  "filter": {\n'));
+});
+
+test('compact example values stay on one line', () => {
+    const result = blocks('Microsoft.Policies.Edge::ProxySettings').slice(-4);
+    assert.deepEqual(result.map(block => block.type), ['paragraph', 'code', 'paragraph', 'code']);
+    assert.equal(result[2].text, 'Compact example value:');
+    assert.ok(result[1].text.includes('\n') && !result[3].text.includes('\n'));
+    assert.equal(result[3].json, true);
+});
+// --- END OF FILE test/rich-text.test.js ---
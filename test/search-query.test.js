@@ -0,0 +1,39 @@
+// --- START OF FILE test/search-query.test.js ---
+// lib/search-query.js: tokenizing and parsing global search queries.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchQuery = require('../lib/search-query.js');
+
+function term(value, field = null) {
+    return { type: 'term', field, value, phrase: false };
+}
+
+test('field qualifiers, negation and OR', () => {
+    assert.deepEqual(SearchQuery.parse('class:User -proxy OR key:Edge'), {
+        type: 'or',
+        items: [
+            { type: 'and', items: [term('user', 'class'), { type: 'not', item: term('proxy') }] },
+            term('edge', 'key'),
+        ],
+    });
+});
+
+test('drive letters, hives and URLs are plain text', () => {
+    assert.deepEqual(SearchQuery.parse('C:\\Windows\\Temp'), term('c:\\windows\\temp'));
+    assert.deepEqual(SearchQuery.parse('HKLM:\\SOFTWARE\\Policies'), term('hklm:\\software\\policies'));
+    assert.deepEqual(SearchQuery.parse('https://contoso.com'), term('https://contoso.com'));
+});
+
+test('a field name ending a word is text', () => {
+    assert.deepEqual(SearchQuery.parse('Example value:'), { type: 'and', items: [term('example'), term('value:')] });
+});
+
+test('misspelled fields and malformed queries are errors', () => {
+    assert.throws(() => SearchQuery.parse('keys:Edge'), { name: 'SearchQueryError', message: /^Unknown field 'keys:'/ });
+    assert.throws(() => SearchQuery.parse('categroy:Startup'), { name: 'SearchQueryError' });
+    assert.throws(() => SearchQuery.parse('key:)'), { message: "Missing value after 'key:'." });
+    assert.throws(() => SearchQuery.parse('"proxy'), { message: 'Unterminated quoted phrase.' });
+    assert.throws(() => SearchQuery.parse('(proxy'), { message: "Missing closing ')'." });
+});
+// --- END OF FILE test/search-query.test.js ---
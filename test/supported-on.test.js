@@ -0,0 +1,45 @@
+// --- START OF FILE test/supported-on.test.js ---
+// lib/supported-on.js against the supportedOn texts of the bundled Microsoft Edge data files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SupportedOn = require('../lib/supported-on.js');
+
+function readSupportedOnTexts(fileName) {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', fileName), 'utf8').replace(/^\uFEFF/, ''));
+    return Array.from(new Set(data.allPolicies.map(policy => policy.supportedOn)));
+}
+
+for (const fileName of ['edge_policies_en_US.json', 'edge_policies_de_DE.json']) {
+    test(`every supportedOn text in ${fileName} is parsed`, () => {
+        const unparsed = readSupportedOnTexts(fileName).filter(text => {
+            const support = SupportedOn.parseSupportedOn(text);
+            return support.status === 'unparsed' || support.unrecognized.length > 0;
+        });
+        assert.deepEqual(unparsed, []);
+    });
+}
+
+test('Edge Update versions in English and German', () => {
+    const expected = [{ product: 'edgeUpdate', min: '1.3.128.0', max: null }];
+    assert.deepEqual(SupportedOn.parseSupportedOn('Microsoft Edge Update 1.3.128.0 or later').requirements, expected);
+    assert.deepEqual(SupportedOn.parseSupportedOn('Microsoft Edge-Update 1.3.128.0 und höher').requirements, expected);
+});
+
+test('Edge versions and Windows releases', () => {
+    const support = SupportedOn.parseSupportedOn('Microsoft Edge version 90, Windows 10, Version 1607 or later');
+    assert.deepEqual(support.requirements.map(requirement => [requirement.product, requirement.min]), [['edge', '90'], ['windows', '10 1607']]);
+    assert.equal(SupportedOn.isAvailableIn(support, 'edge', '89'), false);
+    assert.equal(SupportedOn.isAvailableIn(support, 'edge', '120'), true);
+    assert.equal(SupportedOn.isAvailableIn(support, 'edgeUpdate', '1.3.0'), null);
+});
+
+test('obsolete policies have a maximum version', () => {
+    const support = SupportedOn.parseSupportedOn('Microsoft Edge version 77 - 86');
+    assert.equal(SupportedOn.isAvailableIn(support, 'edge', '86'), true);
+    assert.equal(SupportedOn.isAvailableIn(support, 'edge', '87'), false);
+    assert.equal(SupportedOn.parseSupportedOn('Nicht angegeben').status, 'unspecified');
+});
+// --- END OF FILE test/supported-on.test.js ---
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// --- START OF FILE tools/admx-query.js ---
+// Looks up policies in the data files with the code the viewer uses
+// (lib/policy-data.js) and prints them as a table, JSON or a .reg file.
+//
+// Usage:
+//   node tools/admx-query.js search <query> [options]       global search, same syntax as the viewer
+//   node tools/admx-query.js get <policy> [...] [options]   policies with path, support and registry values
+//   node tools/admx-query.js path <policy> [...] [options]  GPMC breadcrumbs
+//   node tools/admx-query.js registry <policy> [...] [options]
+//   node tools/admx-query.js collisions [options]          registry locations written by more than one policy
+//
+// <policy> is a policy id (Microsoft.Policies.Edge::HomepageLocation) or name (HomepageLocation).
+//
+// Options:
+//   --set <id>          policy set from the manifest (default: the manifest's default set)
+//   --lang <lang>       data language (default: the manifest's default language)
+//   --data <file.json>  read this data file instead of looking the set up in the manifest
+//   --manifest <file>   default: manifest.json next to this folder
+//   --format <format>   table (default), json or reg; --json is short for --format json
+//   --context <scope>   Machine or User: only that half of the tree (default: both)
+//   --state <state>     Enabled (default), Disabled or NotConfigured, for --format reg
+//   --limit <n>         search results to print (default: 50, 0 for all)
+//   --twins             collisions: also list mandatory/recommended twins (Edge\X and Edge\Recommended\X)
+
+const fs = require('fs');
+const path = require('path');
+const PolicyData = require('../lib/policy-data.js');
+const DataValidator = require('../lib/data-validator.js');
+const RegistryExport = require('../lib/registry-export.js');
+const RegistryCollisions = require('../lib/registry-collisions.js');
+
+const COMMANDS = ['search', 'get', 'path', 'registry', 'collisions'];
+const FORMATS = ['table', 'json', 'reg'];
+const CONTEXTS = ['Machine', 'User'];
+const DEFAULT_MANIFEST = path.join(__dirname, '..', 'manifest.json');
+const DEFAULT_LIMIT = 50;
+
+function parseArgs(argv) {
+    const args = { command: null, operands: [], set: null, lang: null, data: null, manifest: DEFAULT_MANIFEST, format: 'table', context: null, state: 'Enabled', limit: DEFAULT_LIMIT, twins: false };
+    const valueOf = (i, name) => {
+        if (i >= argv.length) throw new Error(`Missing value for ${name}.`);
+        return argv[i];
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--set': args.set = valueOf(++i, arg); break;
+            case '--lang': args.lang = valueOf(++i, arg); break;
+            case '--data': args.data = valueOf(++i, arg); break;
+            case '--manifest': args.manifest = valueOf(++i, arg); break;
+            case '--format': args.format = valueOf(++i, arg); break;
+            case '--json': args.format = 'json'; break;
+            case '--context': args.context = valueOf(++i, arg); break;
+            case '--state': args.state = valueOf(++i, arg); break;
+            case '--limit': args.limit = Number(valueOf(++i, arg)); break;
+            case '--twins': args.twins = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown argument '${arg}'.`);
+                if (args.command === null) args.command = arg;
+                else args.operands.push(arg);
+        }
+    }
+    if (!COMMANDS.includes(args.command)) throw new Error(`Expected a command: ${COMMANDS.join(', ')}.`);
+    if (args.command === 'collisions') {
+        if (args.operands.length > 0) throw new Error(`Unexpected argument '${args.operands[0]}' (collisions takes no operands).`);
+        if (args.format === 'reg') throw new Error('collisions cannot be written as a .reg file (expected table or json).');
+    } else if (args.operands.length === 0) throw new Error(args.command === 'search' ? 'Missing search query.' : 'Missing policy id.');
+    if (!FORMATS.includes(args.format)) throw new Error(`Unknown format '${args.format}' (expected ${FORMATS.join(', ')}).`);
+    if (args.context !== null && !CONTEXTS.includes(args.context)) throw new Error(`Unknown context '${args.context}' (expected Machine or User).`);
+    if (!RegistryExport.POLICY_STATES.includes(args.state)) throw new Error(`Unknown state '${args.state}' (expected ${RegistryExport.POLICY_STATES.join(', ')}).`);
+    if (!Number.isInteger(args.limit) || args.limit < 0) throw new Error('--limit expects a whole number.');
+    return args;
+}
+
+// --- Data ---
+function readJson(filePath) {
+    // Generate-AdmxJson.ps1 writes UTF-8 with a byte order mark
+    return JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+// Same choice as the viewer: the requested set and language, else the manifest's defaults
+function resolveDataFile(args) {
+    const manifest = readJson(args.manifest);
+    const sets = manifest.policySets || [];
+    const set = args.set ? sets.find(s => s.id === args.set) : (sets.find(s => s.isDefault) || sets[0]);
+    if (!set) throw new Error(args.set ? `Unknown policy set '${args.set}' (available: ${sets.map(s => s.id).join(', ')}).` : 'The manifest lists no policy sets.');
+    const languages = Object.keys(set.files || {});
+    const lang = args.lang || manifest.defaultLanguage || 'en-US';
+    if (!languages.includes(lang)) throw new Error(`Policy set '${set.id}' has no data in '${lang}' (available: ${languages.join(', ')}).`);
+    return { file: path.join(path.dirname(args.manifest), set.files[lang]), lang };
+}
+
+function loadModel(args) {
+    const { file, lang } = args.data ? { file: args.data, lang: args.lang } : resolveDataFile(args);
+    if (!fs.existsSync(file)) throw new Error(`Data file '${file}' not found.`);
+    const data = readJson(file);
+    const { errors } = DataValidator.validateData(data);
+    if (errors.length > 0) throw new Error(`${file} cannot be used: ${DataValidator.formatIssue(errors[0])} (see node tools/validate-data.js ${file}).`);
+    return { model: PolicyData.indexData(data), lang: lang || data.language || null };
+}
+
+// Ids first, then names (case-insensitive); a name shared by several policies is ambiguous
+function findPolicy(model, idOrName) {
+    if (model.policiesById.has(idOrName)) return model.policiesById.get(idOrName);
+    const lowerName = idOrName.toLowerCase();
+    const matches = Array.from(model.policiesById.values()).filter(policy => (policy.name || '').toLowerCase() === lowerName);
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) throw new Error(`'${idOrName}' is the name of several policies: ${matches.map(policy => policy.id).join(', ')}.`);
+    throw new Error(`Unknown policy '${idOrName}'.`);
+}
+
+// [{ policy, contexts, score? }]: search hits (one per tree half, as the viewer lists them), or the named policies
+function selectPolicies(model, args) {
+    if (args.command === 'search') {
+        const results = PolicyData.searchPolicies(model, args.operands.join(' '))
+            .filter(result => !args.context || result.contextHint === args.context);
+        return (args.limit > 0 ? results.slice(0, args.limit) : results)
+            .map(result => ({ policy: model.policiesById.get(result.policyId), contexts: [result.contextHint], score: result.score }));
+    }
+    return args.operands.map(idOrName => {
+        const policy = findPolicy(model, idOrName);
+        const contexts = PolicyData.getPolicyContexts(policy).filter(context => !args.context || context === args.context);
+        if (contexts.length === 0) throw new Error(`Policy '${policy.id}' has no ${args.context} setting (class ${policy.class}).`);
+        return { policy, contexts };
+    });
+}
+
+// --- Formatting ---
+function formatTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function formatRegistryValue(value) {
+    return `${value.hive}\\${value.key}${value.list ? '\\*' : `\\${value.valueName}`}`;
+}
+
+function formatDetails(description) {
+    const fields = [
+        ['Id', [description.id]],
+        ['Name', [description.name]],
+        ['Display name', [description.displayName]],
+        ['Class', [description.class]],
+        ['Path', description.paths.map(entry => entry.path)],
+        ['Supported on', [description.supportedOn]],
+        ['ADMX file', [description.admxFile]],
+        ['Registry', description.registry.map(value => `${formatRegistryValue(value)} (${value.list ? `list of ${value.type}` : value.type})`)],
+    ];
+    const lines = fields.flatMap(([label, values]) => values.filter(Boolean).map((value, i) => `${(i === 0 ? `${label}:` : '').padEnd(14)}${value}`));
+    if (description.explainText) lines.push('', ...description.explainText.split(/\r?\n/).map(line => `  ${line}`.trimEnd()));
+    return lines.join('\n');
+}
+
+function formatText(model, args, lang, selected) {
+    if (selected.length === 0) return 'No policies found.';
+    const descriptions = selected.map(item => PolicyData.describePolicy(model, item.policy, item.contexts, lang));
+    switch (args.command) {
+        case 'search':
+            return formatTable(['Scope', 'Display name', 'Registry', 'Id'], descriptions.map(description => {
+                const registry = description.registry[0];
+                return [description.paths[0].context, description.displayName, registry ? formatRegistryValue(registry) : '', description.id];
+            }));
+        case 'path':
+            return descriptions.flatMap(description => description.paths.map(entry => entry.path)).join('\n');
+        case 'registry':
+            return formatTable(['Hive', 'Key', 'Value name', 'Type', 'Element', 'Id'], descriptions.flatMap(description => description.registry.map(value => [
+                value.hive, value.key, value.list ? '(list)' : value.valueName, value.type || '', value.elementId || '', description.id,
+            ])));
+        default:
+            return descriptions.map(formatDetails).join('\n\n');
+    }
+}
+
+function formatJson(model, args, lang, selected) {
+    const output = selected.map(item => {
+        const description = PolicyData.describePolicy(model, item.policy, item.contexts, lang);
+        if (args.command === 'path') return { id: description.id, paths: description.paths };
+        if (args.command === 'registry') return { id: description.id, registry: description.registry };
+        return item.score !== undefined ? { ...description, score: item.score } : description;
+    });
+    return JSON.stringify(output, null, 4);
+}
+
+// One .reg file with a section per hive; policies whose values cannot be written are reported on stderr
+function formatReg(args, selected) {
+    const actionsByContext = new Map(CONTEXTS.map(context => [context, []]));
+    selected.forEach(({ policy, contexts }) => {
+        const { actions, errors } = RegistryExport.buildRegistryActions(policy, args.state, {});
+        errors.forEach(error => console.error(`WARNING: ${policy.id}: ${error}`));
+        contexts.forEach(context => actionsByContext.get(context).push(...actions));
+    });
+    const files = CONTEXTS.filter(context => actionsByContext.get(context).length > 0)
+        .map(context => RegistryExport.toRegFile(actionsByContext.get(context), context));
+    if (files.length === 0) return RegistryExport.toRegFile([], 'Machine');
+    // Later files lose their 'Windows Registry Editor Version 5.00' header line and the blank line after it
+    return files.map((file, i) => (i === 0 ? file : file.split('\r\n').slice(2).join('\r\n'))).join('\r\n');
+}
+
+// Report rows with the scopes --context leaves
+function selectCollisions(model, args) {
+    return RegistryCollisions.buildCollisionReport(Array.from(model.policiesById.values()), args.twins)
+        .map(row => ({ ...row, contexts: row.contexts.filter(context => !args.context || context === args.context) }))
+        .filter(row => row.contexts.length > 0);
+}
+
+function formatCollisions(args, rows) {
+    const location = row => `${row.location.key}\\${row.location.list ? '*' : row.location.valueName}`;
+    if (args.format === 'json') {
+        return JSON.stringify(rows.map(row => ({
+            kind: row.kind, reasons: row.reasons, location: row.location, contexts: row.contexts, policies: row.policies.map(policy => policy.id),
+        })), null, 4);
+    }
+    if (rows.length === 0) return 'No registry location is written by more than one policy.';
+    return formatTable(['Kind', 'Scope', 'Location', 'Policies'], rows.map(row => [
+        row.reasons.length > 0 ? `${row.kind} (${row.reasons.join(', ')})` : row.kind, row.contexts.join(', '), location(row), row.policies.map(policy => policy.id).join(', '),
+    ]));
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { model, lang } = loadModel(args);
+    if (args.command === 'collisions') {
+        console.log(formatCollisions(args, selectCollisions(model, args)));
+        return;
+    }
+    const selected = selectPolicies(model, args);
+    if (args.format === 'reg') process.stdout.write(formatReg(args, selected));
+    else console.log(args.format === 'json' ? formatJson(model, args, lang, selected) : formatText(model, args, lang, selected));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+// --- END OF FILE tools/admx-query.js ---
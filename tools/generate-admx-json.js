@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// --- START OF FILE tools/generate-admx-json.js ---
+// Node counterpart of Generate-AdmxJson.ps1, built on the same parser the
+// browser uses (lib/admx-parser.js).
+//
+// Usage:
+//   node tools/generate-admx-json.js --admx-path <PolicyDefinitions dir or .zip>
+//        --output-path <dir> --set-name <name> [--languages en-US,de-DE] [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+const AdmxParser = require('../lib/admx-parser.js');
+const ZipReader = require('../lib/zip-reader.js');
+
+function parseArgs(argv) {
+    const args = { languages: [], verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--admx-path': args.admxPath = argv[++i]; break;
+            case '--output-path': args.outputPath = argv[++i]; break;
+            case '--set-name': args.setName = argv[++i]; break;
+            case '--languages': args.languages.push(...argv[++i].split(',').map(l => l.trim()).filter(Boolean)); break;
+            case '--verbose': args.verbose = true; break;
+            default: throw new Error(`Unknown argument '${arg}'.`);
+        }
+    }
+    ['admxPath', 'outputPath', 'setName'].forEach(required => {
+        if (!args[required]) throw new Error(`Missing required argument --${required.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}.`);
+    });
+    return args;
+}
+
+function isPolicyFile(filePath) {
+    return /\.(admx|adml)$/i.test(filePath);
+}
+
+function collectFiles(baseDir, dir = baseDir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return collectFiles(baseDir, fullPath);
+        return isPolicyFile(entry.name) ? [{ path: path.relative(baseDir, fullPath), content: fs.readFileSync(fullPath) }] : [];
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    console.log('Starting ADMX/ADML JSON Generation...');
+    console.log(`ADMX Base Path: ${args.admxPath}`);
+    console.log(`Output Path: ${args.outputPath}`);
+
+    const files = fs.statSync(args.admxPath).isDirectory()
+        ? collectFiles(args.admxPath)
+        : await ZipReader.readZipEntries(fs.readFileSync(args.admxPath), { filter: isPolicyFile });
+
+    const { dataByLanguage, warnings, admxCount } = AdmxParser.generateFromFiles(files, { languages: args.languages });
+    console.log(`Parsed ${admxCount} ADMX files.`);
+    if (args.verbose) warnings.forEach(warning => console.warn(`WARNING: ${warning}`));
+    else if (warnings.length > 0) console.warn(`${warnings.length} warnings (use --verbose to list them).`);
+
+    fs.mkdirSync(args.outputPath, { recursive: true });
+    Object.entries(dataByLanguage).forEach(([lang, data]) => {
+        const outputFilePath = path.join(args.outputPath, `${args.setName}_${lang.replace('-', '_')}.json`);
+        fs.writeFileSync(outputFilePath, JSON.stringify(data, null, 4), 'utf8');
+        console.log(`  Successfully generated JSON file: ${outputFilePath} (${data.allPolicies.length} policies)`);
+    });
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
+// --- END OF FILE tools/generate-admx-json.js ---
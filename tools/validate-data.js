@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// --- START OF FILE tools/validate-data.js ---
+// Checks policy data files with the validator the viewer runs on load
+// (lib/data-validator.js). Exits with 1 when a file has errors.
+//
+// Usage:
+//   node tools/validate-data.js [file.json ...] [--manifest <manifest.json>] [--quiet]
+//
+// Without files, every data file listed in the manifest (default: ./manifest.json) is checked;
+// listed files that are not there (e.g. sets not generated in this checkout) are skipped with a warning.
+// --quiet leaves out the warnings and only lists errors.
+
+const fs = require('fs');
+const path = require('path');
+const DataValidator = require('../lib/data-validator.js');
+
+function parseArgs(argv) {
+    const args = { files: [], manifest: null, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--manifest': args.manifest = argv[++i]; break;
+            case '--quiet': args.quiet = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown argument '${arg}'.`);
+                args.files.push(arg);
+        }
+    }
+    return args;
+}
+
+function readJson(filePath) {
+    // Generate-AdmxJson.ps1 writes UTF-8 with a byte order mark
+    return JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+function getManifestFiles(manifestPath) {
+    const manifest = readJson(manifestPath);
+    const baseDir = path.dirname(manifestPath);
+    return (manifest.policySets || []).flatMap(set => Object.values(set.files || {}).map(file => path.join(baseDir, file)));
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    let files = args.files;
+    if (files.length === 0) {
+        const manifestPath = args.manifest || 'manifest.json';
+        const listed = getManifestFiles(manifestPath);
+        files = listed.filter(filePath => fs.existsSync(filePath));
+        listed.filter(filePath => !files.includes(filePath)).forEach(filePath => console.log(`${filePath}: not found, skipped (listed in ${manifestPath})`));
+        if (files.length === 0) throw new Error(`None of the data files listed in ${manifestPath} exist.`);
+    }
+    let failed = 0;
+    files.forEach(filePath => {
+        let result;
+        try {
+            result = DataValidator.validateData(readJson(filePath));
+        } catch (error) {
+            console.log(`${filePath}: cannot be read: ${error.message}`);
+            failed++;
+            return;
+        }
+        const { errors, warnings } = result;
+        console.log(`${filePath}: ${errors.length} errors, ${warnings.length} warnings`);
+        errors.forEach(issue => console.log(`  ERROR: ${DataValidator.formatIssue(issue)}`));
+        if (!args.quiet) warnings.forEach(issue => console.log(`  WARNING: ${DataValidator.formatIssue(issue)}`));
+        if (errors.length > 0) failed++;
+    });
+    if (failed > 0) {
+        console.log(`${failed} of ${files.length} files failed.`);
+        process.exit(1);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+// --- END OF FILE tools/validate-data.js ---